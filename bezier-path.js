@@ -0,0 +1,517 @@
+/**
+ * Bézier Path Module
+ * Manual implementation of multi-segment Bézier splines of any degree
+ * Academic Integrity: This is my original work implementing spline math from scratch
+ */
+
+import { BezierCurve } from './bezier.js';
+
+export class BezierPath extends BezierCurve {
+    constructor() {
+        super();
+        this.continuity = [];         // continuity mode for each interior joint
+        this.degree = 3;              // degree of every segment
+        this.versionDegree = 3;       // degree seen at the last version check
+        this.segmentCache = { source: null, length: 0, degree: 0, segments: [] };
+    }
+
+    /**
+     * Control points are stored as one flat chain P₀ … Pₘₙ where segment i
+     * of degree m uses points mi … mi+m, so neighbouring segments share
+     * their anchor.
+     * @param {number} index - Control point index
+     * @param {number} degree - Segment degree
+     * @returns {boolean} True if the point is an anchor (on-curve) point
+     */
+    static isAnchorIndex(index, degree = 3) {
+        return index % degree === 0;
+    }
+
+    /**
+     * Check that a chain length fits whole segments of a degree
+     * @param {number} length - Number of points
+     * @param {number} degree - Segment degree
+     */
+    static validateChain(length, degree) {
+        if (!Number.isInteger(degree) || degree < 1) {
+            throw new Error(`Invalid Bezier degree: ${degree}`);
+        }
+        if (length < degree + 1 || (length - 1) % degree !== 0) {
+            throw new Error(`Bezier path requires ${degree}n+1 control points`);
+        }
+    }
+
+    /**
+     * Replace the control points (and optionally the joint continuity modes)
+     * @param {Array} points - Flat array of dn+1 control points for degree d
+     * @param {Array|string} continuity - Mode per joint, or one mode for all joints
+     * @param {number} degree - Degree of every segment
+     */
+    setControlPoints(points, continuity = 'smooth', degree = this.degree) {
+        BezierPath.validateChain(points.length, degree);
+
+        this.controlPoints = points;
+        this.degree = degree;
+
+        const joints = this.getSegmentCount() - 1;
+        this.continuity = [];
+        for (let j = 0; j < joints; j++) {
+            const mode = Array.isArray(continuity) ? continuity[j] : continuity;
+            this.continuity.push(mode || 'smooth');
+        }
+
+        this.enforceContinuity();
+    }
+
+    /**
+     * Number of segments in the path
+     * @returns {number} Segment count
+     */
+    getSegmentCount() {
+        return Math.max(0, Math.floor((this.controlPoints.length - 1) / this.degree));
+    }
+
+    /**
+     * Degree of the segments
+     * @returns {number} Degree
+     */
+    getDegree() {
+        return this.degree;
+    }
+
+    /**
+     * Version stamp of the control points; a degree change with the same
+     * number of points reshapes the path too
+     * @returns {number} Version stamp
+     */
+    getVersion() {
+        if (this.versionDegree !== this.degree) {
+            this.versionDegree = this.degree;
+            this.invalidate();
+        }
+        return super.getVersion();
+    }
+
+    /**
+     * Get the segments of the path. Each segment shares the point
+     * objects of the path, so moving a path point moves its segments too.
+     * @returns {Array} Array of BezierCurve instances
+     */
+    getSegments() {
+        const cache = this.segmentCache;
+
+        if (cache.source !== this.controlPoints || cache.length !== this.controlPoints.length ||
+            cache.degree !== this.degree) {
+            const degree = this.degree;
+            cache.segments = [];
+            for (let i = 0; i < this.getSegmentCount(); i++) {
+                const segment = new BezierCurve();
+                segment.controlPoints = this.controlPoints.slice(i * degree, i * degree + degree + 1);
+                cache.segments.push(segment);
+            }
+            cache.source = this.controlPoints;
+            cache.length = this.controlPoints.length;
+            cache.degree = degree;
+        }
+
+        return cache.segments;
+    }
+
+    /**
+     * Map a global path parameter onto a segment and its local parameter
+     * @param {number} t - Parameter between 0 and 1 over the whole path
+     * @returns {Object} {segment, index, t}
+     */
+    locate(t) {
+        const segments = this.getSegments();
+        if (segments.length === 0) {
+            throw new Error(`Bezier path requires ${this.degree}n+1 control points`);
+        }
+
+        const scaled = Math.max(0, Math.min(1, t)) * segments.length;
+        const index = Math.min(segments.length - 1, Math.floor(scaled));
+
+        return { segment: segments[index], index: index, t: scaled - index };
+    }
+
+    /**
+     * Calculate a point on the path at global parameter t
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} coordinates
+     */
+    calculatePoint(t) {
+        const local = this.locate(t);
+        return local.segment.calculatePoint(local.t);
+    }
+
+    /**
+     * Calculate a point in space at global parameter t
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y, z} coordinates
+     */
+    calculatePoint3D(t) {
+        const local = this.locate(t);
+        return local.segment.calculatePoint3D(local.t);
+    }
+
+    /**
+     * Calculate the tangent vector at global parameter t.
+     * Chain rule: dB/dt = n · dB/du, where u is the segment-local parameter.
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} tangent vector
+     */
+    calculateTangent(t) {
+        const local = this.locate(t);
+        const tangent = local.segment.calculateTangent(local.t);
+        const n = this.getSegmentCount();
+
+        return { x: tangent.x * n, y: tangent.y * n };
+    }
+
+    /**
+     * Calculate the second derivative at global parameter t (scaled by n²)
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} second derivative vector
+     */
+    calculateSecondDerivative(t) {
+        const local = this.locate(t);
+        const derivative = local.segment.calculateSecondDerivative(local.t);
+        const n = this.getSegmentCount();
+
+        return { x: derivative.x * n * n, y: derivative.y * n * n };
+    }
+
+    /**
+     * Run a per-segment parameter query and map the results to global t
+     * @param {Function} query - Called with each segment, returns local parameters
+     * @returns {Array} Global parameters
+     */
+    mapSegmentParams(query) {
+        const segments = this.getSegments();
+        const results = [];
+
+        segments.forEach((segment, index) => {
+            query(segment).forEach((t) => {
+                results.push((index + t) / segments.length);
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Find inflection points of all segments
+     * @returns {Array} Global parameters
+     */
+    findInflections() {
+        return this.mapSegmentParams((segment) => segment.findInflections());
+    }
+
+    /**
+     * Find cusps of all segments
+     * @param {number} tolerance - Largest relative speed still counted as zero
+     * @returns {Array} Global parameters
+     */
+    findCusps(tolerance = 1e-6) {
+        return this.mapSegmentParams((segment) => segment.findCusps(tolerance));
+    }
+
+    /**
+     * Find self-intersection loops inside single segments
+     * @returns {Array} [[t1, t2], …] as global parameters
+     */
+    findLoops() {
+        const n = this.getSegmentCount();
+        const loops = [];
+
+        this.getSegments().forEach((segment, index) => {
+            segment.findLoops().forEach(([t1, t2]) => {
+                loops.push([(index + t1) / n, (index + t2) / n]);
+            });
+        });
+
+        return loops;
+    }
+
+    /**
+     * Classify the path by its most notable segment
+     * @returns {string} 'line', 'cusp', 'loop', 'serpentine' or 'arch'
+     */
+    classifyCurve() {
+        const types = this.getSegments().map((segment) => segment.classifyCurve());
+        const order = ['cusp', 'loop', 'serpentine', 'arch', 'line'];
+
+        return order.find((type) => types.indexOf(type) !== -1) || 'line';
+    }
+
+    /**
+     * Find axis-aligned extrema of all segments
+     * @returns {Object} {x: [t...], y: [t...]} as global parameters
+     */
+    findExtrema() {
+        return {
+            x: this.mapSegmentParams((segment) => segment.findExtrema().x),
+            y: this.mapSegmentParams((segment) => segment.findExtrema().y)
+        };
+    }
+
+    /**
+     * Calculate the bounding box of the whole path
+     * @returns {Object} {minX, minY, maxX, maxY}
+     */
+    calculateBoundingBox() {
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        this.getSegments().forEach((segment) => {
+            const segmentBox = segment.calculateBoundingBox();
+            box.minX = Math.min(box.minX, segmentBox.minX);
+            box.minY = Math.min(box.minY, segmentBox.minY);
+            box.maxX = Math.max(box.maxX, segmentBox.maxX);
+            box.maxY = Math.max(box.maxY, segmentBox.maxY);
+        });
+
+        return box;
+    }
+
+    /**
+     * Scale the arc-length table with the segment count. Interval edges then
+     * fall on the joints, where the tangent may jump.
+     * @returns {number} Interval count
+     */
+    getArcLengthIntervals() {
+        return this.arcLengthResolution * Math.max(1, this.getSegmentCount());
+    }
+
+    /**
+     * Set the continuity mode of an interior joint and apply it
+     * C0 'corner' - segments only share the anchor
+     * G1 'aligned' - handles are collinear, lengths are independent
+     * C1 'smooth' - handles are mirrored through the anchor
+     * Below degree 3 a handle is shared by both of its anchors, so joints
+     * stay corners whatever their mode.
+     * @param {number} joint - Joint index (0 is the anchor between segment 0 and 1)
+     * @param {string} mode - 'corner', 'aligned' or 'smooth'
+     */
+    setContinuity(joint, mode) {
+        if (BezierPath.CONTINUITY_MODES.indexOf(mode) === -1) {
+            throw new Error(`Unknown continuity mode: ${mode}`);
+        }
+        if (joint < 0 || joint >= this.continuity.length) return;
+
+        this.continuity[joint] = mode;
+        this.enforceJoint(joint, -1, this.controlPoints);
+    }
+
+    /**
+     * Re-apply the continuity constraint of one joint
+     * @param {number} joint - Joint index
+     * @param {number} driverIndex - Handle that wins, -1 to use the incoming handle
+     * @param {Array} points - Point array to adjust (control or rest positions)
+     */
+    enforceJoint(joint, driverIndex, points) {
+        const mode = this.continuity[joint];
+        if (mode === 'corner' || this.degree < 3) return;
+
+        const anchorIndex = (joint + 1) * this.degree;
+        const anchor = points[anchorIndex];
+
+        let source = points[anchorIndex - 1];
+        let target = points[anchorIndex + 1];
+        if (driverIndex === anchorIndex + 1) {
+            source = points[anchorIndex + 1];
+            target = points[anchorIndex - 1];
+        }
+
+        const dx = source.x - anchor.x;
+        const dy = source.y - anchor.y;
+
+        if (mode === 'smooth') {
+            target.x = anchor.x - dx;
+            target.y = anchor.y - dy;
+            return;
+        }
+
+        // Aligned: keep the target handle's own length, flip the direction
+        const sourceLength = Math.sqrt(dx * dx + dy * dy);
+        if (sourceLength === 0) return;
+
+        const targetLength = Math.sqrt(
+            Math.pow(target.x - anchor.x, 2) +
+            Math.pow(target.y - anchor.y, 2)
+        );
+
+        target.x = anchor.x - (dx / sourceLength) * targetLength;
+        target.y = anchor.y - (dy / sourceLength) * targetLength;
+    }
+
+    /**
+     * Re-apply the continuity constraints of every joint
+     * @param {number} driverIndex - Handle that wins at its joint, -1 for none
+     * @param {Array} points - Point array to adjust, defaults to the control points
+     */
+    enforceContinuity(driverIndex = -1, points = this.controlPoints) {
+        for (let j = 0; j < this.continuity.length; j++) {
+            this.enforceJoint(j, driverIndex, points);
+        }
+    }
+
+    /**
+     * Move a control point while keeping the continuity of its joint.
+     * Anchors carry their handles along, handles update their opposite handle.
+     * @param {number} index - Control point index
+     * @param {number} x - New X position
+     * @param {number} y - New Y position
+     * @param {Array} points - Point array to edit, defaults to the control points
+     */
+    movePoint(index, x, y, points = this.controlPoints) {
+        if (index < 0 || index >= points.length) return;
+
+        const point = points[index];
+        const dx = x - point.x;
+        const dy = y - point.y;
+
+        if (BezierPath.isAnchorIndex(index, this.degree)) {
+            [index - 1, index, index + 1].forEach((i) => {
+                if (i < 0 || i >= points.length) return;
+                points[i].x += dx;
+                points[i].y += dy;
+            });
+            return;
+        }
+
+        point.x = x;
+        point.y = y;
+
+        // Handle di+1 belongs to anchor di, handle di+d-1 to anchor di+d;
+        // the inner points of higher degrees belong to no anchor
+        const degree = this.degree;
+        const offset = index % degree;
+        if (offset !== 1 && offset !== degree - 1) return;
+
+        const anchorIndex = offset === 1 ? index - 1 : index + 1;
+        const joint = anchorIndex / degree - 1;
+        if (joint >= 0 && joint < this.continuity.length) {
+            this.enforceJoint(joint, index, points);
+        }
+    }
+
+    /**
+     * Split the path at global parameter t by inserting a new anchor.
+     * The shape is unchanged: de Casteljau's handles at the new anchor are
+     * collinear but of different lengths, so the new joint is 'aligned'.
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object|null} {index, segment, t} of the new anchor, null at an existing anchor
+     */
+    splitAt(t) {
+        const local = this.locate(t);
+        if (local.t < 1e-6 || local.t > 1 - 1e-6) return null;
+
+        const degree = this.degree;
+        this.controlPoints = BezierPath.splitChain(this.controlPoints, local.index, local.t, degree);
+        this.continuity.splice(local.index, 0, 'aligned');
+
+        return { index: (local.index + 1) * degree, segment: local.index, t: local.t };
+    }
+
+    /**
+     * Copy a computed point onto an existing point object
+     * @param {Object} target - Point object to keep
+     * @param {Object} source - Computed point {x, y[, z][, weight]}
+     * @returns {Object} The target
+     */
+    static assignPoint(target, source) {
+        target.x = source.x;
+        target.y = source.y;
+        if (source.z !== undefined) target.z = source.z;
+        if (source.weight !== undefined) target.weight = source.weight;
+        return target;
+    }
+
+    /**
+     * Split one segment of a point chain, e.g. the rest positions matching a
+     * split of the control points. The outer handles keep their objects
+     * (and pinned state); the new anchor and its handles are new objects.
+     * @param {Array} points - Flat array of dn+1 points
+     * @param {number} segment - Segment index
+     * @param {number} t - Segment-local split parameter
+     * @param {number} degree - Segment degree
+     * @returns {Array} Flat array of dn+d+1 points
+     */
+    static splitChain(points, segment, t, degree = 3) {
+        const start = segment * degree;
+        const [left, right] = BezierCurve.subdivide(points.slice(start, start + degree + 1), t);
+
+        // New inner points, anchor and inner points between the old anchors
+        const created = left.slice(1).concat(right.slice(1, degree));
+        const inner = points.slice(start + 1, start + degree);
+        if (inner.length > 0) {
+            created[0] = BezierPath.assignPoint(inner[0], created[0]);
+        }
+        if (inner.length > 1) {
+            created[created.length - 1] = BezierPath.assignPoint(inner[inner.length - 1], created[created.length - 1]);
+        }
+
+        return points.slice(0, start + 1)
+            .concat(created)
+            .concat(points.slice(start + degree));
+    }
+
+    /**
+     * Apply a control-point transform to every segment of a chain. The
+     * anchors keep their objects; the inner points are new objects.
+     * @param {Array} points - Flat array of dn+1 points
+     * @param {number} degree - Segment degree
+     * @param {Function} transform - Maps one segment's points to new points
+     * @returns {Array} New flat array
+     */
+    static mapChain(points, degree, transform) {
+        const result = [points[0]];
+
+        for (let start = 0; start + degree < points.length; start += degree) {
+            const mapped = transform(points.slice(start, start + degree + 1));
+            result.push(...mapped.slice(1, -1), points[start + degree]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Raise the degree of every segment of a chain by one
+     * @param {Array} points - Flat array of dn+1 points
+     * @param {number} degree - Segment degree
+     * @returns {Array} Flat array of (d+1)n+1 points with the same shape
+     */
+    static elevateChain(points, degree) {
+        return BezierPath.mapChain(points, degree, BezierCurve.elevateDegree);
+    }
+
+    /**
+     * Lower the degree of every segment of a chain by one, approximately
+     * unless the segments were elevated before
+     * @param {Array} points - Flat array of dn+1 points
+     * @param {number} degree - Segment degree, at least 2
+     * @returns {Array} Flat array of (d-1)n+1 points
+     */
+    static reduceChain(points, degree) {
+        return BezierPath.mapChain(points, degree, BezierCurve.reduceDegree);
+    }
+
+    /**
+     * Raise the degree of the path by one; the shape is unchanged
+     */
+    elevateDegree() {
+        this.controlPoints = BezierPath.elevateChain(this.controlPoints, this.degree);
+        this.degree++;
+    }
+
+    /**
+     * Lower the degree of the path by one and re-apply the joint constraints
+     */
+    reduceDegree() {
+        this.controlPoints = BezierPath.reduceChain(this.controlPoints, this.degree);
+        this.degree--;
+        this.enforceContinuity();
+    }
+}
+
+BezierPath.CONTINUITY_MODES = ['corner', 'aligned', 'smooth'];
@@ -1,82 +1,273 @@
 /**
  * Bézier Curve Mathematics Module
- * Manual implementation of cubic Bézier curve calculations
+ * Manual implementation of Bézier curve calculations of any degree, polynomial and rational
  * Academic Integrity: This is my original work implementing all math from scratch
  */
 
-class BezierCurve {
+/**
+ * A curve of degree n has n+1 control points. Points may carry a weight
+ * (default 1); with weights the curve is rational,
+ * B(t) = Σ wᵢbᵢ(t)Pᵢ / Σ wᵢbᵢ(t), which can represent conic sections such
+ * as exact circular arcs. Evaluation works in homogeneous coordinates
+ * (wx, wy, w) with de Casteljau's algorithm, so every degree shares the
+ * same code.
+ */
+export class BezierCurve {
     constructor() {
         this.controlPoints = [];
         this.curvePoints = [];
-        this.sampleDensity = 200; // Number of points to sample along the curve
+        this.sampleDensity = 200; // Samples per segment when flatness is 0
+        this.flatness = 0.25;     // Largest gap in screen pixels between curve and polyline
+        this.pixelScale = 1;      // Screen pixels per curve unit, set from the viewport
+        this.maxFlattenDepth = 16; // Subdivision limit, at most 2^16 lines per segment
+        this.flattenKey = null;
+        this.arcLengthResolution = 100; // Intervals in the arc-length table
+        this.arcLengthTable = null;
+        this.arcLengthKey = '';
+        this.version = 0;         // Advances whenever the control points change
+        this.versionPoints = null; // Point data seen at the last version check
     }
 
     /**
-     * Calculate a point on the cubic Bézier curve at parameter t
-     * B(t) = (1-t)³P₀ + 3(1-t)²tP₁ + 3(1-t)t²P₂ + t³P₃
-     * @param {number} t - Parameter between 0 and 1
-     * @returns {Object} {x, y} coordinates
+     * Version stamp of the control points. Points are moved in place by the
+     * physics, input and timeline, so the stamp compares the coordinates
+     * (depth included) and weights with those seen last time and advances
+     * when they differ.
+     * Derived data (polyline, arc-length table) is cached against it.
+     * @returns {number} Version stamp
      */
-    calculatePoint(t) {
-        if (this.controlPoints.length !== 4) {
-            throw new Error('Bezier curve requires exactly 4 control points');
+    getVersion() {
+        const points = this.controlPoints;
+        const seen = this.versionPoints;
+        let changed = !seen || seen.length !== points.length * 4;
+
+        for (let i = 0; !changed && i < points.length; i++) {
+            const p = points[i];
+            changed = seen[i * 4] !== p.x || seen[i * 4 + 1] !== p.y ||
+                seen[i * 4 + 2] !== (p.z === undefined ? 0 : p.z) ||
+                seen[i * 4 + 3] !== (p.weight === undefined ? 1 : p.weight);
         }
 
-        const p0 = this.controlPoints[0];
-        const p1 = this.controlPoints[1];
-        const p2 = this.controlPoints[2];
-        const p3 = this.controlPoints[3];
+        if (changed) {
+            const data = new Float64Array(points.length * 4);
+            points.forEach((p, i) => {
+                data[i * 4] = p.x;
+                data[i * 4 + 1] = p.y;
+                data[i * 4 + 2] = p.z === undefined ? 0 : p.z;
+                data[i * 4 + 3] = p.weight === undefined ? 1 : p.weight;
+            });
+            this.versionPoints = data;
+            this.version++;
+        }
 
-        // Manual calculation using the cubic Bézier formula
-        const u = 1 - t;
-        const u2 = u * u;
-        const u3 = u2 * u;
-        const t2 = t * t;
-        const t3 = t2 * t;
+        return this.version;
+    }
+
+    /**
+     * Force the next version check to advance, e.g. after a change that
+     * keeps every point where it was
+     */
+    invalidate() {
+        this.versionPoints = null;
+    }
 
-        const x = u3 * p0.x + 
-                 3 * u2 * t * p1.x + 
-                 3 * u * t2 * p2.x + 
-                 t3 * p3.x;
+    /**
+     * Degree of the curve, one less than the number of control points
+     * @returns {number} Degree
+     */
+    getDegree() {
+        return this.controlPoints.length - 1;
+    }
 
-        const y = u3 * p0.y + 
-                 3 * u2 * t * p1.y + 
-                 3 * u * t2 * p2.y + 
-                 t3 * p3.y;
+    /**
+     * Whether any control point has a weight other than 1
+     * @returns {boolean} True for a rational curve
+     */
+    isRational() {
+        return BezierCurve.hasWeights(this.controlPoints);
+    }
 
-        return { x, y };
+    /**
+     * Whether the closed-form cubic formulas apply
+     * @returns {boolean} True for a cubic without weights
+     */
+    isPolynomialCubic() {
+        return this.controlPoints.length === 4 && !this.isRational();
+    }
+
+    /**
+     * Whether any point of a list has a weight other than 1
+     * @param {Array} points - Control points
+     * @returns {boolean} True if the points describe a rational curve
+     */
+    static hasWeights(points) {
+        return points.some((p) => p.weight !== undefined && p.weight !== 1);
     }
 
     /**
-     * Calculate the tangent vector at parameter t using the derivative
-     * B'(t) = 3(1-t)²(P₁-P₀) + 6(1-t)t(P₂-P₁) + 3t²(P₃-P₂)
+     * Check whether any control point has a depth
+     * @param {Array} points - Control points
+     * @returns {boolean} True if a point carries z
+     */
+    static hasDepth(points) {
+        return points.some((p) => p.z !== undefined);
+    }
+
+    /**
+     * Control points in homogeneous coordinates [wx, wy, wz, w], with
+     * z = 0 for points without a depth
+     * @param {Array} points - Control points
+     * @returns {Array} Homogeneous points
+     */
+    static toHomogeneous(points) {
+        return points.map((p) => {
+            const w = p.weight === undefined ? 1 : p.weight;
+            return [p.x * w, p.y * w, (p.z || 0) * w, w];
+        });
+    }
+
+    /**
+     * Project homogeneous points back to control points
+     * @param {Array} homogeneous - Points [wx, wy, wz, w]
+     * @param {boolean} rational - Keep the weights on the points
+     * @param {boolean} depth - Keep the depth on the points
+     * @returns {Array} Control points {x, y[, z][, weight]}
+     */
+    static fromHomogeneous(homogeneous, rational, depth = false) {
+        return homogeneous.map(([x, y, z, w]) => {
+            const point = { x: x / w, y: y / w };
+            if (depth) point.z = z / w;
+            if (rational) point.weight = w;
+            return point;
+        });
+    }
+
+    /**
+     * Evaluate a Bernstein polynomial with de Casteljau's algorithm:
+     * repeated linear interpolation between neighbouring coefficients
+     * @param {Array} coefficients - Coefficient tuples, e.g. [[x, y, w], …]
      * @param {number} t - Parameter between 0 and 1
-     * @returns {Object} {x, y} tangent vector
+     * @returns {Array} Value tuple
      */
-    calculateTangent(t) {
-        if (this.controlPoints.length !== 4) {
-            throw new Error('Bezier curve requires exactly 4 control points');
+    static evaluate(coefficients, t) {
+        const u = 1 - t;
+        const work = coefficients.map((c) => c.slice());
+
+        for (let r = work.length - 1; r > 0; r--) {
+            for (let i = 0; i < r; i++) {
+                const a = work[i];
+                const b = work[i + 1];
+                for (let k = 0; k < a.length; k++) {
+                    a[k] = u * a[k] + t * b[k];
+                }
+            }
         }
 
-        const p0 = this.controlPoints[0];
-        const p1 = this.controlPoints[1];
-        const p2 = this.controlPoints[2];
-        const p3 = this.controlPoints[3];
+        return work[0];
+    }
 
-        const u = 1 - t;
-        const u2 = u * u;
-        const t2 = t * t;
+    /**
+     * Control points of the derivative: n(Qᵢ₊₁ - Qᵢ), one degree lower
+     * @param {Array} coefficients - Coefficient tuples
+     * @returns {Array} Derivative coefficient tuples
+     */
+    static hodograph(coefficients) {
+        const n = coefficients.length - 1;
+        const result = [];
+
+        for (let i = 0; i < n; i++) {
+            result.push(coefficients[i + 1].map((value, k) => n * (value - coefficients[i][k])));
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that the curve has enough points to be evaluated
+     */
+    requireControlPoints() {
+        if (this.controlPoints.length < 2) {
+            throw new Error('Bezier curve requires at least 2 control points');
+        }
+    }
+
+    /**
+     * Point and first two derivatives at t. For a rational curve
+     * B = A/W with A = Σ wᵢbᵢPᵢ and W = Σ wᵢbᵢ, so by the quotient rule
+     * B' = (A' - BW')/W and B'' = (A'' - 2B'W' - BW'')/W.
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {point, first, second}
+     */
+    calculateDerivatives(t) {
+        this.requireControlPoints();
+
+        const h0 = BezierCurve.toHomogeneous(this.controlPoints);
+        const h1 = BezierCurve.hodograph(h0);
+        const h2 = h1.length > 1 ? BezierCurve.hodograph(h1) : [[0, 0, 0, 0]];
+
+        const [ax, ay, , w] = BezierCurve.evaluate(h0, t);
+        const [ax1, ay1, , w1] = BezierCurve.evaluate(h1, t);
+        const [ax2, ay2, , w2] = BezierCurve.evaluate(h2, t);
+
+        const point = { x: ax / w, y: ay / w };
+        const first = { x: (ax1 - point.x * w1) / w, y: (ay1 - point.y * w1) / w };
+        const second = {
+            x: (ax2 - 2 * first.x * w1 - point.x * w2) / w,
+            y: (ay2 - 2 * first.y * w1 - point.y * w2) / w
+        };
+
+        return { point, first, second };
+    }
 
-        // Manual derivative calculation
-        const dx = 3 * u2 * (p1.x - p0.x) + 
-                   6 * u * t * (p2.x - p1.x) + 
-                   3 * t2 * (p3.x - p2.x);
+    /**
+     * Calculate a point on the curve at parameter t
+     * B(t) = Σ bᵢ,ₙ(t)Pᵢ with the Bernstein polynomials bᵢ,ₙ(t) = C(n, i)(1-t)ⁿ⁻ⁱtⁱ,
+     * e.g. (1-t)³P₀ + 3(1-t)²tP₁ + 3(1-t)t²P₂ + t³P₃ for a cubic
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} coordinates
+     */
+    calculatePoint(t) {
+        this.requireControlPoints();
 
-        const dy = 3 * u2 * (p1.y - p0.y) + 
-                   6 * u * t * (p2.y - p1.y) + 
-                   3 * t2 * (p3.y - p2.y);
+        const [x, y, , w] = BezierCurve.evaluate(BezierCurve.toHomogeneous(this.controlPoints), t);
+        return { x: x / w, y: y / w };
+    }
 
-        return { x: dx, y: dy };
+    /**
+     * Calculate a point in space. Control points may carry a depth z
+     * (0 when missing); every other query works in the x, y plane.
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y, z} coordinates
+     */
+    calculatePoint3D(t) {
+        this.requireControlPoints();
+
+        const [x, y, z, w] = BezierCurve.evaluate(BezierCurve.toHomogeneous(this.controlPoints), t);
+        return { x: x / w, y: y / w, z: z / w };
+    }
+
+    /**
+     * Move a control point
+     * @param {number} index - Control point index
+     * @param {number} x - New X position
+     * @param {number} y - New Y position
+     * @param {Array} points - Point array to edit, defaults to the control points
+     */
+    movePoint(index, x, y, points = this.controlPoints) {
+        if (index < 0 || index >= points.length) return;
+
+        points[index].x = x;
+        points[index].y = y;
+    }
+
+    /**
+     * Calculate the tangent vector at parameter t, the derivative
+     * B'(t) = n Σ bᵢ,ₙ₋₁(t)(Pᵢ₊₁ - Pᵢ), e.g. 3(1-t)²(P₁-P₀) + 6(1-t)t(P₂-P₁) + 3t²(P₃-P₂)
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} tangent vector
+     */
+    calculateTangent(t) {
+        return this.calculateDerivatives(t).first;
     }
 
     /**
@@ -97,37 +288,979 @@ class BezierCurve {
     }
 
     /**
-     * Sample multiple points along the curve for rendering
-     * @returns {Array} Array of {x, y} points
+     * Calculate the second derivative at parameter t,
+     * e.g. B''(t) = 6(1-t)(P₂-2P₁+P₀) + 6t(P₃-2P₂+P₁) for a cubic
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} second derivative vector
      */
-    sampleCurvePoints() {
-        this.curvePoints = [];
-        
-        for (let i = 0; i <= this.sampleDensity; i++) {
-            const t = i / this.sampleDensity;
+    calculateSecondDerivative(t) {
+        return this.calculateDerivatives(t).second;
+    }
+
+    /**
+     * Calculate the signed curvature at parameter t
+     * κ(t) = (x'y'' - y'x'') / |B'(t)|³
+     * Positive curvature turns clockwise on screen (y axis points down).
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {number} Signed curvature, 0 where the speed vanishes
+     */
+    calculateCurvature(t) {
+        const d1 = this.calculateTangent(t);
+        const d2 = this.calculateSecondDerivative(t);
+        const speed = Math.sqrt(d1.x * d1.x + d1.y * d1.y);
+
+        if (speed === 0) return 0;
+
+        return (d1.x * d2.y - d1.y * d2.x) / (speed * speed * speed);
+    }
+
+    /**
+     * Calculate the unit normal at parameter t (tangent rotated by 90°)
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} {x, y} unit normal vector
+     */
+    calculateNormal(t) {
+        const tangent = this.calculateNormalizedTangent(t);
+        return { x: -tangent.y, y: tangent.x };
+    }
+
+    /**
+     * Power-basis coefficients of a cubic: B(t) = at³ + bt² + ct + d
+     * @returns {Object} {a, b, c, d} coefficient vectors
+     */
+    getPowerCoefficients() {
+        if (!this.isPolynomialCubic()) {
+            throw new Error('Power coefficients need a cubic without weights');
+        }
+
+        const [p0, p1, p2, p3] = this.controlPoints;
+
+        return {
+            a: { x: -p0.x + 3 * p1.x - 3 * p2.x + p3.x, y: -p0.y + 3 * p1.y - 3 * p2.y + p3.y },
+            b: { x: 3 * p0.x - 6 * p1.x + 3 * p2.x, y: 3 * p0.y - 6 * p1.y + 3 * p2.y },
+            c: { x: -3 * p0.x + 3 * p1.x, y: -3 * p0.y + 3 * p1.y },
+            d: { x: p0.x, y: p0.y }
+        };
+    }
+
+    /**
+     * Find the roots of a function on [0, 1] by sampling it for sign changes
+     * and bisecting each bracket, for curves without closed-form equations.
+     * Roots where the function only touches zero are missed.
+     * @param {Function} f - Function of t
+     * @param {number} intervals - Number of sampling intervals
+     * @returns {Array} Roots in ascending order
+     */
+    static findRoots(f, intervals = 64) {
+        const values = [];
+        for (let i = 0; i <= intervals; i++) values.push(f(i / intervals));
+
+        // Identically zero, e.g. x'(t) of a vertical line: no isolated roots
+        if (values.every((value) => value === 0)) return [];
+
+        const roots = [];
+        for (let i = 0; i < intervals; i++) {
+            let a = i / intervals;
+            let b = (i + 1) / intervals;
+            let fa = values[i];
+
+            if (fa === 0) {
+                roots.push(a);
+                continue;
+            }
+            if (fa * values[i + 1] > 0) continue;
+            if (values[i + 1] === 0) continue;  // pushed as the next interval's start
+
+            for (let k = 0; k < 60; k++) {
+                const m = (a + b) / 2;
+                const fm = f(m);
+                if (fm === 0) {
+                    a = b = m;
+                    break;
+                }
+                if (fa * fm < 0) {
+                    b = m;
+                } else {
+                    a = m;
+                    fa = fm;
+                }
+            }
+            roots.push((a + b) / 2);
+        }
+        if (values[intervals] === 0) roots.push(1);
+
+        return roots;
+    }
+
+    /**
+     * Whether all control points lie on one line, so the curve never turns
+     * @returns {boolean} True for a straight curve
+     */
+    isStraight() {
+        const points = this.controlPoints;
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        // Measure against the widest pair of points (the ends may coincide)
+        let far = last;
+        let farDistance = -1;
+        points.forEach((p) => {
+            const distance = Math.hypot(p.x - first.x, p.y - first.y);
+            if (distance > farDistance) {
+                far = p;
+                farDistance = distance;
+            }
+        });
+        if (farDistance === 0) return true;
+
+        const scale = farDistance * farDistance;
+        return points.every((p) =>
+            Math.abs((far.x - first.x) * (p.y - first.y) - (far.y - first.y) * (p.x - first.x)) <= 1e-12 * scale);
+    }
+
+    /**
+     * Find inflection points, where the curvature changes sign.
+     * For a cubic, with B' = 3at² + 2bt + c and B'' = 6at + 2b the cross
+     * product B' × B'' = -6(a×b)t² + 6(c×a)t + 2(c×b) is only quadratic;
+     * other curves are searched numerically.
+     * @returns {Array} Parameters t strictly inside (0, 1)
+     */
+    findInflections() {
+        const inside = (t) => t > 0 && t < 1;
+
+        if (!this.isPolynomialCubic()) {
+            if (this.isStraight()) return [];
+            return BezierCurve.findRoots((t) => {
+                const { first, second } = this.calculateDerivatives(t);
+                return first.x * second.y - first.y * second.x;
+            }).filter(inside);
+        }
+
+        const { a, b, c } = this.getPowerCoefficients();
+        const cross = (u, v) => u.x * v.y - u.y * v.x;
+
+        return BezierCurve.solveQuadratic(-6 * cross(a, b), 6 * cross(c, a), 2 * cross(c, b))
+            .filter(inside);
+    }
+
+    /**
+     * Loop-Blinn classification values d₁, d₂, d₃ of the cubic
+     * @returns {Object} {d1, d2, d3}
+     */
+    getClassificationTerms() {
+        const [p0, p1, p2, p3] = this.controlPoints;
+
+        // Determinants of homogeneous points (x, y, 1)
+        const det = (p, q, r) =>
+            p.x * (q.y - r.y) - p.y * (q.x - r.x) + (q.x * r.y - q.y * r.x);
+
+        const a1 = det(p0, p3, p2);
+        const a2 = det(p1, p0, p3);
+        const a3 = det(p2, p1, p0);
+
+        return {
+            d1: a1 - 2 * a2 + 3 * a3,
+            d2: -a2 + 3 * a3,
+            d3: 3 * a3
+        };
+    }
+
+    /**
+     * Find cusps on the curve, where both components of B'(t) vanish
+     * @param {number} tolerance - Largest relative speed still counted as zero
+     * @returns {Array} Parameters t in [0, 1]
+     */
+    findCusps(tolerance = 1e-6) {
+        const scale = Math.max(1, this.calculateSpeed(0), this.calculateSpeed(1));
+        let candidates;
+
+        if (this.isPolynomialCubic()) {
+            const { a, b, c } = this.getPowerCoefficients();
+
+            // A cusp is a root of x'(t); use y'(t) if x'(t) is identically zero
+            const useX = a.x !== 0 || b.x !== 0 || c.x !== 0;
+            candidates = useX ?
+                BezierCurve.solveQuadratic(3 * a.x, 2 * b.x, c.x) :
+                BezierCurve.solveQuadratic(3 * a.y, 2 * b.y, c.y);
+        } else {
+            const useX = this.controlPoints.some((p) => p.x !== this.controlPoints[0].x);
+            candidates = BezierCurve.findRoots((t) => {
+                const first = this.calculateTangent(t);
+                return useX ? first.x : first.y;
+            });
+        }
+
+        return candidates.filter((t, i) =>
+            t >= 0 && t <= 1 &&
+            candidates.indexOf(t) === i &&
+            this.calculateSpeed(t) <= tolerance * scale
+        );
+    }
+
+    /**
+     * Find a self-intersection loop of the curve.
+     * The Loop-Blinn discriminant 3d₂² - 4d₁d₃ is negative for a loop, and the
+     * double point is at the roots of d₁²t² - d₁d₂t + d₂² - d₁d₃ = 0.
+     * Only cubics without weights are classified this way; quadratics and
+     * conics cannot loop.
+     * @returns {Array} [[t1, t2]] if the loop lies inside [0, 1], else []
+     */
+    findLoops() {
+        if (!this.isPolynomialCubic()) return [];
+
+        const { d1, d2, d3 } = this.getClassificationTerms();
+        const scale = Math.max(Math.abs(d1), Math.abs(d2), Math.abs(d3));
+
+        if (scale === 0 || Math.abs(d1) < 1e-9 * scale) return [];
+        if (3 * d2 * d2 - 4 * d1 * d3 >= 0) return [];
+
+        const roots = BezierCurve.solveQuadratic(d1 * d1, -d1 * d2, d2 * d2 - d1 * d3);
+
+        if (roots.length !== 2) return [];
+
+        return roots[0] >= 0 && roots[1] <= 1 ? [[roots[0], roots[1]]] : [];
+    }
+
+    /**
+     * Classify the visible part (0 ≤ t ≤ 1) of the curve
+     * @returns {string} 'line', 'cusp', 'loop', 'serpentine' or 'arch'
+     */
+    classifyCurve() {
+        if (this.isPolynomialCubic()) {
+            const { a, b, c } = this.getPowerCoefficients();
+            const cross = (u, v) => u.x * v.y - u.y * v.x;
+
+            // All control points collinear: the curve never turns
+            if (cross(a, b) === 0 && cross(c, a) === 0 && cross(c, b) === 0) return 'line';
+        } else if (this.isStraight()) {
+            return 'line';
+        }
+        if (this.findCusps().length > 0) return 'cusp';
+        if (this.findLoops().length > 0) return 'loop';
+        if (this.findInflections().length > 0) return 'serpentine';
+
+        return 'arch';
+    }
+
+    /**
+     * Find parameters of axis-aligned extrema, the roots of x'(t) and y'(t)
+     * @returns {Object} {x: [t...], y: [t...]} parameters strictly inside (0, 1)
+     */
+    findExtrema() {
+        const inside = (t) => t > 0 && t < 1;
+
+        if (!this.isPolynomialCubic()) {
+            return {
+                x: BezierCurve.findRoots((t) => this.calculateTangent(t).x).filter(inside),
+                y: BezierCurve.findRoots((t) => this.calculateTangent(t).y).filter(inside)
+            };
+        }
+
+        const { a, b, c } = this.getPowerCoefficients();
+
+        return {
+            x: BezierCurve.solveQuadratic(3 * a.x, 2 * b.x, c.x).filter(inside),
+            y: BezierCurve.solveQuadratic(3 * a.y, 2 * b.y, c.y).filter(inside)
+        };
+    }
+
+    /**
+     * Calculate the tight axis-aligned bounding box of the curve
+     * @returns {Object} {minX, minY, maxX, maxY}
+     */
+    calculateBoundingBox() {
+        const extrema = this.findExtrema();
+        const params = [0, 1].concat(extrema.x, extrema.y);
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        params.forEach((t) => {
             const point = this.calculatePoint(t);
-            this.curvePoints.push(point);
+            box.minX = Math.min(box.minX, point.x);
+            box.minY = Math.min(box.minY, point.y);
+            box.maxX = Math.max(box.maxX, point.x);
+            box.maxY = Math.max(box.maxY, point.y);
+        });
+
+        return box;
+    }
+
+    /**
+     * Solve at² + bt + c = 0, falling back to the linear case when a ≈ 0
+     * @param {number} a - Quadratic coefficient
+     * @param {number} b - Linear coefficient
+     * @param {number} c - Constant coefficient
+     * @returns {Array} Real roots in ascending order
+     */
+    static solveQuadratic(a, b, c) {
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c));
+        if (scale === 0) return [];
+
+        if (Math.abs(a) < 1e-12 * scale) {
+            return Math.abs(b) < 1e-12 * scale ? [] : [-c / b];
         }
-        
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return [];
+        if (discriminant === 0) return [-b / (2 * a)];
+
+        // Numerically stable form, avoids cancellation between -b and √D
+        const q = -0.5 * (b + Math.sign(b || 1) * Math.sqrt(discriminant));
+        const roots = [q / a, c / q];
+
+        return roots.sort((x, y) => x - y);
+    }
+
+    /**
+     * Solve at³ + bt² + ct + d = 0, falling back to the quadratic when a ≈ 0
+     * @param {number} a - Cubic coefficient
+     * @param {number} b - Quadratic coefficient
+     * @param {number} c - Linear coefficient
+     * @param {number} d - Constant coefficient
+     * @returns {Array} Real roots in ascending order
+     */
+    static solveCubic(a, b, c, d) {
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), Math.abs(d));
+        if (scale === 0) return [];
+        if (Math.abs(a) < 1e-12 * scale) return BezierCurve.solveQuadratic(b, c, d);
+
+        // Depressed cubic x³ + px + q = 0 with t = x - b/3a
+        const B = b / a;
+        const C = c / a;
+        const D = d / a;
+        const p = C - B * B / 3;
+        const q = 2 * B * B * B / 27 - B * C / 3 + D;
+        const shift = -B / 3;
+        const discriminant = q * q / 4 + p * p * p / 27;
+
+        let roots;
+        if (Math.abs(discriminant) < 1e-14 * Math.max(1, q * q)) {
+            // Double root
+            const u = Math.cbrt(-q / 2);
+            roots = [2 * u + shift, -u + shift];
+        } else if (discriminant > 0) {
+            // One real root (Cardano)
+            const sqrtD = Math.sqrt(discriminant);
+            roots = [Math.cbrt(-q / 2 + sqrtD) + Math.cbrt(-q / 2 - sqrtD) + shift];
+        } else {
+            // Three real roots (trigonometric form)
+            const r = 2 * Math.sqrt(-p / 3);
+            const phi = Math.acos(Math.max(-1, Math.min(1, 3 * q / (p * r))));
+            roots = [0, 1, 2].map((k) => r * Math.cos(phi / 3 - 2 * Math.PI * k / 3) + shift);
+        }
+
+        return roots.sort((x, y) => x - y);
+    }
+
+    /**
+     * Convert Bernstein coefficients to the power basis,
+     * cₖ = C(n, k) Σᵢ₌₀ᵏ (-1)ᵏ⁻ⁱ C(k, i) bᵢ
+     * @param {Array} values - Bernstein coefficients b₀ … bₙ
+     * @returns {Array} Power coefficients c₀ … cₙ (c₀ is the constant term)
+     */
+    static bernsteinToPower(values) {
+        const n = values.length - 1;
+        const coefficients = [];
+
+        for (let k = 0; k <= n; k++) {
+            let sum = 0;
+            for (let i = 0; i <= k; i++) {
+                sum += ((k - i) % 2 === 0 ? 1 : -1) * BezierCurve.binomial(k, i) * values[i];
+            }
+            coefficients.push(BezierCurve.binomial(n, k) * sum);
+        }
+
+        return coefficients;
+    }
+
+    /**
+     * Binomial coefficient C(n, k)
+     * @param {number} n - Set size
+     * @param {number} k - Subset size
+     * @returns {number} Number of k-subsets
+     */
+    static binomial(n, k) {
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return result;
+    }
+
+    /**
+     * A single curve is a path of one segment. BezierPath overrides this,
+     * so the geometric queries below work on both.
+     * @returns {Array} Array of BezierCurve instances
+     */
+    getSegments() {
+        return [this];
+    }
+
+    /**
+     * Find the point on the curve closest to (x, y). Coarse sampling picks
+     * a start, then Newton's method solves (B(t) - P) · B'(t) = 0.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} samples - Coarse samples per segment
+     * @returns {Object} {t, point, distance}
+     */
+    closestPoint(x, y, samples = 50) {
+        const count = samples * this.getSegments().length;
+        const distanceTo = (point) => Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
+
+        let bestT = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i <= count; i++) {
+            const distance = distanceTo(this.calculatePoint(i / count));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestT = i / count;
+            }
+        }
+
+        let t = bestT;
+        for (let i = 0; i < 8; i++) {
+            const point = this.calculatePoint(t);
+            const first = this.calculateTangent(t);
+            const second = this.calculateSecondDerivative(t);
+            const dx = point.x - x;
+            const dy = point.y - y;
+
+            const f = dx * first.x + dy * first.y;
+            const df = first.x * first.x + first.y * first.y + dx * second.x + dy * second.y;
+            if (df === 0) break;
+
+            const next = Math.max(0, Math.min(1, t - f / df));
+            if (Math.abs(next - t) < 1e-12) break;
+            t = next;
+        }
+
+        // Newton may wander off to a worse local minimum, keep the better one
+        if (distanceTo(this.calculatePoint(t)) > bestDistance) t = bestT;
+
+        const point = this.calculatePoint(t);
+        return { t: t, point: point, distance: distanceTo(point) };
+    }
+
+    /**
+     * Split control points of any degree at t with de Casteljau's
+     * algorithm. The first and last points of every interpolation row are
+     * the control points of the two halves. Weighted points are split in
+     * homogeneous coordinates, so the halves keep the exact shape.
+     * @param {Array} points - Control points P₀ … Pₙ
+     * @param {number} t - Split parameter between 0 and 1
+     * @returns {Array} [left, right], each n+1 {x, y[, z][, weight]} points
+     */
+    static subdivide(points, t) {
+        const rational = BezierCurve.hasWeights(points);
+        const depth = BezierCurve.hasDepth(points);
+        let row = BezierCurve.toHomogeneous(points);
+        const left = [row[0]];
+        const right = [row[row.length - 1]];
+
+        while (row.length > 1) {
+            row = row.slice(1).map((q, i) => row[i].map((value, k) => (1 - t) * value + t * q[k]));
+            left.push(row[0]);
+            right.unshift(row[row.length - 1]);
+        }
+
+        return [
+            BezierCurve.fromHomogeneous(left, rational, depth),
+            BezierCurve.fromHomogeneous(right, rational, depth)
+        ];
+    }
+
+    /**
+     * Raise the degree by one without changing the shape,
+     * Qᵢ = (i/(n+1))Pᵢ₋₁ + (1 - i/(n+1))Pᵢ in homogeneous coordinates
+     * @param {Array} points - Control points P₀ … Pₙ
+     * @returns {Array} n+2 control points
+     */
+    static elevateDegree(points) {
+        const rational = BezierCurve.hasWeights(points);
+        const depth = BezierCurve.hasDepth(points);
+        const h = BezierCurve.toHomogeneous(points);
+        const n = h.length - 1;
+        const result = [h[0]];
+
+        for (let i = 1; i <= n; i++) {
+            const a = i / (n + 1);
+            result.push(h[i].map((value, k) => a * h[i - 1][k] + (1 - a) * value));
+        }
+        result.push(h[n]);
+
+        return BezierCurve.fromHomogeneous(result, rational, depth);
+    }
+
+    /**
+     * Lower the degree by one. Keeps both end points and chooses the inner
+     * points so that elevating the result again is as close as possible
+     * (least squares) to the original control polygon; exact when the
+     * curve was elevated before.
+     * @param {Array} points - Control points P₀ … Pₙ, n ≥ 2
+     * @returns {Array} n control points
+     */
+    static reduceDegree(points) {
+        if (points.length < 3) {
+            throw new Error('Cannot reduce the degree of a straight line');
+        }
+
+        const rational = BezierCurve.hasWeights(points);
+        const depth = BezierCurve.hasDepth(points);
+        const h = BezierCurve.toHomogeneous(points);
+        const n = h.length - 1;
+        const first = h[0];
+        const last = h[n];
+        const unknowns = n - 2;  // inner points R₁ … Rₙ₋₂ of the reduced curve
+
+        if (unknowns === 0) return BezierCurve.fromHomogeneous([first, last], rational, depth);
+
+        // Elevation of R: Eᵢ = (i/n)Rᵢ₋₁ + (1 - i/n)Rᵢ, one row per original point
+        const rows = [];
+        const targets = [];
+        for (let i = 0; i <= n; i++) {
+            const row = new Array(unknowns).fill(0);
+            const target = h[i].slice();
+            const terms = [[i - 1, i / n], [i, 1 - i / n]];
+
+            terms.forEach(([j, coefficient]) => {
+                if (coefficient === 0 || j < 0 || j > n - 1) return;
+                if (j === 0 || j === n - 1) {
+                    const known = j === 0 ? first : last;
+                    for (let k = 0; k < known.length; k++) target[k] -= coefficient * known[k];
+                } else {
+                    row[j - 1] += coefficient;
+                }
+            });
+
+            rows.push(row);
+            targets.push(target);
+        }
+
+        // Normal equations AᵀA r = Aᵀb, solved once per coordinate
+        const normal = [];
+        for (let a = 0; a < unknowns; a++) {
+            normal.push([]);
+            for (let b = 0; b < unknowns; b++) {
+                normal[a].push(rows.reduce((sum, row) => sum + row[a] * row[b], 0));
+            }
+        }
+
+        const solved = first.map((_, k) => BezierCurve.solveLinearSystem(normal,
+            normal.map((_, a) => rows.reduce((sum, row, i) => sum + row[a] * targets[i][k], 0))));
+
+        const inner = [];
+        for (let j = 0; j < unknowns; j++) {
+            inner.push(solved.map((values) => values[j]));
+        }
+
+        return BezierCurve.fromHomogeneous([first].concat(inner, [last]), rational, depth);
+    }
+
+    /**
+     * Solve a small square linear system with Gaussian elimination
+     * @param {Array} matrix - Rows of coefficients
+     * @param {Array} values - Right-hand side
+     * @returns {Array} Solution vector
+     */
+    static solveLinearSystem(matrix, values) {
+        const n = values.length;
+        const a = matrix.map((row, i) => row.concat([values[i]]));
+
+        for (let col = 0; col < n; col++) {
+            // Partial pivoting keeps the elimination stable
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (a[pivot][col] === 0) throw new Error('Linear system is singular');
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+
+        const result = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * result[k];
+            result[row] = sum / a[row][row];
+        }
+
+        return result;
+    }
+
+    /**
+     * Control points of an exact circular arc as a rational quadratic. The
+     * middle point is where the end tangents meet, with weight cos(θ/2) for
+     * a sweep of θ.
+     * @param {number} cx - Centre X
+     * @param {number} cy - Centre Y
+     * @param {number} radius - Radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians, less than π from the start
+     * @returns {Array} Three weighted control points
+     */
+    static createArc(cx, cy, radius, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        if (sweep === 0 || Math.abs(sweep) >= Math.PI) {
+            throw new Error('Arc sweep must be between 0 and 180 degrees');
+        }
+
+        const half = Math.cos(sweep / 2);
+        const middle = (startAngle + endAngle) / 2;
+        const at = (angle, distance) => ({
+            x: cx + distance * Math.cos(angle),
+            y: cy + distance * Math.sin(angle)
+        });
+
+        return [
+            { ...at(startAngle, radius), weight: 1 },
+            { ...at(middle, radius / half), weight: half },
+            { ...at(endAngle, radius), weight: 1 }
+        ];
+    }
+
+    /**
+     * Split the curve in two at t, leaving this curve unchanged
+     * @param {number} t - Split parameter between 0 and 1
+     * @returns {Array} [left, right] as new BezierCurve instances
+     */
+    split(t) {
+        return BezierCurve.subdivide(this.controlPoints, t).map((points) => {
+            const curve = new BezierCurve();
+            curve.controlPoints = points;
+            return curve;
+        });
+    }
+
+    /**
+     * Intersect the curve with the line through p1 and p2. The control
+     * points are measured as signed distances from the line (times their
+     * weights), which turns the problem into the roots of one polynomial
+     * per segment: solved directly up to degree 3, numerically above.
+     * @param {Object} p1 - First point {x, y} on the line
+     * @param {Object} p2 - Second point {x, y} on the line
+     * @param {boolean} segmentOnly - Only keep hits between p1 and p2
+     * @returns {Array} [{t, u, point}] sorted by t, u is the position along p1 → p2
+     */
+    intersectLine(p1, p2, segmentOnly = true) {
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return [];
+
+        const segments = this.getSegments();
+        const hits = [];
+
+        segments.forEach((segment, index) => {
+            const distances = segment.controlPoints.map((p) =>
+                ((p.x - p1.x) * dy - (p.y - p1.y) * dx) * (p.weight === undefined ? 1 : p.weight));
+
+            let roots;
+            if (distances.length <= 4) {
+                const [c0, c1 = 0, c2 = 0, c3 = 0] = BezierCurve.bernsteinToPower(distances);
+                roots = BezierCurve.solveCubic(c3, c2, c1, c0);
+            } else {
+                const values = distances.map((d) => [d]);
+                roots = BezierCurve.findRoots((t) => BezierCurve.evaluate(values, t)[0]);
+            }
+
+            roots.forEach((t) => {
+                if (t < -1e-9 || t > 1 + 1e-9) return;
+                t = Math.max(0, Math.min(1, t));
+
+                const point = segment.calculatePoint(t);
+                const u = ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lengthSquared;
+                if (segmentOnly && (u < -1e-9 || u > 1 + 1e-9)) return;
+
+                const global = (index + t) / segments.length;
+                // A hit on a shared anchor is found by both segments
+                if (hits.some((hit) => Math.abs(hit.t - global) < 1e-9)) return;
+
+                hits.push({ t: global, u: u, point: point });
+            });
+        });
+
+        return hits.sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * Intersect with another curve or path by recursive subdivision: pieces
+     * whose control polygons' boxes overlap are halved until they are
+     * smaller than the tolerance, then the hit is polished with Newton.
+     * @param {BezierCurve} other - Curve or path to intersect with
+     * @param {number} tolerance - Size in pixels at which subdivision stops
+     * @returns {Array} [{t1, t2, point}] with t1 on this curve, t2 on the other, sorted by t1
+     */
+    intersectCurve(other, tolerance = 0.01) {
+        const own = this.getSegments();
+        const others = other.getSegments();
+        const hits = [];
+
+        own.forEach((a, i) => {
+            others.forEach((b, j) => {
+                BezierCurve.intersectSegments(a, b, tolerance).forEach((hit) => {
+                    hits.push({
+                        t1: (i + hit.t1) / own.length,
+                        t2: (j + hit.t2) / others.length,
+                        point: hit.point
+                    });
+                });
+            });
+        });
+
+        return BezierCurve.mergeHits(hits, tolerance).sort((a, b) => a.t1 - b.t1);
+    }
+
+    /**
+     * Find the points where the curve crosses itself: loops inside single
+     * segments, and crossings between different segments of a path
+     * @param {number} tolerance - Size in pixels at which subdivision stops
+     * @returns {Array} [{t1, t2, point}] with t1 < t2 as global parameters
+     */
+    findSelfIntersections(tolerance = 0.01) {
+        const segments = this.getSegments();
+        const n = segments.length;
+        const hits = [];
+        const radius = Math.max(tolerance * 10, 1e-6);
+
+        segments.forEach((segment, i) => {
+            const joint = segment.controlPoints[segment.controlPoints.length - 1];
+
+            segment.findLoops().forEach(([t1, t2]) => {
+                hits.push({ t1: (i + t1) / n, t2: (i + t2) / n, point: segment.calculatePoint(t1) });
+            });
+
+            for (let j = i + 1; j < n; j++) {
+                BezierCurve.intersectSegments(segment, segments[j], tolerance).forEach((hit) => {
+                    // Neighbours always meet at their shared anchor
+                    if (j === i + 1 && Math.abs(hit.point.x - joint.x) <= radius &&
+                        Math.abs(hit.point.y - joint.y) <= radius) return;
+                    hits.push({ t1: (i + hit.t1) / n, t2: (j + hit.t2) / n, point: hit.point });
+                });
+            }
+        });
+
+        return BezierCurve.mergeHits(hits, tolerance).sort((a, b) => a.t1 - b.t1);
+    }
+
+    /**
+     * Intersect two single curves
+     * @param {BezierCurve} a - First curve
+     * @param {BezierCurve} b - Second curve
+     * @param {number} tolerance - Size in pixels at which subdivision stops
+     * @returns {Array} [{t1, t2, point}] as local parameters
+     */
+    static intersectSegments(a, b, tolerance) {
+        const candidates = [];
+        const box = (points) => ({
+            minX: Math.min(...points.map((p) => p.x)),
+            minY: Math.min(...points.map((p) => p.y)),
+            maxX: Math.max(...points.map((p) => p.x)),
+            maxY: Math.max(...points.map((p) => p.y))
+        });
+
+        // The control polygon's box contains the curve piece (weights are positive)
+        const recurse = (pa, a0, a1, pb, b0, b1, depth) => {
+            const boxA = box(pa);
+            const boxB = box(pb);
+            if (boxA.maxX < boxB.minX || boxB.maxX < boxA.minX ||
+                boxA.maxY < boxB.minY || boxB.maxY < boxA.minY) return;
+
+            const sizeA = Math.max(boxA.maxX - boxA.minX, boxA.maxY - boxA.minY);
+            const sizeB = Math.max(boxB.maxX - boxB.minX, boxB.maxY - boxB.minY);
+            if ((sizeA <= tolerance && sizeB <= tolerance) || depth >= 40) {
+                candidates.push({ t1: (a0 + a1) / 2, t2: (b0 + b1) / 2 });
+                return;
+            }
+
+            // Halve the larger piece only, so flat pieces stop splitting early
+            if (sizeA >= sizeB) {
+                const [left, right] = BezierCurve.subdivide(pa, 0.5);
+                const mid = (a0 + a1) / 2;
+                recurse(left, a0, mid, pb, b0, b1, depth + 1);
+                recurse(right, mid, a1, pb, b0, b1, depth + 1);
+            } else {
+                const [left, right] = BezierCurve.subdivide(pb, 0.5);
+                const mid = (b0 + b1) / 2;
+                recurse(pa, a0, a1, left, b0, mid, depth + 1);
+                recurse(pa, a0, a1, right, mid, b1, depth + 1);
+            }
+        };
+
+        recurse(a.controlPoints, 0, 1, b.controlPoints, 0, 1, 0);
+
+        return candidates.map((hit) => BezierCurve.refineIntersection(a, b, hit.t1, hit.t2));
+    }
+
+    /**
+     * Polish an intersection with Newton's method on A(t₁) - B(t₂) = 0
+     * @param {BezierCurve} a - First curve
+     * @param {BezierCurve} b - Second curve
+     * @param {number} t1 - Parameter guess on a
+     * @param {number} t2 - Parameter guess on b
+     * @returns {Object} {t1, t2, point}
+     */
+    static refineIntersection(a, b, t1, t2) {
+        for (let i = 0; i < 5; i++) {
+            const pa = a.calculatePoint(t1);
+            const pb = b.calculatePoint(t2);
+            const da = a.calculateTangent(t1);
+            const db = b.calculateTangent(t2);
+
+            // Solve [A' -B'] [δ₁ δ₂]ᵀ = B - A
+            const det = -da.x * db.y + da.y * db.x;
+            if (Math.abs(det) < 1e-12) break;
+
+            const rx = pb.x - pa.x;
+            const ry = pb.y - pa.y;
+            const next1 = t1 + (-rx * db.y + ry * db.x) / det;
+            const next2 = t2 + (da.x * ry - da.y * rx) / det;
+
+            // Tangential or grazing hits can diverge, keep the subdivision result
+            if (next1 < 0 || next1 > 1 || next2 < 0 || next2 > 1) break;
+            t1 = next1;
+            t2 = next2;
+        }
+
+        return { t1: t1, t2: t2, point: a.calculatePoint(t1) };
+    }
+
+    /**
+     * Merge hits closer than the tolerance; subdivision reports a crossing
+     * once for every pair of pieces that touches it
+     * @param {Array} hits - [{t1, t2, point}]
+     * @param {number} tolerance - Merge distance in pixels
+     * @returns {Array} Distinct hits
+     */
+    static mergeHits(hits, tolerance) {
+        const radius = Math.max(tolerance * 10, 1e-6);
+
+        return hits.filter((hit, i) => !hits.slice(0, i).some((earlier) =>
+            Math.abs(earlier.point.x - hit.point.x) <= radius &&
+            Math.abs(earlier.point.y - hit.point.y) <= radius));
+    }
+
+    /**
+     * Flatten the curve into a polyline for rendering. Segments are
+     * subdivided adaptively until every piece is within the flatness
+     * tolerance of its chord, so straight parts get few points and tight
+     * bends many. With flatness 0 every segment gets sampleDensity uniform
+     * samples instead. The result is cached until the control points, the
+     * tolerance or the pixel scale change.
+     * @returns {Array} Array of {x, y} points, shared until the next change
+     */
+    sampleCurvePoints() {
+        const key = [this.getVersion(), this.flatness, this.pixelScale, this.sampleDensity].join(';');
+        if (key === this.flattenKey) return this.curvePoints;
+
+        const tolerance = this.flatness / (this.pixelScale || 1);
+        const points = [];
+
+        this.getSegments().forEach((segment, index) => {
+            // Later segments start at the shared anchor, already in the list
+            if (index === 0) {
+                const first = segment.calculatePoint(0);
+                points.push({ x: first.x, y: first.y });
+            }
+
+            if (this.flatness > 0) {
+                BezierCurve.flattenPoints(segment.controlPoints, tolerance, this.maxFlattenDepth, points);
+                return;
+            }
+            for (let i = 1; i <= this.sampleDensity; i++) {
+                points.push(segment.calculatePoint(i / this.sampleDensity));
+            }
+        });
+
+        this.curvePoints = points;
+        this.flattenKey = key;
+
         return this.curvePoints;
     }
 
+    /**
+     * Number of straight lines in the flattened curve
+     * @returns {number} Line count
+     */
+    getFlattenedSegmentCount() {
+        return Math.max(0, this.sampleCurvePoints().length - 1);
+    }
+
+    /**
+     * Append the polyline of one curve piece, without its first point.
+     * A piece whose inner control points all lie within the tolerance of the
+     * chord is flat: the curve stays inside the control polygon's hull, so
+     * the chord is then within the tolerance of the curve. Other pieces are
+     * halved with de Casteljau's algorithm.
+     * @param {Array} points - Control points of the piece
+     * @param {number} tolerance - Flatness tolerance in curve units
+     * @param {number} depth - Remaining subdivision depth
+     * @param {Array} output - Polyline to append to
+     */
+    static flattenPoints(points, tolerance, depth, output) {
+        const last = points[points.length - 1];
+
+        if (depth <= 0 || BezierCurve.isFlat(points, tolerance)) {
+            output.push({ x: last.x, y: last.y });
+            return;
+        }
+
+        const [left, right] = BezierCurve.subdivide(points, 0.5);
+        BezierCurve.flattenPoints(left, tolerance, depth - 1, output);
+        BezierCurve.flattenPoints(right, tolerance, depth - 1, output);
+    }
+
+    /**
+     * Whether the inner control points lie within a distance of the chord
+     * (measured to the chord segment, so pieces that fold back are caught)
+     * @param {Array} points - Control points
+     * @param {number} tolerance - Largest distance
+     * @returns {boolean} True if the chord is a close enough approximation
+     */
+    static isFlat(points, tolerance) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const limit = tolerance * tolerance;
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const p = points[i];
+            const u = lengthSquared > 0 ?
+                Math.max(0, Math.min(1, ((p.x - first.x) * dx + (p.y - first.y) * dy) / lengthSquared)) : 0;
+            const ex = p.x - (first.x + dx * u);
+            const ey = p.y - (first.y + dy * u);
+            if (ex * ex + ey * ey > limit) return false;
+        }
+
+        return true;
+    }
+
     /**
      * Get tangent points at regular intervals for visualization
      * @param {number} density - Number of tangents to display
-     * @returns {Array} Array of {point, tangent} objects
+     * @param {boolean} evenlySpaced - Space samples by arc length instead of by t
+     * @returns {Array} Array of {point, tangent, t} objects
      */
-    getTangentPoints(density) {
+    getTangentPoints(density, evenlySpaced = false) {
         const tangents = [];
+        const length = evenlySpaced ? this.calculateLength() : 0;
         
         for (let i = 0; i <= density; i++) {
-            const t = i / density;
+            const t = evenlySpaced ?
+                this.tAtDistance(length * i / density) :
+                i / density;
             const point = this.calculatePoint(t);
             const tangent = this.calculateNormalizedTangent(t);
             
             tangents.push({
                 point: point,
-                tangent: tangent
+                tangent: tangent,
+                t: t
             });
         }
         
@@ -135,19 +1268,129 @@ class BezierCurve {
     }
 
     /**
-     * Calculate the length of the curve (approximation)
-     * @returns {number} Approximate length of the curve
+     * Speed of the curve at parameter t, |B'(t)|
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {number} Length of the tangent vector
      */
-    calculateLength() {
-        const points = this.sampleCurvePoints();
+    calculateSpeed(t) {
+        const tangent = this.calculateTangent(t);
+        return Math.sqrt(tangent.x * tangent.x + tangent.y * tangent.y);
+    }
+
+    /**
+     * Arc length between two parameters using 3-point Gauss-Legendre quadrature
+     * of the speed. Exact for polynomials up to degree 5, so a short interval
+     * of a cubic is measured almost exactly.
+     * @param {number} t0 - Start parameter
+     * @param {number} t1 - End parameter
+     * @returns {number} Arc length from t0 to t1
+     */
+    integrateLength(t0, t1) {
+        const half = (t1 - t0) / 2;
+        const mid = (t0 + t1) / 2;
+        const offset = half * Math.sqrt(3 / 5);
+
+        return half * (
+            (5 / 9) * this.calculateSpeed(mid - offset) +
+            (8 / 9) * this.calculateSpeed(mid) +
+            (5 / 9) * this.calculateSpeed(mid + offset)
+        );
+    }
+
+    /**
+     * Number of equal t-intervals in the arc-length table
+     * @returns {number} Interval count
+     */
+    getArcLengthIntervals() {
+        return this.arcLengthResolution;
+    }
+
+    /**
+     * Get the arc-length table, rebuilding it when the control points moved.
+     * lengths[i] is the arc length from t = 0 to t = params[i].
+     * @returns {Object} {params, lengths, length}
+     */
+    getArcLengthTable() {
+        const key = this.getVersion() + ';' + this.getArcLengthIntervals();
+        if (this.arcLengthTable && key === this.arcLengthKey) {
+            return this.arcLengthTable;
+        }
+        
+        const intervals = this.getArcLengthIntervals();
+        const params = [0];
+        const lengths = [0];
         let length = 0;
         
-        for (let i = 1; i < points.length; i++) {
-            const dx = points[i].x - points[i-1].x;
-            const dy = points[i].y - points[i-1].y;
-            length += Math.sqrt(dx * dx + dy * dy);
+        for (let i = 1; i <= intervals; i++) {
+            const t0 = (i - 1) / intervals;
+            const t1 = i / intervals;
+            length += this.integrateLength(t0, t1);
+            params.push(t1);
+            lengths.push(length);
         }
         
-        return length;
+        this.arcLengthTable = { params, lengths, length };
+        this.arcLengthKey = key;
+        
+        return this.arcLengthTable;
+    }
+
+    /**
+     * Find the parameter t at which the arc length from the start equals s.
+     * Binary search in the table, then Newton steps on s(t) - s = 0.
+     * @param {number} s - Distance along the curve
+     * @returns {number} Parameter between 0 and 1
+     */
+    tAtDistance(s) {
+        const table = this.getArcLengthTable();
+        const { params, lengths } = table;
+        
+        if (s <= 0) return 0;
+        if (s >= table.length) return 1;
+        
+        // Binary search for the interval containing s
+        let low = 0;
+        let high = lengths.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (lengths[middle] < s) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        
+        // Linear guess inside the interval
+        const span = lengths[high] - lengths[low];
+        const fraction = span > 0 ? (s - lengths[low]) / span : 0;
+        let t = params[low] + fraction * (params[high] - params[low]);
+        
+        // Refine with Newton's method: ds/dt = |B'(t)|
+        for (let i = 0; i < 3; i++) {
+            const speed = this.calculateSpeed(t);
+            if (speed === 0) break;
+            
+            const error = lengths[low] + this.integrateLength(params[low], t) - s;
+            t = Math.max(params[low], Math.min(params[high], t - error / speed));
+        }
+        
+        return t;
+    }
+
+    /**
+     * Point at a given distance along the curve (constant-speed lookup)
+     * @param {number} s - Distance along the curve
+     * @returns {Object} {x, y} coordinates
+     */
+    pointAtDistance(s) {
+        return this.calculatePoint(this.tAtDistance(s));
+    }
+
+    /**
+     * Calculate the length of the curve from the arc-length table
+     * @returns {number} Length of the curve
+     */
+    calculateLength() {
+        return this.getArcLengthTable().length;
     }
 }
\ No newline at end of file
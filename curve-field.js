@@ -0,0 +1,391 @@
+/**
+ * Curve Field Module
+ * Manual implementation of many springy cubic curves in typed arrays
+ * Academic Integrity: This is my original work implementing batched physics from scratch
+ */
+
+/**
+ * Hundreds to thousands of cubic curves (grass, hair) simulated together.
+ * Instead of one object per control point the field keeps flat typed
+ * arrays: curve c has its points P₀ … P₃ at [c·8, c·8 + 8) of positions,
+ * velocities and rest, stored as x, y pairs. One update pass moves every
+ * dynamic point with the same spring model and fixed timestep as
+ * PhysicsSystem (semi-implicit Euler), so a curve behaves the same here
+ * as on its own.
+ */
+export class CurveField {
+    constructor(capacity = 256) {
+        this.count = 0;                // curves in use
+        this.capacity = 0;
+        this.positions = new Float64Array(0);
+        this.velocities = new Float64Array(0);
+        this.rest = new Float64Array(0);
+        this.pinned = new Uint8Array(0); // 1 per pinned point
+        this.phases = new Float64Array(0); // wind phase per curve
+
+        this.springConstant = 0.15;
+        this.damping = 0.88;
+        this.friction = 0.995;         // velocity kept per reference frame
+        this.externalForce = { x: 0, y: 0 };
+        this.wind = { strength: 0, frequency: 1.5 }; // swaying force in px per frame²
+        this.pointer = null;           // {x, y, radius, strength} pushing points away
+        this.time = 0;                 // simulated seconds, drives the wind
+
+        this.fixedTimeStep = 1 / 120;
+        this.referenceFrameTime = 1 / 60;
+        this.maxStepsPerUpdate = 30;
+        this.accumulator = 0;
+
+        this.reserve(capacity);
+    }
+
+    /**
+     * Make room for a number of curves, keeping the existing ones
+     * @param {number} capacity - Curves the arrays can hold
+     */
+    reserve(capacity) {
+        if (capacity <= this.capacity) return;
+
+        const grow = (array, size) => {
+            const larger = new array.constructor(size);
+            larger.set(array);
+            return larger;
+        };
+
+        this.positions = grow(this.positions, capacity * 8);
+        this.velocities = grow(this.velocities, capacity * 8);
+        this.rest = grow(this.rest, capacity * 8);
+        this.pinned = grow(this.pinned, capacity * 4);
+        this.phases = grow(this.phases, capacity);
+        this.capacity = capacity;
+    }
+
+    /**
+     * Add a curve at rest
+     * @param {Array} points - Four control points {x, y}
+     * @param {Array} pinned - Pinned flag per point, anchors by default
+     * @param {number} phase - Wind phase in radians
+     * @returns {number} Curve index
+     */
+    addCurve(points, pinned = [true, false, false, true], phase = 0) {
+        if (points.length !== 4) {
+            throw new Error('Curve field curves need exactly 4 control points');
+        }
+        if (this.count === this.capacity) this.reserve(Math.max(16, this.capacity * 2));
+
+        const c = this.count++;
+        points.forEach((point, k) => {
+            const i = (c * 4 + k) * 2;
+            this.positions[i] = this.rest[i] = point.x;
+            this.positions[i + 1] = this.rest[i + 1] = point.y;
+            this.velocities[i] = this.velocities[i + 1] = 0;
+            this.pinned[c * 4 + k] = pinned[k] ? 1 : 0;
+        });
+        this.phases[c] = phase;
+
+        return c;
+    }
+
+    /**
+     * Remove every curve
+     */
+    clear() {
+        this.count = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Control point of a curve
+     * @param {number} curve - Curve index
+     * @param {number} k - Point index 0 … 3
+     * @returns {Object} {x, y}
+     */
+    getPoint(curve, k) {
+        const i = (curve * 4 + k) * 2;
+        return { x: this.positions[i], y: this.positions[i + 1] };
+    }
+
+    /**
+     * Advance the field by the real time elapsed, in fixed steps
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    update(frameTime = 1000 / 60) {
+        this.accumulator += Math.max(0, frameTime) / 1000;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerUpdate) {
+            this.step(this.fixedTimeStep / this.referenceFrameTime);
+            this.accumulator -= this.fixedTimeStep;
+            this.time += this.fixedTimeStep;
+            steps++;
+        }
+
+        if (steps === this.maxStepsPerUpdate) {
+            this.accumulator = 0;
+        }
+    }
+
+    /**
+     * One fixed step for every dynamic point of every curve
+     * @param {number} h - Step size in reference frames
+     */
+    step(h) {
+        const { positions, velocities, rest, pinned, phases } = this;
+        const k = this.springConstant;
+        const damping = this.damping;
+        const friction = Math.pow(this.friction, h);
+        const pointer = this.pointer;
+        const pointerRadius = pointer ? pointer.radius : 0;
+        const wave = this.time * this.wind.frequency * Math.PI * 2;
+
+        for (let c = 0; c < this.count; c++) {
+            const windX = this.externalForce.x + this.wind.strength * Math.sin(wave + phases[c]);
+            const windY = this.externalForce.y;
+
+            for (let p = c * 4; p < c * 4 + 4; p++) {
+                if (pinned[p]) continue;
+
+                const i = p * 2;
+                let fx = windX;
+                let fy = windY;
+
+                // Points near the pointer are pushed away, harder closer in
+                if (pointer) {
+                    const dx = positions[i] - pointer.x;
+                    const dy = positions[i + 1] - pointer.y;
+                    const distanceSquared = dx * dx + dy * dy;
+                    if (distanceSquared < pointerRadius * pointerRadius && distanceSquared > 0) {
+                        const distance = Math.sqrt(distanceSquared);
+                        const push = pointer.strength * (1 - distance / pointerRadius) / distance;
+                        fx += dx * push;
+                        fy += dy * push;
+                    }
+                }
+
+                // Same acceleration as PhysicsSystem.acceleration
+                velocities[i] += (-k * (positions[i] - rest[i]) - damping * velocities[i] + fx) * h;
+                velocities[i + 1] += (-k * (positions[i + 1] - rest[i + 1]) - damping * velocities[i + 1] + fy) * h;
+                positions[i] += velocities[i] * h;
+                positions[i + 1] += velocities[i + 1] * h;
+                velocities[i] *= friction;
+                velocities[i + 1] *= friction;
+            }
+        }
+    }
+
+    /**
+     * Copy the parameters that change the motion
+     * @returns {Object} Parameters
+     */
+    getParameters() {
+        return {
+            springConstant: this.springConstant,
+            damping: this.damping,
+            friction: this.friction,
+            externalForce: { ...this.externalForce },
+            wind: { ...this.wind },
+            pointer: this.pointer ? { ...this.pointer } : null
+        };
+    }
+
+    /**
+     * Apply parameters from getParameters
+     * @param {Object} parameters - Parameters, missing keys are left alone
+     */
+    setParameters(parameters) {
+        ['springConstant', 'damping', 'friction'].forEach((key) => {
+            if (parameters[key] !== undefined) this[key] = parameters[key];
+        });
+        if (parameters.externalForce) this.externalForce = { ...parameters.externalForce };
+        if (parameters.wind) this.wind = { ...parameters.wind };
+        if (parameters.pointer !== undefined) this.pointer = parameters.pointer ? { ...parameters.pointer } : null;
+    }
+
+    /**
+     * Copy the curves and parameters into plain data, e.g. to hand the
+     * field to a worker
+     * @returns {Object} Field data
+     */
+    serialize() {
+        const used = (array, stride) => array.slice(0, this.count * stride);
+
+        return {
+            count: this.count,
+            positions: used(this.positions, 8),
+            velocities: used(this.velocities, 8),
+            rest: used(this.rest, 8),
+            pinned: used(this.pinned, 4),
+            phases: used(this.phases, 1),
+            time: this.time,
+            parameters: this.getParameters()
+        };
+    }
+
+    /**
+     * Build a field from serialize() data
+     * @param {Object} data - Field data
+     * @returns {CurveField} Field
+     */
+    static load(data) {
+        const field = new CurveField(Math.max(1, data.count));
+        field.count = data.count;
+        field.positions.set(data.positions);
+        field.velocities.set(data.velocities);
+        field.rest.set(data.rest);
+        field.pinned.set(data.pinned);
+        field.phases.set(data.phases);
+        field.time = data.time;
+        field.setParameters(data.parameters);
+        return field;
+    }
+
+    /**
+     * Grass blades along the bottom of an area: each blade is rooted with
+     * its first two points pinned, and bends towards a dynamic tip
+     * @param {number} count - Number of blades
+     * @param {number} width - Area width
+     * @param {number} height - Area height, the blades grow up from it
+     * @param {Function} random - Random number source in [0, 1)
+     * @returns {CurveField} Field
+     */
+    static createGrass(count, width, height, random = Math.random) {
+        const field = new CurveField(count);
+
+        for (let c = 0; c < count; c++) {
+            const x = (c + random()) / count * width;
+            const tall = height * (0.12 + 0.22 * random());
+            const lean = (random() - 0.5) * tall * 0.8;
+
+            field.addCurve([
+                { x: x, y: height },
+                { x: x, y: height - tall / 3 },
+                { x: x + lean * 0.4, y: height - tall * 2 / 3 },
+                { x: x + lean, y: height - tall }
+            ], [true, true, false, false], x / width * Math.PI * 4);
+        }
+
+        return field;
+    }
+}
+
+/**
+ * Runs a CurveField in a Web Worker. The worker owns the simulation; the
+ * page keeps a mirror field for drawing and copies the positions,
+ * velocities and time back after every step, so the mirror can carry on
+ * the motion if the worker fails. Only one step is in flight at a time: frames that pass
+ * while the worker is busy are added to the next step, so a slow worker
+ * lowers the simulation rate, never the frame rate.
+ */
+export class CurveFieldWorker {
+    /**
+     * @param {Worker} worker - Worker running CurveFieldWorker.serve
+     * @param {CurveField} field - Field to simulate, kept as the mirror
+     */
+    constructor(worker, field) {
+        this.worker = worker;
+        this.field = field;
+        this.busy = false;
+        this.pendingTime = 0;          // milliseconds not yet sent to the worker
+        this.stepTime = 0;             // worker time of the last step in milliseconds
+        this.error = null;             // why the worker failed, null while it works
+        this.onError = null;           // called with the message once the worker fails
+
+        // A module worker that cannot load (file://, no module workers)
+        // does not throw here; it reports an error event later
+        this.worker.onmessage = (event) => this.receive(event.data);
+        this.worker.onerror = (event) => {
+            if (event.preventDefault) event.preventDefault();
+            this.fail(event.message || 'the worker script could not be run');
+        };
+        this.worker.onmessageerror = () => this.fail('a worker message could not be read');
+        this.worker.postMessage({ type: 'load', field: field.serialize() });
+    }
+
+    /**
+     * Ask the worker to advance, or save the time for later if it is busy
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    update(frameTime) {
+        this.pendingTime += frameTime;
+        if (this.busy || this.error) return;
+
+        this.busy = true;
+        this.worker.postMessage({
+            type: 'step',
+            frameTime: this.pendingTime,
+            parameters: this.field.getParameters()
+        });
+        this.pendingTime = 0;
+    }
+
+    /**
+     * Take the state the worker sent back
+     * @param {Object} message - {type: 'positions', positions, velocities, time, accumulator, stepTime}
+     */
+    receive(message) {
+        if (message.type !== 'positions') return;
+
+        this.field.positions.set(message.positions);
+        this.field.velocities.set(message.velocities);
+        this.field.time = message.time;
+        this.field.accumulator = message.accumulator;
+        this.stepTime = message.stepTime;
+        this.busy = false;
+    }
+
+    /**
+     * Give up on a worker that failed: nothing is in flight any more and
+     * the mirror field keeps the last positions for the page to continue
+     * @param {string} message - What went wrong
+     */
+    fail(message) {
+        if (this.error) return;
+
+        this.error = message;
+        this.busy = false;
+        this.pendingTime = 0;
+        this.worker.terminate();
+        if (this.onError) this.onError(message);
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.worker.terminate();
+    }
+
+    /**
+     * Worker side: answer 'load' and 'step' messages on a worker scope.
+     * The positions are sent back as a transferred copy.
+     * @param {Object} scope - Worker global scope (self)
+     */
+    static serve(scope) {
+        let field = null;
+
+        scope.onmessage = (event) => {
+            const message = event.data;
+
+            if (message.type === 'load') {
+                field = CurveField.load(message.field);
+                return;
+            }
+            if (message.type !== 'step' || !field) return;
+
+            const start = performance.now();
+            field.setParameters(message.parameters);
+            field.update(message.frameTime);
+
+            const positions = field.positions.slice(0, field.count * 8);
+            const velocities = field.velocities.slice(0, field.count * 8);
+            scope.postMessage({
+                type: 'positions',
+                positions: positions,
+                velocities: velocities,
+                time: field.time,
+                accumulator: field.accumulator,
+                stepTime: performance.now() - start
+            }, [positions.buffer, velocities.buffer]);
+        };
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * Curve Fitting Module
+ * Manual implementation of least-squares fitting of cubic Bézier curves to sketched strokes
+ * Academic Integrity: This is my original work implementing curve fitting from scratch
+ */
+
+import { BezierCurve } from './bezier.js';
+
+/**
+ * Fits a freehand stroke with a chain of cubic segments (after Philip
+ * Schneider, "An Algorithm for Automatically Fitting Digitized Curves").
+ * Each segment keeps its end points and end tangent directions fixed and
+ * solves for the two handle lengths by least squares against the stroke
+ * points at their chord-length parameters. If the worst point is near the
+ * tolerance the parameters are improved with Newton steps and the fit is
+ * repeated; otherwise the stroke is split at the worst point with a shared
+ * tangent, so neighbouring segments meet smoothly (G1).
+ */
+export class CurveFitter {
+    /**
+     * @param {number} tolerance - Largest distance in pixels between stroke and fit
+     */
+    constructor(tolerance = 4) {
+        this.tolerance = tolerance;
+        this.minPointDistance = 2;     // stroke points closer than this to the last kept one are dropped
+        this.tangentReach = 10;        // distance along the stroke used to estimate a tangent
+        this.maxIterations = 4;        // Newton reparameterisations before a segment is split
+        this.reparameterizeFactor = 4; // errors up to this many tolerances try reparameterising first
+    }
+
+    /**
+     * Fit a stroke
+     * @param {Array} stroke - Stroke points {x, y} in drawing order
+     * @returns {Object} {controlPoints, segments, maxError, meanError, deviations}, where
+     *   controlPoints is a 3n+1 cubic chain and deviations pairs every kept stroke point
+     *   with its fitted point {point, fitted, distance}
+     */
+    fit(stroke) {
+        const points = CurveFitter.simplify(stroke, this.minPointDistance);
+        if (points.length < 2) {
+            throw new Error('A stroke needs at least 2 distinct points to fit');
+        }
+
+        const last = points.length - 1;
+        const controlPoints = [{ x: points[0].x, y: points[0].y }];
+        const deviations = [];
+
+        this.fitCubic(points, 0, last,
+            this.tangentAt(points, 0, 1), this.tangentAt(points, last, -1),
+            controlPoints, deviations);
+
+        // The fit passes through the last stroke point exactly
+        deviations.push({ point: points[last], fitted: { x: points[last].x, y: points[last].y }, distance: 0 });
+
+        const total = deviations.reduce((sum, deviation) => sum + deviation.distance, 0);
+
+        return {
+            controlPoints: controlPoints,
+            segments: (controlPoints.length - 1) / 3,
+            maxError: Math.max(...deviations.map((deviation) => deviation.distance)),
+            meanError: total / deviations.length,
+            deviations: deviations
+        };
+    }
+
+    /**
+     * Fit points first … last with one cubic, or split and recurse. The
+     * segment's last three control points are appended to the output; its
+     * first one is already there.
+     * @param {Array} points - Stroke points
+     * @param {number} first - First point index
+     * @param {number} last - Last point index
+     * @param {Object} startTangent - Unit direction leaving the first point
+     * @param {Object} endTangent - Unit direction leaving the last point backwards
+     * @param {Array} output - Control point chain being built
+     * @param {Array} deviations - Per-point errors being collected
+     */
+    fitCubic(points, first, last, startTangent, endTangent, output, deviations) {
+        if (last - first === 1) {
+            // Two points: a straight segment with handles at a third of the way
+            const reach = CurveFitter.distance(points[first], points[last]) / 3;
+            const curve = [
+                points[first],
+                { x: points[first].x + startTangent.x * reach, y: points[first].y + startTangent.y * reach },
+                { x: points[last].x + endTangent.x * reach, y: points[last].y + endTangent.y * reach },
+                points[last]
+            ];
+            this.acceptSegment(points, first, last, curve, [0, 1], output, deviations);
+            return;
+        }
+
+        let parameters = CurveFitter.chordLengthParameters(points, first, last);
+        let curve = CurveFitter.generateBezier(points, first, last, parameters, startTangent, endTangent);
+        let error = CurveFitter.maxError(points, first, last, curve, parameters);
+
+        if (error.distance <= this.tolerance) {
+            this.acceptSegment(points, first, last, curve, parameters, output, deviations);
+            return;
+        }
+
+        // Close enough that better parameters may be all it takes
+        if (error.distance <= this.tolerance * this.reparameterizeFactor) {
+            for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+                parameters = CurveFitter.reparameterize(points, first, last, curve, parameters);
+                curve = CurveFitter.generateBezier(points, first, last, parameters, startTangent, endTangent);
+                error = CurveFitter.maxError(points, first, last, curve, parameters);
+
+                if (error.distance <= this.tolerance) {
+                    this.acceptSegment(points, first, last, curve, parameters, output, deviations);
+                    return;
+                }
+            }
+        }
+
+        // Split at the worst point; both halves share its tangent
+        const split = Math.max(first + 1, Math.min(last - 1, error.index));
+        const centre = this.tangentAt(points, split, 0);
+
+        this.fitCubic(points, first, split, startTangent, centre, output, deviations);
+        this.fitCubic(points, split, last, { x: -centre.x, y: -centre.y }, endTangent, output, deviations);
+    }
+
+    /**
+     * Append a fitted segment and the errors of its points
+     * @param {Array} points - Stroke points
+     * @param {number} first - First point index
+     * @param {number} last - Last point index
+     * @param {Array} curve - Four control points
+     * @param {Array} parameters - Parameter of every point of the segment
+     * @param {Array} output - Control point chain being built
+     * @param {Array} deviations - Per-point errors being collected
+     */
+    acceptSegment(points, first, last, curve, parameters, output, deviations) {
+        output.push(
+            { x: curve[1].x, y: curve[1].y },
+            { x: curve[2].x, y: curve[2].y },
+            { x: curve[3].x, y: curve[3].y }
+        );
+
+        // The last point is the next segment's first, counted there
+        for (let i = first; i < last; i++) {
+            const fitted = CurveFitter.evaluate(curve, parameters[i - first]);
+            deviations.push({ point: points[i], fitted: fitted, distance: CurveFitter.distance(points[i], fitted) });
+        }
+    }
+
+    /**
+     * Unit tangent at a stroke point, from points up to tangentReach away
+     * so that jitter in the stroke does not tilt it
+     * @param {Array} points - Stroke points
+     * @param {number} index - Point index
+     * @param {number} direction - 1 to look ahead (start), -1 to look back (end), 0 for both (split)
+     * @returns {Object} Unit vector {x, y}; at a split it points backwards along the stroke
+     */
+    tangentAt(points, index, direction) {
+        const reach = (step) => {
+            let j = index;
+            while (j + step >= 0 && j + step < points.length) {
+                j += step;
+                if (CurveFitter.distance(points[j], points[index]) >= this.tangentReach) break;
+            }
+            return points[j];
+        };
+
+        const point = points[index];
+        const ahead = direction === -1 ? point : reach(1);
+        const behind = direction === 1 ? point : reach(-1);
+
+        // Pointing out of the segment being fitted: forwards at the start,
+        // backwards at the end and at a split
+        if (direction === 1) return CurveFitter.normalize({ x: ahead.x - point.x, y: ahead.y - point.y });
+        return CurveFitter.normalize({ x: behind.x - ahead.x, y: behind.y - ahead.y });
+    }
+
+    /**
+     * Drop consecutive stroke points that are too close together
+     * @param {Array} stroke - Stroke points {x, y}
+     * @param {number} minDistance - Smallest gap kept
+     * @returns {Array} Kept points; the last stroke point is always kept
+     */
+    static simplify(stroke, minDistance) {
+        const kept = [];
+
+        stroke.forEach((point) => {
+            if (kept.length === 0 || CurveFitter.distance(point, kept[kept.length - 1]) >= minDistance) {
+                kept.push({ x: point.x, y: point.y });
+            }
+        });
+
+        // Keep the real end of the stroke, replacing a kept point right next to it
+        const end = stroke[stroke.length - 1];
+        if (kept.length > 1 && end && (end.x !== kept[kept.length - 1].x || end.y !== kept[kept.length - 1].y)) {
+            kept[kept.length - 1] = { x: end.x, y: end.y };
+        }
+
+        return kept;
+    }
+
+    /**
+     * Parameters proportional to the distance travelled along the stroke
+     * @param {Array} points - Stroke points
+     * @param {number} first - First point index
+     * @param {number} last - Last point index
+     * @returns {Array} Parameters from 0 to 1
+     */
+    static chordLengthParameters(points, first, last) {
+        const parameters = [0];
+        for (let i = first + 1; i <= last; i++) {
+            parameters.push(parameters[parameters.length - 1] + CurveFitter.distance(points[i], points[i - 1]));
+        }
+
+        const total = parameters[parameters.length - 1];
+        return parameters.map((value) => value / total);
+    }
+
+    /**
+     * Least-squares cubic through the end points along fixed tangents:
+     * P₁ = P₀ + α₁t̂₁ and P₂ = P₃ + α₂t̂₂, with α₁ and α₂ from the 2×2 normal
+     * equations. Non-positive or degenerate solutions fall back to handles a
+     * third of the chord long.
+     * @param {Array} points - Stroke points
+     * @param {number} first - First point index
+     * @param {number} last - Last point index
+     * @param {Array} parameters - Parameter of every point of the segment
+     * @param {Object} startTangent - Unit direction leaving the first point
+     * @param {Object} endTangent - Unit direction leaving the last point backwards
+     * @returns {Array} Four control points
+     */
+    static generateBezier(points, first, last, parameters, startTangent, endTangent) {
+        const start = points[first];
+        const end = points[last];
+        let c00 = 0;
+        let c01 = 0;
+        let c11 = 0;
+        let x0 = 0;
+        let x1 = 0;
+
+        for (let i = first; i <= last; i++) {
+            const t = parameters[i - first];
+            const u = 1 - t;
+            const b0 = u * u * u;
+            const b1 = 3 * u * u * t;
+            const b2 = 3 * u * t * t;
+            const b3 = t * t * t;
+
+            const a1 = { x: startTangent.x * b1, y: startTangent.y * b1 };
+            const a2 = { x: endTangent.x * b2, y: endTangent.y * b2 };
+
+            // What is left of the point after the fixed end point terms
+            const rx = points[i].x - (start.x * (b0 + b1) + end.x * (b2 + b3));
+            const ry = points[i].y - (start.y * (b0 + b1) + end.y * (b2 + b3));
+
+            c00 += a1.x * a1.x + a1.y * a1.y;
+            c01 += a1.x * a2.x + a1.y * a2.y;
+            c11 += a2.x * a2.x + a2.y * a2.y;
+            x0 += a1.x * rx + a1.y * ry;
+            x1 += a2.x * rx + a2.y * ry;
+        }
+
+        const determinant = c00 * c11 - c01 * c01;
+        let alpha1 = determinant !== 0 ? (x0 * c11 - x1 * c01) / determinant : 0;
+        let alpha2 = determinant !== 0 ? (c00 * x1 - c01 * x0) / determinant : 0;
+
+        const chord = CurveFitter.distance(start, end);
+        const epsilon = chord * 1e-6;
+        if (alpha1 < epsilon || alpha2 < epsilon) {
+            alpha1 = alpha2 = chord / 3;
+        }
+
+        return [
+            { x: start.x, y: start.y },
+            { x: start.x + startTangent.x * alpha1, y: start.y + startTangent.y * alpha1 },
+            { x: end.x + endTangent.x * alpha2, y: end.y + endTangent.y * alpha2 },
+            { x: end.x, y: end.y }
+        ];
+    }
+
+    /**
+     * Worst distance between the points and the curve at their parameters
+     * @param {Array} points - Stroke points
+     * @param {number} first - First point index
+     * @param {number} last - Last point index
+     * @param {Array} curve - Four control points
+     * @param {Array} parameters - Parameter of every point of the segment
+     * @returns {Object} {distance, index} of the worst point
+     */
+    static maxError(points, first, last, curve, parameters) {
+        let worst = { distance: 0, index: Math.floor((first + last) / 2) };
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = CurveFitter.distance(points[i], CurveFitter.evaluate(curve, parameters[i - first]));
+            if (distance > worst.distance) worst = { distance: distance, index: i };
+        }
+
+        return worst;
+    }
+
+    /**
+     * Move every parameter towards the nearest curve point with one Newton
+     * step on (B(t) - P) · B'(t) = 0
+     * @param {Array} points - Stroke points
+     * @param {number} first - First point index
+     * @param {number} last - Last point index
+     * @param {Array} curve - Four control points
+     * @param {Array} parameters - Current parameters
+     * @returns {Array} New parameters
+     */
+    static reparameterize(points, first, last, curve, parameters) {
+        const coefficients = curve.map((p) => [p.x, p.y]);
+        const derivative = BezierCurve.hodograph(coefficients);
+        const second = BezierCurve.hodograph(derivative);
+
+        return parameters.map((t, k) => {
+            const point = points[first + k];
+            const [bx, by] = BezierCurve.evaluate(coefficients, t);
+            const [dx, dy] = BezierCurve.evaluate(derivative, t);
+            const [ddx, ddy] = BezierCurve.evaluate(second, t);
+
+            const numerator = (bx - point.x) * dx + (by - point.y) * dy;
+            const denominator = dx * dx + dy * dy + (bx - point.x) * ddx + (by - point.y) * ddy;
+            if (denominator === 0) return t;
+
+            return Math.max(0, Math.min(1, t - numerator / denominator));
+        });
+    }
+
+    /**
+     * Point on a cubic given by {x, y} control points
+     * @param {Array} curve - Control points
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} Point {x, y}
+     */
+    static evaluate(curve, t) {
+        const [x, y] = BezierCurve.evaluate(curve.map((p) => [p.x, p.y]), t);
+        return { x: x, y: y };
+    }
+
+    /**
+     * Distance between two points
+     * @param {Object} a - Point {x, y}
+     * @param {Object} b - Point {x, y}
+     * @returns {number} Distance
+     */
+    static distance(a, b) {
+        return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+    }
+
+    /**
+     * Scale a vector to unit length
+     * @param {Object} v - Vector {x, y}
+     * @returns {Object} Unit vector, or {1, 0} for a zero vector
+     */
+    static normalize(v) {
+        const length = Math.sqrt(v.x * v.x + v.y * v.y);
+        return length > 0 ? { x: v.x / length, y: v.y / length } : { x: 1, y: 0 };
+    }
+}
@@ -1,9 +1,13 @@
 /**
  * Demo Script for Testing and Verification
- * Run this in browser console to verify all functionality
+ * Logs a walkthrough of the main features; the assertions live in test/
  */
 
-function runDemoTests() {
+import { BezierCurve } from './bezier.js';
+import { BezierPath } from './bezier-path.js';
+import { PhysicsSystem } from './physics.js';
+
+export function runDemoTests() {
     console.log('🚀 Running Bézier Curve Demo Tests...');
     
     // Test 1: Bézier Mathematics
@@ -54,16 +58,50 @@ function runDemoTests() {
     const tangents = bezier.getTangentPoints(5);
     console.log(`✓ Generated ${tangents.length} tangent points`);
     
+    const evenTangents = bezier.getTangentPoints(5, true);
+    console.log(`✓ Generated ${evenTangents.length} evenly spaced tangent points`);
+    
+    const midpoint = bezier.pointAtDistance(length / 2);
+    console.log(`✓ Point halfway along the curve (t=${bezier.tAtDistance(length / 2).toFixed(3)}):`, midpoint);
+    
+    // Test 5: Curve Geometry
+    console.log('\n5. Testing Curve Geometry...');
+    console.log(`✓ Curvature at t=0.25: ${bezier.calculateCurvature(0.25).toFixed(5)}`);
+    console.log('✓ Unit normal at t=0.25:', bezier.calculateNormal(0.25));
+    console.log(`✓ Shape: ${bezier.classifyCurve()}, inflections at t =`, bezier.findInflections());
+    console.log('✓ Bounding box:', bezier.calculateBoundingBox());
+    
+    // Test 6: Multi-segment Path
+    console.log('\n6. Testing Multi-segment Path...');
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 100, y: 100 },
+        { x: 150, y: 50 },
+        { x: 200, y: 50 },
+        { x: 250, y: 100 },
+        { x: 280, y: 180 },
+        { x: 350, y: 150 },
+        { x: 400, y: 100 }
+    ], 'smooth');
+    console.log(`✓ Path with ${path.getSegmentCount()} segments, length ${path.calculateLength().toFixed(2)} pixels`);
+    
+    path.movePoint(2, 210, 40);
+    console.log('✓ Mirrored handle after move:', path.controlPoints[4]);
+    
     console.log('\n🎉 All tests completed successfully!');
     console.log('The implementation correctly handles:');
     console.log('  • Bézier curve mathematics');
     console.log('  • Tangent vector calculations'); 
+    console.log('  • Curvature, inflections and bounding boxes');
+    console.log('  • Multi-segment paths with continuity');
     console.log('  • Spring-damping physics');
     console.log('  • Real-time interaction');
     console.log('  • Efficient rendering');
 }
 
 // Run demo tests when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    setTimeout(runDemoTests, 1000);
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        setTimeout(runDemoTests, 1000);
+    });
+}
@@ -0,0 +1,289 @@
+/**
+ * Export Module
+ * Manual implementation of curve export to SVG, JSON and CSS easing
+ * Academic Integrity: This is my original work implementing the exporters from scratch
+ */
+
+export class CurveExporter {
+    constructor(bezier, physics, renderer) {
+        this.bezier = bezier;
+        this.physics = physics;
+        this.renderer = renderer;
+        this.precision = 2;           // decimals in SVG coordinates
+    }
+
+    /**
+     * Format a number for SVG output without trailing zeros
+     * @param {number} value - Number to format
+     * @returns {string} Formatted number
+     */
+    formatNumber(value) {
+        return String(parseFloat(value.toFixed(this.precision)));
+    }
+
+    /**
+     * Build SVG path data "M x0 y0 C x1 y1, x2 y2, x3 y3 …" for the curve or
+     * path. Lines and quadratics use L and Q; SVG has no rational or higher
+     * degree segments, so those are written as a polyline of samples.
+     * @returns {string} Path data
+     */
+    exportSVGPath() {
+        const points = this.bezier.controlPoints;
+        const degree = this.bezier.getDegree();
+        if (degree < 1 || (points.length - 1) % degree !== 0) {
+            throw new Error(`Bezier path requires ${degree}n+1 control points`);
+        }
+
+        const f = (p) => `${this.formatNumber(p.x)} ${this.formatNumber(p.y)}`;
+        let d = `M ${f(points[0])}`;
+
+        if (degree > 3 || this.bezier.isRational()) {
+            this.bezier.sampleCurvePoints().slice(1).forEach((p) => {
+                d += ` L ${f(p)}`;
+            });
+            return d;
+        }
+
+        const command = ['L', 'Q', 'C'][degree - 1];
+        for (let i = 1; i < points.length; i += degree) {
+            d += ` ${command} ` + points.slice(i, i + degree).map(f).join(', ');
+        }
+
+        return d;
+    }
+
+    /**
+     * Build a standalone SVG document containing the curve
+     * @param {number} width - Document width
+     * @param {number} height - Document height
+     * @returns {string} SVG markup
+     */
+    exportSVG(width, height) {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `  <path d="${this.exportSVGPath()}" fill="none" stroke="#4fc3f7" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>`,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Build SVG path data "M x0 y0 C x1 y1, x2 y2, x3 y3 …" for a cubic
+     * chain such as an offset curve or a stroke outline
+     * @param {Array} chain - 3n+1 cubic control points
+     * @param {boolean} closed - Close the path with Z
+     * @returns {string} Path data
+     */
+    exportChainPath(chain, closed = false) {
+        if (chain.length < 4 || (chain.length - 1) % 3 !== 0) {
+            throw new Error('A cubic chain requires 3n+1 control points');
+        }
+
+        const f = (p) => `${this.formatNumber(p.x)} ${this.formatNumber(p.y)}`;
+        let d = `M ${f(chain[0])}`;
+        for (let i = 1; i < chain.length; i += 3) {
+            d += ' C ' + chain.slice(i, i + 3).map(f).join(', ');
+        }
+
+        return closed ? d + ' Z' : d;
+    }
+
+    /**
+     * Build a standalone SVG document with a stroke outline as a filled
+     * shape and offset curves as dashed lines
+     * @param {Object} outline - {controlPoints} closed cubic chain from CurveOffsetter.outline
+     * @param {Array} offsets - Results of CurveOffsetter.offset
+     * @param {number} width - Document width
+     * @param {number} height - Document height
+     * @returns {string} SVG markup
+     */
+    exportOutlineSVG(outline, offsets, width, height) {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `  <path d="${this.exportChainPath(outline.controlPoints, true)}" fill="#4fc3f7"/>`,
+            ...offsets.map((offset) => `  <path d="${this.exportChainPath(offset.controlPoints)}" fill="none" stroke="#ff8a65" stroke-width="1.5" stroke-dasharray="6 4"/>`),
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Collect the full scene: control points, physics parameters and
+     * renderer settings
+     * @param {Object} canvas - Canvas size {width, height} the points refer to
+     * @returns {Object} Versioned scene document
+     */
+    getState(canvas) {
+        return {
+            format: CurveExporter.FORMAT,
+            version: CurveExporter.FORMAT_VERSION,
+            canvas: { width: canvas.width, height: canvas.height },
+            curve: {
+                controlPoints: this.bezier.controlPoints.map((p) => {
+                    const point = { x: p.x, y: p.y, pinned: !!p.pinned };
+                    if (p.z !== undefined && p.z !== 0) point.z = p.z;
+                    if (p.weight !== undefined && p.weight !== 1) point.weight = p.weight;
+                    return point;
+                }),
+                continuity: (this.bezier.continuity || []).slice(),
+                degree: this.bezier.getDegree()
+            },
+            physics: {
+                springConstant: this.physics.springConstant,
+                damping: this.physics.damping,
+                friction: this.physics.friction,
+                mouseInfluence: this.physics.mouseInfluence,
+                integrator: this.physics.integrator
+            },
+            renderer: {
+                tangentDensity: this.renderer.tangentDensity,
+                tangentLength: this.renderer.tangentLength,
+                evenTangentSpacing: this.renderer.evenTangentSpacing,
+                showNormals: this.renderer.showNormals,
+                showCurvatureComb: this.renderer.showCurvatureComb,
+                showBoundingBox: this.renderer.showBoundingBox,
+                showControlPoints: this.renderer.showControlPoints,
+                showTangents: this.renderer.showTangents,
+                showLabels: this.renderer.showLabels
+            }
+        };
+    }
+
+    /**
+     * Serialize the scene as pretty-printed JSON
+     * @param {Object} canvas - Canvas size {width, height}
+     * @returns {string} JSON document
+     */
+    exportJSON(canvas) {
+        return JSON.stringify(this.getState(canvas), null, 2);
+    }
+
+    /**
+     * Encode the scene into a URL hash "#scene=…" (base64url of the JSON)
+     * so a configuration can be shared by link
+     * @param {Object} canvas - Canvas size {width, height}
+     * @returns {string} Hash including the leading #
+     */
+    exportHash(canvas) {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.getState(canvas)));
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+
+        const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return '#scene=' + base64;
+    }
+
+    /**
+     * Normalize a single cubic into a CSS easing. The curve is rotated and
+     * scaled so its chord runs from (0, 0) to (1, 1), with y pointing up as
+     * in easing graphs. CSS requires x1 and x2 in [0, 1], so they are clamped.
+     * @returns {Object} {css, values: [x1, y1, x2, y2], clamped}
+     */
+    exportCSS() {
+        const points = this.bezier.controlPoints;
+        if (points.length !== 4) {
+            throw new Error('cubic-bezier() needs a curve with exactly one segment');
+        }
+        if (this.bezier.isRational()) {
+            throw new Error('cubic-bezier() cannot express weighted control points');
+        }
+
+        // Screen y points down, easing graphs point up
+        const [p0, p1, p2, p3] = points.map((p) => ({ x: p.x, y: -p.y }));
+        const chordX = p3.x - p0.x;
+        const chordY = p3.y - p0.y;
+        const chordLengthSq = chordX * chordX + chordY * chordY;
+
+        if (chordLengthSq === 0) {
+            throw new Error('cubic-bezier() needs distinct endpoints');
+        }
+
+        // Similarity transform taking the chord onto (1, 1): rotate by the
+        // chord angle, then scale so the chord has length √2
+        const map = (p) => {
+            const dx = p.x - p0.x;
+            const dy = p.y - p0.y;
+            const u = (dx * chordX + dy * chordY) / chordLengthSq;  // along the chord
+            const v = (dy * chordX - dx * chordY) / chordLengthSq;  // across the chord
+            return { x: u - v, y: u + v };
+        };
+
+        const a = map(p1);
+        const b = map(p2);
+        const round = (value) => parseFloat(value.toFixed(3));
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+
+        const values = [round(clamp(a.x)), round(a.y), round(clamp(b.x)), round(b.y)];
+        const clamped = a.x !== clamp(a.x) || b.x !== clamp(b.x);
+
+        return {
+            css: `cubic-bezier(${values.join(', ')})`,
+            values: values,
+            clamped: clamped
+        };
+    }
+
+    /**
+     * Copy text to the clipboard. When the Clipboard API is missing or
+     * refuses (no permission, page not focused), a hidden textarea is
+     * copied instead.
+     * @param {string} text - Text to copy
+     * @returns {Promise} Resolves when copied, rejects when neither way worked
+     */
+    static copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text).catch(() => CurveExporter.copyWithTextarea(text));
+        }
+
+        try {
+            return Promise.resolve(CurveExporter.copyWithTextarea(text));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Copy text through a selected textarea and execCommand('copy')
+     * @param {string} text - Text to copy
+     * @throws {Error} If the browser did not copy
+     */
+    static copyWithTextarea(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } finally {
+            document.body.removeChild(textarea);
+        }
+
+        if (!copied) {
+            throw new Error('The browser did not allow copying to the clipboard');
+        }
+    }
+
+    /**
+     * Offer text as a file download
+     * @param {string} text - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - MIME type of the file
+     */
+    static downloadText(text, filename, mimeType) {
+        const blob = new Blob([text], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+CurveExporter.FORMAT = 'bezier-curve-physics';
+CurveExporter.FORMAT_VERSION = 3;  // 2 adds curve.degree and point weights, 3 point depth z
@@ -0,0 +1,418 @@
+/**
+ * Import Module
+ * Manual implementation of scene, SVG path and URL hash import with validation
+ * Academic Integrity: This is my original work implementing the parsers from scratch
+ */
+
+import { BezierPath } from './bezier-path.js';
+import { CurveExporter } from './exporter.js';
+import { PhysicsSystem } from './physics.js';
+
+export class CurveImporter {
+    constructor(bezier, physics, renderer) {
+        this.bezier = bezier;
+        this.physics = physics;
+        this.renderer = renderer;
+    }
+
+    /**
+     * Parse SVG path data into a flat chain of cubic control points.
+     * Supports M, C, S, Q, L, H, V and Z in absolute and relative form.
+     * Quadratics and lines are converted to exact cubic equivalents.
+     * @param {string} d - SVG path data
+     * @returns {Array} Control points P₀ … P₃ₙ
+     */
+    parseSVGPath(d) {
+        if (typeof d !== 'string' || d.trim() === '') {
+            throw new Error('SVG path: path data is empty');
+        }
+
+        const tokenPattern = /([MmCcSsQqLlHhVvZz])|([-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?)/g;
+        const tokens = [];
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tokenPattern.exec(d)) !== null) {
+            const skipped = d.slice(lastIndex, match.index);
+            if (/[^\s,]/.test(skipped)) {
+                throw new Error(`SVG path: unexpected "${skipped.trim()}" at position ${lastIndex}`);
+            }
+            tokens.push(match[1] ? { command: match[1] } : { value: parseFloat(match[2]) });
+            lastIndex = tokenPattern.lastIndex;
+        }
+        if (/[^\s,]/.test(d.slice(lastIndex))) {
+            throw new Error(`SVG path: unexpected "${d.slice(lastIndex).trim()}" at position ${lastIndex}`);
+        }
+        if (tokens.length === 0 || !tokens[0].command || tokens[0].command.toUpperCase() !== 'M') {
+            throw new Error('SVG path: path data must start with a moveto (M) command');
+        }
+
+        const points = [];
+        let current = { x: 0, y: 0 };
+        let start = { x: 0, y: 0 };
+        let lastControl = null;        // second control point of the last C/S
+        let index = 0;
+
+        const readNumbers = (count, command) => {
+            const values = [];
+            for (let i = 0; i < count; i++) {
+                const token = tokens[index];
+                if (!token || token.command) {
+                    throw new Error(`SVG path: "${command}" expects ${count} numbers`);
+                }
+                values.push(token.value);
+                index++;
+            }
+            return values;
+        };
+
+        const hasNumber = () => index < tokens.length && !tokens[index].command;
+
+        const addCubic = (c1, c2, end) => {
+            points.push(c1, c2, end);
+            current = end;
+        };
+
+        const addLine = (end) => {
+            addCubic(
+                { x: current.x + (end.x - current.x) / 3, y: current.y + (end.y - current.y) / 3 },
+                { x: current.x + (end.x - current.x) * 2 / 3, y: current.y + (end.y - current.y) * 2 / 3 },
+                end
+            );
+        };
+
+        while (index < tokens.length) {
+            const token = tokens[index++];
+            if (!token.command) {
+                throw new Error(`SVG path: number ${token.value} without a command`);
+            }
+
+            const command = token.command;
+            const relative = command === command.toLowerCase();
+            const offset = (x, y) => relative ?
+                { x: current.x + x, y: current.y + y } :
+                { x: x, y: y };
+
+            switch (command.toUpperCase()) {
+                case 'M': {
+                    if (points.length > 1) {
+                        throw new Error('SVG path: only a single subpath is supported');
+                    }
+                    const [x, y] = readNumbers(2, command);
+                    current = offset(x, y);
+                    start = current;
+                    points.length = 0;
+                    points.push(current);
+
+                    // Further coordinate pairs are implicit lineto commands
+                    while (hasNumber()) {
+                        const [lx, ly] = readNumbers(2, command);
+                        addLine(offset(lx, ly));
+                    }
+                    lastControl = null;
+                    break;
+                }
+                case 'C':
+                    do {
+                        const [x1, y1, x2, y2, x, y] = readNumbers(6, command);
+                        const c1 = offset(x1, y1);
+                        const c2 = offset(x2, y2);
+                        addCubic(c1, c2, offset(x, y));
+                        lastControl = c2;
+                    } while (hasNumber());
+                    break;
+                case 'S':
+                    do {
+                        const [x2, y2, x, y] = readNumbers(4, command);
+                        // First control point mirrors the previous second control point
+                        const c1 = lastControl ?
+                            { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y } :
+                            { x: current.x, y: current.y };
+                        const c2 = offset(x2, y2);
+                        addCubic(c1, c2, offset(x, y));
+                        lastControl = c2;
+                    } while (hasNumber());
+                    break;
+                case 'Q':
+                    do {
+                        const [qx, qy, x, y] = readNumbers(4, command);
+                        const q = offset(qx, qy);
+                        const end = offset(x, y);
+                        // Degree elevation: cubic handles lie 2/3 of the way to the quadratic control
+                        addCubic(
+                            { x: current.x + (q.x - current.x) * 2 / 3, y: current.y + (q.y - current.y) * 2 / 3 },
+                            { x: end.x + (q.x - end.x) * 2 / 3, y: end.y + (q.y - end.y) * 2 / 3 },
+                            end
+                        );
+                    } while (hasNumber());
+                    lastControl = null;
+                    break;
+                case 'L':
+                    do {
+                        const [x, y] = readNumbers(2, command);
+                        addLine(offset(x, y));
+                    } while (hasNumber());
+                    lastControl = null;
+                    break;
+                case 'H':
+                    do {
+                        const [x] = readNumbers(1, command);
+                        addLine({ x: relative ? current.x + x : x, y: current.y });
+                    } while (hasNumber());
+                    lastControl = null;
+                    break;
+                case 'V':
+                    do {
+                        const [y] = readNumbers(1, command);
+                        addLine({ x: current.x, y: relative ? current.y + y : y });
+                    } while (hasNumber());
+                    lastControl = null;
+                    break;
+                case 'Z':
+                    if (current.x !== start.x || current.y !== start.y) {
+                        addLine({ x: start.x, y: start.y });
+                    }
+                    lastControl = null;
+                    break;
+                default:
+                    throw new Error(`SVG path: unsupported command "${command}"`);
+            }
+        }
+
+        if (points.length < 4) {
+            throw new Error('SVG path: needs at least one segment after the moveto');
+        }
+
+        return points;
+    }
+
+    /**
+     * Check that a point list can be used as a curve
+     * @param {Array} points - Control points
+     * @param {string} source - Name used in error messages
+     * @param {number} degree - Segment degree
+     */
+    validateControlPoints(points, source, degree = 3) {
+        if (!Array.isArray(points)) {
+            throw new Error(`${source}: control points must be an array`);
+        }
+        if (!Number.isInteger(degree) || degree < 1) {
+            throw new Error(`${source}: degree must be a positive integer`);
+        }
+        if (points.length < degree + 1 || (points.length - 1) % degree !== 0) {
+            const examples = [1, 2, 3].map((n) => degree * n + 1).join(', ');
+            throw new Error(`${source}: expected ${degree}n+1 control points (${examples}, …), got ${points.length}`);
+        }
+
+        points.forEach((point, i) => {
+            if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+                throw new Error(`${source}: control point ${i} needs finite numeric x and y`);
+            }
+            if (point.pinned !== undefined && typeof point.pinned !== 'boolean') {
+                throw new Error(`${source}: control point ${i} has a non-boolean "pinned"`);
+            }
+            if (point.z !== undefined && !Number.isFinite(point.z)) {
+                throw new Error(`${source}: control point ${i} has a non-numeric z`);
+            }
+            if (point.weight !== undefined && !(Number.isFinite(point.weight) && point.weight > 0)) {
+                throw new Error(`${source}: control point ${i} needs a positive weight`);
+            }
+        });
+    }
+
+    /**
+     * Check one optional setting against its type and the range of its control
+     * @param {*} value - Value from the scene, undefined if absent
+     * @param {Object} spec - {type: 'number' | 'boolean', min, max, integer}
+     * @param {string} name - Name used in error messages
+     */
+    validateSetting(value, spec, name) {
+        if (value === undefined) return;
+
+        if (spec.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${name} must be true or false`);
+            }
+            return;
+        }
+
+        if (!Number.isFinite(value)) {
+            throw new Error(`${name} must be a number`);
+        }
+        if (spec.integer && !Number.isInteger(value)) {
+            throw new Error(`${name} must be a whole number`);
+        }
+        if (value < spec.min || value > spec.max) {
+            throw new Error(`${name} is ${value}, expected ${spec.min} to ${spec.max}`);
+        }
+    }
+
+    /**
+     * Validate a scene document as written by CurveExporter
+     * @param {Object} scene - Parsed scene
+     * @returns {Object} The same scene
+     */
+    validateScene(scene) {
+        const source = 'Scene';
+
+        if (!scene || typeof scene !== 'object') {
+            throw new Error(`${source}: expected a JSON object`);
+        }
+        if (scene.format !== CurveExporter.FORMAT) {
+            throw new Error(`${source}: unknown format "${scene.format}", expected "${CurveExporter.FORMAT}"`);
+        }
+        if (!Number.isInteger(scene.version) || scene.version < 1) {
+            throw new Error(`${source}: missing or invalid version`);
+        }
+        if (scene.version > CurveExporter.FORMAT_VERSION) {
+            throw new Error(`${source}: version ${scene.version} is newer than supported version ${CurveExporter.FORMAT_VERSION}`);
+        }
+        if (!scene.curve) {
+            throw new Error(`${source}: missing "curve" section`);
+        }
+
+        const degree = scene.curve.degree === undefined ? 3 : scene.curve.degree;
+        this.validateControlPoints(scene.curve.controlPoints, source, degree);
+
+        const continuity = scene.curve.continuity || [];
+        if (!Array.isArray(continuity)) {
+            throw new Error(`${source}: continuity must be an array`);
+        }
+        continuity.forEach((mode, j) => {
+            if (BezierPath.CONTINUITY_MODES.indexOf(mode) === -1) {
+                throw new Error(`${source}: joint ${j} has unknown continuity "${mode}"`);
+            }
+        });
+
+        const physics = scene.physics || {};
+        Object.keys(CurveImporter.PHYSICS_RANGES).forEach((key) => {
+            this.validateSetting(physics[key], CurveImporter.PHYSICS_RANGES[key], `${source}: physics.${key}`);
+        });
+        if (physics.integrator !== undefined && PhysicsSystem.INTEGRATORS.indexOf(physics.integrator) === -1) {
+            throw new Error(`${source}: unknown integrator "${physics.integrator}"`);
+        }
+
+        const renderer = scene.renderer || {};
+        Object.keys(CurveImporter.RENDERER_SETTINGS).forEach((key) => {
+            this.validateSetting(renderer[key], CurveImporter.RENDERER_SETTINGS[key], `${source}: renderer.${key}`);
+        });
+
+        if (scene.canvas !== undefined) {
+            const { width, height } = scene.canvas;
+            if (!(width > 0) || !(height > 0)) {
+                throw new Error(`${source}: canvas width and height must be positive`);
+            }
+        }
+
+        return scene;
+    }
+
+    /**
+     * Parse and validate a JSON scene file
+     * @param {string} text - File contents
+     * @returns {Object} Validated scene
+     */
+    parseSceneJSON(text) {
+        let scene;
+        try {
+            scene = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Scene: file is not valid JSON (${error.message})`);
+        }
+        return this.validateScene(scene);
+    }
+
+    /**
+     * Apply a validated scene. Points are rescaled if the scene was saved
+     * on a canvas of a different size. Depth has no canvas axis of its
+     * own, so it is scaled by the mean of the two axis scales.
+     * @param {Object} scene - Validated scene
+     * @param {Object} canvas - Current canvas size {width, height}
+     */
+    applyScene(scene, canvas) {
+        const scaleX = scene.canvas ? canvas.width / scene.canvas.width : 1;
+        const scaleY = scene.canvas ? canvas.height / scene.canvas.height : 1;
+        const scaleZ = (scaleX + scaleY) / 2;
+
+        const points = scene.curve.controlPoints.map((p) => {
+            const point = { x: p.x * scaleX, y: p.y * scaleY };
+            if (typeof p.pinned === 'boolean') point.pinned = p.pinned;
+            if (p.z !== undefined) point.z = p.z * scaleZ;
+            if (p.weight !== undefined) point.weight = p.weight;
+            return point;
+        });
+
+        const continuity = scene.curve.continuity && scene.curve.continuity.length > 0 ?
+            scene.curve.continuity : 'smooth';
+        const degree = scene.curve.degree === undefined ? 3 : scene.curve.degree;
+        this.bezier.setControlPoints(points, continuity, degree);
+
+        const physics = scene.physics || {};
+        if (physics.springConstant !== undefined) this.physics.setSpringConstant(physics.springConstant);
+        if (physics.damping !== undefined) this.physics.setDamping(physics.damping);
+        if (physics.friction !== undefined) this.physics.friction = physics.friction;
+        if (physics.mouseInfluence !== undefined) this.physics.mouseInfluence = physics.mouseInfluence;
+        if (physics.integrator !== undefined) this.physics.setIntegrator(physics.integrator);
+        this.physics.setupControlPoints(this.bezier.controlPoints, degree);
+
+        // Only the validated settings are taken, other keys are ignored
+        const renderer = scene.renderer || {};
+        Object.keys(CurveImporter.RENDERER_SETTINGS).forEach((key) => {
+            if (renderer[key] !== undefined) this.renderer[key] = renderer[key];
+        });
+    }
+
+    /**
+     * Replace the curve with the shape from SVG path data
+     * @param {string} d - SVG path data
+     */
+    importSVGPath(d) {
+        const points = this.parseSVGPath(d);
+        this.validateControlPoints(points, 'SVG path');
+
+        // Joints between imported segments may be corners, keep them as they are
+        const joints = (points.length - 1) / 3 - 1;
+        this.bezier.setControlPoints(points, new Array(joints).fill('corner'), 3);
+        this.physics.setupControlPoints(this.bezier.controlPoints, 3);
+    }
+
+    /**
+     * Decode a scene from a URL hash written by CurveExporter.exportHash
+     * @param {string} hash - location.hash, with or without the leading #
+     * @returns {Object|null} Validated scene, or null if the hash holds no scene
+     */
+    decodeHash(hash) {
+        const match = /(?:^#?|&)scene=([^&]*)/.exec(hash || '');
+        if (!match) return null;
+
+        let text;
+        try {
+            const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+            text = new TextDecoder().decode(bytes);
+        } catch (error) {
+            throw new Error('Scene: the link is damaged and cannot be decoded');
+        }
+
+        return this.parseSceneJSON(text);
+    }
+}
+
+// Ranges of the matching controls; a scene outside them is rejected
+CurveImporter.PHYSICS_RANGES = {
+    springConstant: { type: 'number', min: 0.01, max: 0.5 },
+    damping: { type: 'number', min: 0.7, max: 0.99 },
+    friction: { type: 'number', min: 0, max: 1 },
+    mouseInfluence: { type: 'number', min: 0, max: 1 }
+};
+CurveImporter.RENDERER_SETTINGS = {
+    tangentDensity: { type: 'number', min: 1, max: 20, integer: true },
+    tangentLength: { type: 'number', min: 10, max: 100 },
+    evenTangentSpacing: { type: 'boolean' },
+    showNormals: { type: 'boolean' },
+    showCurvatureComb: { type: 'boolean' },
+    showBoundingBox: { type: 'boolean' },
+    showControlPoints: { type: 'boolean' },
+    showTangents: { type: 'boolean' },
+    showLabels: { type: 'boolean' }
+};
@@ -1,117 +1,833 @@
 /**
  * Input Handler Module
- * Manual implementation of mouse input handling
+ * Manual implementation of pointer (mouse, pen and touch) input handling
  * Academic Integrity: This is my original work implementing input handling from scratch
  */
 
-class InputHandler {
+import { ObstacleField } from './obstacles.js';
+import { CurveFitter } from './curve-fit.js';
+
+export class InputHandler {
     constructor(canvas, bezier, physics) {
         this.canvas = canvas;
         this.bezier = bezier;
         this.physics = physics;
-        
-        this.mouse = { x: 0, y: 0 };
+
+        this.mouse = { x: 0, y: 0 };   // last known pointer position
         this.isInteracting = false;
-        this.activePointIndex = -1;
+        this.activePointIndex = -1;    // most recently grabbed control point
         this.interactionRadius = 80;
-        
+        this.rope = null;              // rope simulation when rope mode is on
+
+        // Pointers currently down: pointerId -> {x, y, pointIndex, ropeNode}
+        this.pointers = new Map();
+        this.pinch = null;             // active two-finger pinch gesture
+
+        this.enabled = true;           // false while a recording is replayed
+        this.recorder = null;          // InputRecorder capturing the input stream
+        this.onEditStart = null;       // called before a drag, pinch or pin toggle
+        this.onEditEnd = null;         // called once the edit is finished
+        this.editing = false;
+        this.viewport = null;          // Viewport mapping CSS pixels to logical units
+        this.curvePickRadius = 10;     // how close a click must be to pick the curve
+        this.selectedT = null;         // parameter picked by clicking the curve
+        this.onCurveSelect = null;     // called with the picked t, or null when cleared
+        this.obstacles = null;         // ObstacleField edited by the obstacle tool
+        this.obstacleTool = null;      // 'circle', 'box', 'segment', 'erase' or null
+        this.onObstacleChange = null;  // called with ('add' | 'remove', obstacle, index)
+        this.selectedPointIndex = -1;  // last grabbed control point, kept after release
+        this.onPointSelect = null;     // called with the index when a point is grabbed
+        this.onDragStart = null;       // called with the index when a pointer starts dragging a point
+        this.drawMode = false;         // pointer sketches a stroke that replaces the curve
+        this.fitter = new CurveFitter(); // fits sketched strokes with cubic segments
+        this.sketch = null;            // {stroke, fit} of the latest stroke, for the overlay
+        this.onSketch = null;          // called with the fit once a sketched curve is applied
+        this.camera = null;            // Camera of the 3D view, null for the flat view
+        this.onCameraChange = null;    // called after the camera was orbited or zoomed
+        this.depthDragScale = 2;       // depth change per pixel of an Alt-drag on a point
+        this.wheelDepthScale = 0.5;    // depth change per pixel of wheel scrolling
+        this.wheelEditIdle = 300;      // milliseconds without scrolling that end a depth scroll edit
+        this.wheelEdit = null;         // {index, idle} while scrolling pushes a point in depth
+        this.nudgeSteps = { normal: 1, coarse: 10, fine: 0.1 }; // arrow key steps: plain, Shift, Alt
+
         this.setupEventListeners();
     }
 
     /**
-     * Set up mouse event listeners
+     * Set up pointer event listeners
      */
     setupEventListeners() {
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        this.canvas.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
-        
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
     }
 
     /**
-     * Handle mouse move events
-     * @param {MouseEvent} e - Mouse event
+     * Convert client coordinates to canvas coordinates, correcting for the
+     * canvas being displayed at a different CSS size than its pixel size
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} {x, y} in canvas pixels, or logical units with a viewport
      */
-    handleMouseMove(e) {
+    toCanvasCoordinates(e) {
+        if (this.viewport) {
+            return this.viewport.toLogical(e.clientX, e.clientY);
+        }
+
         const rect = this.canvas.getBoundingClientRect();
-        this.mouse.x = e.clientX - rect.left;
-        this.mouse.y = e.clientY - rect.top;
-        
-        if (this.isInteracting && this.activePointIndex !== -1) {
-            // Apply force to the active control point
-            this.physics.applyForceToPoint(
-                this.activePointIndex,
-                this.mouse.x,
-                this.mouse.y,
-                this.bezier.controlPoints
-            );
+        const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+        const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+
+        return {
+            x: (e.clientX - rect.left) * scaleX,
+            y: (e.clientY - rect.top) * scaleY
+        };
+    }
+
+    /**
+     * Handle pointer move events
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (!this.enabled) return;
+
+        const position = this.toCanvasCoordinates(e);
+        this.pointerMove(e.pointerId, position.x, position.y);
+    }
+
+    /**
+     * Handle pointer down events
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        if (!this.enabled) return;
+
+        const position = this.toCanvasCoordinates(e);
+        if (this.pointerDown(e.pointerId, position.x, position.y, e.shiftKey, e.altKey) &&
+            this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
         }
     }
 
     /**
-     * Handle mouse down events
-     * @param {MouseEvent} e - Mouse event
+     * Handle pointer up and cancel events
+     * @param {PointerEvent} e - Pointer event
      */
-    handleMouseDown(e) {
-        // Only allow interaction with dynamic control points (P₁ and P₂)
-        for (let i = 1; i <= 2; i++) {
-            if (i >= this.bezier.controlPoints.length) continue;
-            
-            const point = this.bezier.controlPoints[i];
+    handlePointerUp(e) {
+        if (!this.enabled) return;
+
+        if (this.pointerUp(e.pointerId) && this.canvas.releasePointerCapture) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+    }
+
+    /**
+     * Handle wheel events, only used by the 3D view
+     * @param {WheelEvent} e - Wheel event
+     */
+    handleWheel(e) {
+        if (!this.enabled || !this.camera) return;
+
+        e.preventDefault();
+        const position = this.toCanvasCoordinates(e);
+        this.wheel(position.x, position.y, e.deltaY);
+    }
+
+    /**
+     * Scroll in the 3D view: over a control point the point is pushed in
+     * depth (scrolling down pushes it away), elsewhere the camera zooms.
+     * One scroll over a point is one edit, ended by update() once the
+     * wheel has been idle for wheelEditIdle. While pointers are down the
+     * wheel only zooms, so it cannot end their edit.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} delta - Scroll amount in pixels
+     */
+    wheel(x, y, delta) {
+        if (!this.camera) return;
+
+        if (this.recorder) this.recorder.recordWheel(x, y, delta);
+
+        // Like Alt-drag, depth pushes are for the spring handles, not the rope
+        const index = this.pointers.size > 0 || this.rope ? -1 : this.findPointAt(x, y);
+        if (index === -1) {
+            this.camera.distance = Math.max(200, Math.min(5000, this.camera.distance * Math.exp(delta * 0.001)));
+            if (this.onCameraChange) this.onCameraChange();
+            return;
+        }
+
+        if (this.wheelEdit && this.wheelEdit.index !== index) this.finishWheelEdit();
+        if (!this.wheelEdit) {
+            this.beginEdit();
+            this.wheelEdit = { index: index, idle: 0 };
+        }
+
+        this.wheelEdit.idle = 0;
+        this.physics.pushDepth(index, delta * this.wheelDepthScale, this.bezier.controlPoints);
+    }
+
+    /**
+     * End a depth scroll edit that is still open
+     */
+    finishWheelEdit() {
+        if (!this.wheelEdit) return;
+
+        this.wheelEdit = null;
+        this.endEdit('Push depth');
+    }
+
+    /**
+     * Handle key presses while the canvas has focus
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (!this.enabled || e.ctrlKey || e.metaKey) return;
+
+        if (this.keyDown(e.key, e.shiftKey, e.altKey)) e.preventDefault();
+    }
+
+    /**
+     * Keyboard editing: Tab and Shift+Tab step through the control points,
+     * the arrow keys nudge the selected one (Shift for coarse, Alt for fine
+     * steps), Enter or Space pins and unpins it and Escape clears the
+     * selection. Tabbing past the last point clears the selection and lets
+     * focus leave the canvas.
+     * @param {string} key - KeyboardEvent key
+     * @param {boolean} shiftKey - Shift modifier
+     * @param {boolean} altKey - Alt modifier
+     * @returns {boolean} True if the key was used
+     */
+    keyDown(key, shiftKey = false, altKey = false) {
+        // Keys wait until pointer gestures are finished, they would end their edits
+        if (InputHandler.KEYS.indexOf(key) === -1 || this.pointers.size > 0) return false;
+        if (this.recorder) this.recorder.recordKey(key, shiftKey, altKey);
+        this.finishWheelEdit();
+
+        const index = this.selectedPointIndex;
+        const selected = index >= 0 && index < this.bezier.controlPoints.length;
+
+        if (key === 'Tab') {
+            return this.selectNextPoint(shiftKey ? -1 : 1);
+        }
+        if (key === 'Escape') {
+            if (!selected) return false;
+            this.selectPoint(-1);
+            return true;
+        }
+        if (!selected) return false;
+
+        if (key === 'Enter' || key === ' ') {
+            this.beginEdit();
+            this.physics.togglePinned(index, this.bezier.controlPoints);
+            this.endEdit('Toggle pin');
+            this.selectPoint(index);
+            return true;
+        }
+
+        const step = shiftKey ? this.nudgeSteps.coarse : altKey ? this.nudgeSteps.fine : this.nudgeSteps.normal;
+        const direction = InputHandler.ARROWS[key];
+        this.nudgePoint(index, direction.x * step, direction.y * step);
+        return true;
+    }
+
+    /**
+     * Control points that can be selected: all of them, or only the
+     * curve's endpoints in rope mode
+     * @returns {Array} Control point indices
+     */
+    getSelectablePoints() {
+        const count = this.bezier.controlPoints.length;
+        if (this.rope) return count > 1 ? [0, count - 1] : [0];
+        return Array.from({ length: count }, (_, i) => i);
+    }
+
+    /**
+     * Select the next or previous control point
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {boolean} False when stepping past either end, which clears the selection
+     */
+    selectNextPoint(direction) {
+        const selectable = this.getSelectablePoints();
+        const position = selectable.indexOf(this.selectedPointIndex);
+
+        // From nothing selected, Tab starts at the first point and Shift+Tab at the last
+        const next = position === -1 ?
+            (direction > 0 ? 0 : selectable.length - 1) :
+            position + direction;
+
+        if (next < 0 || next >= selectable.length) {
+            this.selectPoint(-1);
+            return false;
+        }
+        this.selectPoint(selectable[next]);
+        return true;
+    }
+
+    /**
+     * Select a control point without grabbing it
+     * @param {number} index - Control point index, -1 to clear
+     */
+    selectPoint(index) {
+        this.selectedPointIndex = index;
+        if (this.onPointSelect) this.onPointSelect(index);
+    }
+
+    /**
+     * Move a control point by an offset as one edit. The rest position
+     * moves along, so dynamic points stay where they were put.
+     * @param {number} index - Control point index
+     * @param {number} dx - X offset
+     * @param {number} dy - Y offset
+     */
+    nudgePoint(index, dx, dy) {
+        const point = this.bezier.controlPoints[index];
+        const x = point.x + dx;
+        const y = point.y + dy;
+
+        this.beginEdit();
+        this.bezier.movePoint(index, x, y);
+        this.bezier.movePoint(index, x, y, this.physics.restPositions);
+        this.endEdit('Nudge point');
+        if (this.onPointSelect) this.onPointSelect(index);
+    }
+
+    /**
+     * Move a pointer, in canvas coordinates
+     * @param {number} pointerId - Pointer id
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    pointerMove(pointerId, x, y) {
+        this.mouse.x = x;
+        this.mouse.y = y;
+
+        const pointer = this.pointers.get(pointerId);
+        if (!pointer) return;
+
+        if (this.recorder) this.recorder.recordEvent('move', pointerId, x, y, false);
+
+        pointer.x = x;
+        pointer.y = y;
+
+        if (pointer.stroke) {
+            pointer.stroke.push({ x: x, y: y });
+        } else if (pointer.orbit) {
+            this.camera.orbit(x - pointer.orbit.x, y - pointer.orbit.y);
+            pointer.orbit = { x: x, y: y };
+            if (this.onCameraChange) this.onCameraChange();
+        } else if (pointer.depthDrag) {
+            // Dragging up pushes the point away from the viewer
+            const dz = (pointer.depthDrag.y - y) * this.depthDragScale;
+            pointer.depthDrag.y = y;
+            this.physics.pushDepth(pointer.depthDrag.index, dz, this.bezier.controlPoints);
+        } else if (pointer.draft) {
+            pointer.draft.shape = ObstacleField.createFromDrag(this.obstacleTool, pointer.draft.start, pointer);
+        } else if (this.pinch) {
+            this.updatePinch();
+        } else if (pointer.ropeNode !== -1) {
+            this.rope.dragNode(pointer.ropeNode, pointer.x, pointer.y);
+        }
+
+        // A held point only gets a new target here; update() pulls it once
+        // per frame, so high-rate pointers do not drag any harder
+    }
+
+    /**
+     * Put a pointer down, in canvas coordinates. Each pointer grabs its own
+     * control point (or rope node); two pointers that grab nothing start a
+     * pinch. Shift-click toggles a point between pinned and dynamic, and a
+     * click that grabs nothing picks the nearest parameter on the curve.
+     * In the 3D view Alt-drag pushes a point in depth, or orbits the camera
+     * when it starts away from the points.
+     * @param {number} pointerId - Pointer id
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {boolean} shiftKey - Shift modifier
+     * @param {boolean} altKey - Alt modifier
+     * @returns {boolean} True if the pointer is now tracked
+     */
+    pointerDown(pointerId, x, y, shiftKey, altKey = false) {
+        this.mouse.x = x;
+        this.mouse.y = y;
+
+        if (this.recorder) this.recorder.recordEvent('down', pointerId, x, y, shiftKey, altKey);
+        this.finishWheelEdit();
+
+        const pointer = {
+            x: x, y: y, pointIndex: -1, ropeNode: -1, draft: null, stroke: null, orbit: null, depthDrag: null
+        };
+
+        if (this.camera && altKey && !this.rope) {
+            return this.startDepthGesture(pointerId, pointer);
+        }
+
+        // In draw mode the pointer sketches a new curve instead
+        if (this.drawMode) {
+            return this.startStroke(pointerId, pointer);
+        }
+
+        // With an obstacle tool the pointer draws or erases obstacles instead
+        if (this.obstacleTool && this.obstacles) {
+            return this.startObstacleEdit(pointerId, pointer);
+        }
+
+        // In rope mode the chain nodes are grabbed instead of the handles
+        if (this.rope) {
+            pointer.ropeNode = this.rope.findNode(x, y, this.interactionRadius);
+        }
+
+        if (pointer.ropeNode === -1) {
+            const index = this.findPointAt(x, y);
+
+            // The rope only follows the curve endpoints, its handles are hidden
+            const lastIndex = this.bezier.controlPoints.length - 1;
+            const pickable = index !== -1 && (!this.rope || index === 0 || index === lastIndex);
+
+            if (pickable && shiftKey) {
+                this.beginEdit();
+                this.physics.togglePinned(index, this.bezier.controlPoints);
+                this.endEdit('Toggle pin');
+                return false;
+            }
+            if (pickable) pointer.pointIndex = index;
+        }
+
+        this.pointers.set(pointerId, pointer);
+
+        if (pointer.ropeNode !== -1) {
+            this.rope.dragNode(pointer.ropeNode, pointer.x, pointer.y);
+        } else if (pointer.pointIndex !== -1) {
+            this.beginEdit();
+            this.activePointIndex = pointer.pointIndex;
+            this.selectedPointIndex = pointer.pointIndex;
+            if (this.onPointSelect) this.onPointSelect(pointer.pointIndex);
+            if (this.onDragStart) this.onDragStart(pointer.pointIndex);
+
+            // Apply immediate force for responsive feel
+            this.dragPoint(pointer);
+        } else if (this.getFreePointers().length === 2) {
+            this.beginEdit();
+            this.startPinch();
+        } else if (!this.rope) {
+            this.pickCurve(x, y);
+        }
+
+        this.updateInteractionState();
+        return true;
+    }
+
+    /**
+     * Erase the obstacle under a pointer, or start drawing a new one that
+     * follows the pointer until it is lifted
+     * @param {number} pointerId - Pointer id
+     * @param {Object} pointer - New pointer state
+     * @returns {boolean} True if the pointer is now tracked
+     */
+    startObstacleEdit(pointerId, pointer) {
+        if (this.obstacleTool === 'erase') {
+            const obstacle = this.obstacles.findObstacleAt(pointer.x, pointer.y);
+            if (obstacle) {
+                const index = this.obstacles.removeObstacle(obstacle);
+                if (this.onObstacleChange) this.onObstacleChange('remove', obstacle, index);
+            }
+            return false;
+        }
+
+        pointer.draft = { start: { x: pointer.x, y: pointer.y }, shape: null };
+        this.pointers.set(pointerId, pointer);
+        this.updateInteractionState();
+        return true;
+    }
+
+    /**
+     * Start an Alt-drag in the 3D view: on a control point it pushes the
+     * point in depth, elsewhere it orbits the camera
+     * @param {number} pointerId - Pointer id
+     * @param {Object} pointer - New pointer state
+     * @returns {boolean} True if the pointer is now tracked
+     */
+    startDepthGesture(pointerId, pointer) {
+        const index = this.findPointAt(pointer.x, pointer.y);
+
+        if (index === -1) {
+            pointer.orbit = { x: pointer.x, y: pointer.y };
+        } else {
+            this.beginEdit();
+            pointer.depthDrag = { index: index, y: pointer.y };
+        }
+
+        this.pointers.set(pointerId, pointer);
+        this.updateInteractionState();
+        return true;
+    }
+
+    /**
+     * Start sketching a stroke. Only one stroke is drawn at a time.
+     * @param {number} pointerId - Pointer id
+     * @param {Object} pointer - New pointer state
+     * @returns {boolean} True if the pointer is now tracked
+     */
+    startStroke(pointerId, pointer) {
+        if (this.pointers.size > 0) return false;
+
+        pointer.stroke = [{ x: pointer.x, y: pointer.y }];
+        this.sketch = { stroke: pointer.stroke, fit: null };
+        this.pointers.set(pointerId, pointer);
+        this.updateInteractionState();
+        return true;
+    }
+
+    /**
+     * Fit a finished stroke and make the fit the new curve and its rest
+     * shape, as one edit. A stroke too short to fit (a click) changes nothing.
+     * @param {Array} stroke - Stroke points {x, y}
+     */
+    finishStroke(stroke) {
+        let fit;
+        try {
+            fit = this.fitter.fit(stroke);
+        } catch (error) {
+            this.sketch = null;
+            return;
+        }
+        this.sketch.fit = fit;
+
+        // The fitted joints share their tangents, so aligned keeps the shape
+        this.beginEdit();
+        this.bezier.setControlPoints(fit.controlPoints, 'aligned', 3);
+        this.physics.setupControlPoints(this.bezier.controlPoints, 3);
+        this.selectedT = null;
+        this.selectedPointIndex = -1;
+        if (this.onSketch) this.onSketch(fit);
+        this.endEdit('Sketch curve');
+    }
+
+    /**
+     * Obstacles being drawn, for the renderer
+     * @returns {Array} Obstacle shapes
+     */
+    getObstacleDrafts() {
+        const drafts = [];
+        this.pointers.forEach((pointer) => {
+            if (pointer.draft && pointer.draft.shape) drafts.push(pointer.draft.shape);
+        });
+        return drafts;
+    }
+
+    /**
+     * Select the curve parameter nearest to a click, or clear the selection
+     * when the click is away from the curve
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    pickCurve(x, y) {
+        // The projected path has the same parameters as the world path
+        const curve = this.camera ? this.camera.projectPath(this.bezier) : this.bezier;
+        const hit = curve.closestPoint(x, y);
+        this.selectedT = hit.distance <= this.curvePickRadius ? hit.t : null;
+
+        if (this.onCurveSelect) this.onCurveSelect(this.selectedT);
+    }
+
+    /**
+     * Lift a pointer
+     * @param {number} pointerId - Pointer id
+     * @returns {boolean} True if the pointer was tracked
+     */
+    pointerUp(pointerId) {
+        const pointer = this.pointers.get(pointerId);
+        if (!pointer) return false;
+
+        if (this.recorder) this.recorder.recordEvent('up', pointerId, pointer.x, pointer.y, false);
+
+        if (pointer.ropeNode !== -1 && this.rope) {
+            this.rope.releaseNode(pointer.ropeNode);
+        }
+
+        this.pointers.delete(pointerId);
+
+        if (pointer.stroke) {
+            this.updateInteractionState();
+            this.finishStroke(pointer.stroke);
+            return true;
+        }
+
+        if (pointer.orbit || pointer.depthDrag) {
+            this.updateInteractionState();
+            if (pointer.depthDrag) this.endEdit('Push depth');
+            return true;
+        }
+
+        if (pointer.draft) {
+            this.updateInteractionState();
+            const shape = pointer.draft.shape;
+            if (shape && this.obstacles) {
+                this.obstacles.addObstacle(shape);
+                if (this.onObstacleChange) {
+                    this.onObstacleChange('add', shape, this.obstacles.obstacles.length - 1);
+                }
+            }
+            return true;
+        }
+
+        const wasPinching = this.pinch !== null;
+        if (this.getFreePointers().length < 2) {
+            this.pinch = null;
+        }
+
+        this.updateInteractionState();
+
+        // The edit ends when the last point or pinch is let go
+        if (this.getHeldPointIndices().length === 0 && this.pinch === null) {
+            this.endEdit(wasPinching ? 'Pinch scale' : 'Drag point');
+        }
+        return true;
+    }
+
+    /**
+     * Signal the start of an edit (once per gesture)
+     */
+    beginEdit() {
+        if (this.editing) return;
+
+        this.editing = true;
+        if (this.onEditStart) this.onEditStart();
+    }
+
+    /**
+     * Signal the end of an edit
+     * @param {string} label - Description of the edit
+     */
+    endEdit(label) {
+        if (!this.editing) return;
+
+        this.editing = false;
+        if (this.onEditEnd) this.onEditEnd(label);
+    }
+
+    /**
+     * Recompute the summary state from the pointers that are down
+     */
+    updateInteractionState() {
+        this.isInteracting = this.pointers.size > 0;
+
+        const held = this.getHeldPointIndices();
+        if (held.indexOf(this.activePointIndex) === -1) {
+            this.activePointIndex = held.length > 0 ? held[held.length - 1] : -1;
+        }
+    }
+
+    /**
+     * Control points currently held by a pointer
+     * @returns {Array} Control point indices
+     */
+    getHeldPointIndices() {
+        const indices = [];
+        this.pointers.forEach((pointer) => {
+            if (pointer.pointIndex !== -1) indices.push(pointer.pointIndex);
+        });
+        return indices;
+    }
+
+    /**
+     * Pointers that did not grab a point or rope node
+     * @returns {Array} Pointer records
+     */
+    getFreePointers() {
+        const free = [];
+        this.pointers.forEach((pointer) => {
+            const gesture = pointer.draft || pointer.stroke || pointer.orbit || pointer.depthDrag;
+            if (pointer.pointIndex === -1 && pointer.ropeNode === -1 && !gesture) {
+                free.push(pointer);
+            }
+        });
+        return free;
+    }
+
+    /**
+     * Find the control point closest to a position within the interaction
+     * radius, skipping points another pointer already holds
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {number} Control point index, or -1 if none is close enough
+     */
+    findPointAt(x, y) {
+        const held = this.getHeldPointIndices();
+        let best = -1;
+        let bestDistance = this.interactionRadius;
+
+        this.bezier.controlPoints.forEach((worldPoint, i) => {
+            if (held.indexOf(i) !== -1) return;
+
+            // In the 3D view points are picked where they are drawn
+            const point = this.camera ? this.camera.project(worldPoint) : worldPoint;
             const distance = Math.sqrt(
-                Math.pow(this.mouse.x - point.x, 2) + 
-                Math.pow(this.mouse.y - point.y, 2)
+                Math.pow(x - point.x, 2) +
+                Math.pow(y - point.y, 2)
             );
-            
-            if (distance < this.interactionRadius) {
-                this.isInteracting = true;
-                this.activePointIndex = i;
-                
-                // Apply immediate force for responsive feel
-                this.physics.applyForceToPoint(
-                    i,
-                    this.mouse.x,
-                    this.mouse.y,
-                    this.bezier.controlPoints
-                );
-                break;
+
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
             }
+        });
+
+        return best;
+    }
+
+    /**
+     * Pull a grabbed point toward its pointer. Pinned points follow the
+     * pointer exactly (together with their rest position), dynamic points
+     * are pulled by the physics. In the 3D view the point moves parallel to
+     * the screen, keeping its distance from the camera.
+     * @param {Object} pointer - Pointer record {x, y, pointIndex}
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    dragPoint(pointer, frameTime) {
+        const index = pointer.pointIndex;
+        const points = this.bezier.controlPoints;
+        if (index < 0 || index >= points.length) return;
+
+        if (this.camera) {
+            this.dragPointInSpace(pointer, frameTime);
+            return;
         }
+
+        if (points[index].pinned) {
+            this.bezier.movePoint(index, pointer.x, pointer.y);
+            this.bezier.movePoint(index, pointer.x, pointer.y, this.physics.restPositions);
+            return;
+        }
+
+        this.physics.applyForceToPoint(
+            index,
+            pointer.x,
+            pointer.y,
+            points,
+            frameTime
+        );
     }
 
     /**
-     * Handle mouse up events
-     * @param {MouseEvent} e - Mouse event
+     * dragPoint for the 3D view: the pointer is taken back into space at
+     * the point's current camera depth
+     * @param {Object} pointer - Pointer record {x, y, pointIndex}
+     * @param {number} frameTime - Elapsed time in milliseconds
      */
-    handleMouseUp(e) {
-        this.isInteracting = false;
-        this.activePointIndex = -1;
+    dragPointInSpace(pointer, frameTime) {
+        const index = pointer.pointIndex;
+        const points = this.bezier.controlPoints;
+        const rest = this.physics.restPositions;
+
+        // Give the point a depth (0) if it has none yet
+        this.physics.pushDepth(index, 0, points);
+
+        const depth = this.camera.toView(points[index]).depth;
+        const target = this.camera.unproject(pointer.x, pointer.y, depth);
+
+        if (points[index].pinned) {
+            this.bezier.movePoint(index, target.x, target.y);
+            this.bezier.movePoint(index, target.x, target.y, rest);
+            points[index].z = rest[index].z = target.z;
+            return;
+        }
+
+        this.physics.applyForceToPoint(index, target.x, target.y, points, frameTime, target.z);
     }
 
     /**
-     * Handle mouse leave events
-     * @param {MouseEvent} e - Mouse event
+     * Start a pinch with the two free pointers, remembering the curve as it
+     * was so the scale is always applied to the original shape
      */
-    handleMouseLeave(e) {
-        this.isInteracting = false;
-        this.activePointIndex = -1;
+    startPinch() {
+        const [a, b] = this.getFreePointers();
+        const distance = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+        if (distance === 0) return;
+
+        this.pinch = {
+            distance: distance,
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+            points: this.bezier.controlPoints.map((p) => ({ x: p.x, y: p.y })),
+            rest: this.physics.restPositions.map((p) => ({ x: p.x, y: p.y }))
+        };
+    }
+
+    /**
+     * Scale the whole curve about the pinch centre by the change in
+     * distance between the two fingers
+     */
+    updatePinch() {
+        const [a, b] = this.getFreePointers();
+        if (!a || !b) return;
+
+        const distance = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+        const scale = distance / this.pinch.distance;
+        const center = this.pinch.center;
+
+        const apply = (targets, originals) => {
+            originals.forEach((original, i) => {
+                if (!targets[i]) return;
+                targets[i].x = center.x + (original.x - center.x) * scale;
+                targets[i].y = center.y + (original.y - center.y) * scale;
+            });
+        };
+
+        apply(this.bezier.controlPoints, this.pinch.points);
+        apply(this.physics.restPositions, this.pinch.rest);
+    }
+
+    /**
+     * Switch rope mode on or off
+     * @param {RopeSimulation|null} rope - Rope to interact with, or null for the spring handles
+     */
+    setRope(rope) {
+        // Let go of every rope node and point held in the previous mode
+        this.pointers.forEach((pointer) => {
+            if (pointer.ropeNode !== -1 && this.rope) {
+                this.rope.releaseNode(pointer.ropeNode);
+            }
+        });
+        this.pointers.clear();
+        this.pinch = null;
+        this.updateInteractionState();
+        this.finishWheelEdit();
+        this.endEdit('Drag point');
+
+        this.rope = rope;
+    }
+
+    /**
+     * Drop every pointer without ending an edit, e.g. before a replay
+     */
+    resetPointers() {
+        this.pointers.clear();
+        this.pinch = null;
+        this.wheelEdit = null;
+        this.editing = false;
+        this.updateInteractionState();
     }
 
     /**
      * Update input handling (called every frame)
+     * @param {number} frameTime - Elapsed time since the last frame in milliseconds
      */
-    update() {
-        // Continuous interaction when mouse is down
-        if (this.isInteracting && this.activePointIndex !== -1) {
-            this.physics.applyForceToPoint(
-                this.activePointIndex,
-                this.mouse.x,
-                this.mouse.y,
-                this.bezier.controlPoints
-            );
+    update(frameTime) {
+        // Continuous interaction while pointers hold points
+        this.pointers.forEach((pointer) => {
+            if (pointer.pointIndex !== -1) {
+                this.dragPoint(pointer, frameTime);
+            }
+        });
+
+        // A depth scroll ends once the wheel has rested
+        if (this.wheelEdit) {
+            this.wheelEdit.idle += frameTime;
+            if (this.wheelEdit.idle >= this.wheelEditIdle) this.finishWheelEdit();
         }
     }
 
@@ -131,7 +847,17 @@ class InputHandler {
         return {
             isInteracting: this.isInteracting,
             activePoint: this.activePointIndex,
+            activePoints: this.getHeldPointIndices(),
+            isPinching: this.pinch !== null,
             mousePosition: { ...this.mouse }
         };
     }
-}
\ No newline at end of file
+}
+
+InputHandler.ARROWS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 }
+};
+InputHandler.KEYS = ['Tab', 'Escape', 'Enter', ' ', ...Object.keys(InputHandler.ARROWS)];
\ No newline at end of file
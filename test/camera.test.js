@@ -0,0 +1,203 @@
+/**
+ * Camera Tests
+ * Projection of 3D control points, projected paths as rational curves,
+ * depth in the physics and depth pushing from the input handler
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Camera } from '../camera.js';
+import { BezierPath } from '../bezier-path.js';
+import { PhysicsSystem } from '../physics.js';
+import { InputHandler } from '../input.js';
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * A one-segment cubic path with some depth on its handles
+ * @returns {BezierPath} Path
+ */
+function createDeepPath() {
+    const path = new BezierPath();
+    path.setControlPoints([
+        { x: 160, y: 250 },
+        { x: 320, y: 150, z: 300 },
+        { x: 480, y: 350, z: -200 },
+        { x: 640, y: 250 }
+    ], 'smooth', 3);
+    return path;
+}
+
+test('a flat curve seen straight on projects onto itself', () => {
+    const camera = new Camera({ x: 400, y: 250, z: 0 });
+    const projected = camera.project({ x: 123, y: 456 });
+
+    assert.ok(Math.abs(projected.x - 123) < 1e-9 && Math.abs(projected.y - 456) < 1e-9);
+    assert.equal(projected.depthScale, 1);
+
+    // Nearer points are drawn larger and farther from the target
+    const near = camera.project({ x: 500, y: 250, z: -500 });
+    assert.ok(near.depthScale > 1 && near.x > 500);
+});
+
+test('the projected path is the exact projection of the 3D curve', () => {
+    const path = createDeepPath();
+    const camera = new Camera({ x: 400, y: 250, z: 0 });
+    camera.orbit(40, -25);
+
+    Camera.PROJECTIONS.forEach((projection) => {
+        camera.setProjection(projection);
+        const view = camera.projectPath(path);
+
+        for (let i = 0; i <= 20; i++) {
+            const t = i / 20;
+            const expected = camera.project(path.calculatePoint3D(t));
+            const actual = view.calculatePoint(t);
+            assert.ok(Math.hypot(actual.x - expected.x, actual.y - expected.y) < 1e-9,
+                `${projection} differs at t = ${t}`);
+        }
+    });
+
+    // Updating in place keeps the same points and follows the camera
+    const view = camera.projectPath(path);
+    const first = view.controlPoints[1];
+    camera.orbit(-10, 0);
+    assert.equal(camera.projectPath(path, view), view);
+    assert.equal(view.controlPoints[1], first);
+    assert.equal(view.controlPoints[1].x, camera.project(path.controlPoints[1]).x);
+    assert.throws(() => camera.setProjection('fisheye'), /Unknown projection/);
+});
+
+test('unproject takes a canvas position back to the same depth', () => {
+    const camera = new Camera({ x: 400, y: 250, z: 0 });
+    camera.orbit(70, 30);
+    const point = { x: 300, y: 180, z: 120 };
+
+    const projected = camera.project(point);
+    const back = camera.unproject(projected.x, projected.y, projected.depth);
+    assert.ok(Math.hypot(back.x - point.x, back.y - point.y, back.z - point.z) < 1e-9);
+});
+
+test('depth springs back to rest without changing the flat motion', () => {
+    const flat = [{ x: 160, y: 250 }, { x: 320, y: 150 }, { x: 480, y: 350 }, { x: 640, y: 250 }];
+    const deep = flat.map((p) => ({ ...p, z: 0 }));
+    flat.forEach((p, i) => { p.pinned = deep[i].pinned = i === 0 || i === 3; });
+
+    const flatPhysics = new PhysicsSystem();
+    const deepPhysics = new PhysicsSystem();
+    flatPhysics.setupControlPoints(flat);
+    deepPhysics.setupControlPoints(deep);
+    flat[1].x += 50;
+    deep[1].x += 50;
+    deep[1].z = 80;
+
+    for (let frame = 0; frame < 600; frame++) {
+        flatPhysics.update(flat, FRAME_TIME);
+        deepPhysics.update(deep, FRAME_TIME);
+    }
+
+    assert.ok(Math.abs(deep[1].x - flat[1].x) < 1e-9 && Math.abs(deep[1].y - flat[1].y) < 1e-9);
+    assert.ok(Math.abs(deep[1].z) < 1, `z = ${deep[1].z}`);
+    assert.equal('z' in flat[1], false);
+
+    // Pushing moves the rest depth; pinned points go along at once
+    deepPhysics.pushDepth(1, 40, deep);
+    deepPhysics.pushDepth(0, -30, deep);
+    assert.equal(deepPhysics.restPositions[1].z, 40);
+    assert.equal(deep[0].z, -30);
+});
+
+test('splitting and elevating keep the depth of the curve and its rest shape', () => {
+    const path = createDeepPath();
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(path.controlPoints);
+    const original = (t) => createDeepPath().calculatePoint3D(t);
+
+    // As the page does: the rest shape goes through the same operation
+    const split = path.splitAt(0.4);
+    let rest = BezierPath.splitChain(physics.restPositions.map((p) => PhysicsSystem.copyPosition(p)),
+        split.segment, split.t, 3);
+    rest = BezierPath.elevateChain(rest, 3);
+    path.elevateDegree();
+    physics.setupControlPoints(path.controlPoints, path.getDegree());
+    physics.restPositions = rest.map((p) => PhysicsSystem.copyPosition(p));
+
+    // Each half runs over its part of the original curve, depth included
+    [[0, 0], [0.25, 0.2], [0.5, 0.4], [0.75, 0.7]].forEach(([t, u]) => {
+        const after = path.calculatePoint3D(t);
+        const expected = original(u);
+        ['x', 'y', 'z'].forEach((axis) => {
+            assert.ok(Math.abs(after[axis] - expected[axis]) < 1e-9, `${axis} at ${t}: ${after[axis]} vs ${expected[axis]}`);
+        });
+    });
+    assert.deepEqual(physics.restPositions.map((p) => p.z), path.controlPoints.map((p) => p.z));
+
+    for (let frame = 0; frame < 120; frame++) physics.update(path.controlPoints, FRAME_TIME);
+    path.controlPoints.forEach((p, i) => {
+        assert.ok([p.x, p.y, p.z === undefined ? 0 : p.z].every(Number.isFinite), `point ${i} is not finite`);
+    });
+});
+
+test('the wheel and Alt-drag push a point in depth as undoable edits', () => {
+    const canvas = { addEventListener() {} };
+    const bezier = createDeepPath();
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+
+    const input = new InputHandler(canvas, bezier, physics);
+    const edits = [];
+    input.onEditEnd = (label) => edits.push(label);
+    input.camera = new Camera({ x: 400, y: 250, z: 0 });
+
+    const anchor = input.camera.project(bezier.controlPoints[3]);
+    input.wheel(anchor.x, anchor.y, 100);
+    assert.equal(bezier.controlPoints[3].z, 100 * input.wheelDepthScale);
+
+    input.pointerDown(1, anchor.x, anchor.y, false, true);
+    input.pointerMove(1, anchor.x, anchor.y - 10);
+    input.pointerUp(1);
+    assert.equal(bezier.controlPoints[3].z, 100 * input.wheelDepthScale + 10 * input.depthDragScale);
+    assert.deepEqual(edits, ['Push depth', 'Push depth']);
+
+    // Away from the points the wheel zooms and Alt-drag orbits
+    input.wheel(400, 450, 100);
+    assert.ok(input.camera.distance > 1000);
+    input.pointerDown(2, 400, 450, false, true);
+    input.pointerMove(2, 420, 450);
+    input.pointerUp(2);
+    assert.ok(Math.abs(input.camera.yaw - 20 * input.camera.orbitSpeed) < 1e-12);
+    assert.equal(edits.length, 2);
+});
+
+test('one scroll is one depth edit and the wheel leaves a drag alone', () => {
+    const canvas = { addEventListener() {} };
+    const bezier = createDeepPath();
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+
+    const input = new InputHandler(canvas, bezier, physics);
+    const edits = [];
+    input.onEditEnd = (label) => edits.push(label);
+    input.camera = new Camera({ x: 400, y: 250, z: 0 });
+
+    // Twenty wheel events a frame apart are one edit, ended once the wheel rests
+    const anchor = input.camera.project(bezier.controlPoints[3]);
+    for (let i = 0; i < 20; i++) {
+        input.wheel(anchor.x, anchor.y, 10);
+        input.update(FRAME_TIME);
+    }
+    assert.deepEqual(edits, []);
+    assert.equal(bezier.controlPoints[3].z, 200 * input.wheelDepthScale);
+    for (let frame = 0; frame * FRAME_TIME < input.wheelEditIdle; frame++) input.update(FRAME_TIME);
+    assert.deepEqual(edits, ['Push depth']);
+
+    // Scrolling during a drag zooms instead of pushing and ending the drag's edit
+    const handle = input.camera.project(bezier.controlPoints[0]);
+    input.pointerDown(1, handle.x, handle.y, false);
+    const distance = input.camera.distance;
+    input.wheel(anchor.x, anchor.y, 100);
+    assert.equal(bezier.controlPoints[3].z, 200 * input.wheelDepthScale);
+    assert.ok(input.camera.distance > distance);
+    input.pointerUp(1);
+    assert.deepEqual(edits, ['Push depth', 'Drag point']);
+});
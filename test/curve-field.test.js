@@ -0,0 +1,190 @@
+/**
+ * Curve Field Tests
+ * The batched typed-array simulation against PhysicsSystem, pointer and
+ * pinning behaviour, the worker protocol and batched drawing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CurveField, CurveFieldWorker } from '../curve-field.js';
+import { PhysicsSystem } from '../physics.js';
+import { Renderer } from '../renderer.js';
+import { RecordingBackend, SVGBackend } from '../render-backends.js';
+import { createRandom } from './helpers.js';
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Worker stand-in connected to a CurveFieldWorker.serve scope in the same
+ * thread. Replies are queued until deliver() is called, like the
+ * asynchronous messages of a real worker.
+ * @returns {Object} {worker, deliver}
+ */
+function createFakeWorker() {
+    const replies = [];
+    const scope = {
+        onmessage: null,
+        postMessage(message) {
+            replies.push(message);
+        }
+    };
+    const worker = {
+        onmessage: null,
+        postMessage(message) {
+            scope.onmessage({ data: structuredClone(message) });
+        },
+        terminate() {}
+    };
+    CurveFieldWorker.serve(scope);
+
+    const deliver = () => {
+        replies.splice(0).forEach((message) => worker.onmessage({ data: message }));
+    };
+    return { worker, deliver };
+}
+
+test('a curve in the field moves exactly like the same curve in PhysicsSystem', () => {
+    const rest = [{ x: 160, y: 250 }, { x: 320, y: 150 }, { x: 480, y: 350 }, { x: 640, y: 250 }];
+
+    const physics = new PhysicsSystem();
+    const points = rest.map((p) => ({ ...p }));
+    physics.setupControlPoints(points);
+    points[1].x += 60;
+    points[2].y -= 40;
+
+    const field = new CurveField();
+    field.addCurve(rest);
+    field.positions[2] += 60;
+    field.positions[5] -= 40;
+
+    for (let frame = 0; frame < 90; frame++) {
+        physics.update(points, FRAME_TIME);
+        field.update(FRAME_TIME);
+    }
+
+    points.forEach((point, k) => {
+        const fieldPoint = field.getPoint(0, k);
+        assert.ok(Math.abs(fieldPoint.x - point.x) < 1e-9 && Math.abs(fieldPoint.y - point.y) < 1e-9,
+            `point ${k} differs`);
+    });
+});
+
+test('the field grows as curves are added and pinned points never move', () => {
+    const field = CurveField.createGrass(40, 800, 500, createRandom(7));
+    assert.equal(field.count, 40);
+
+    field.addCurve([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }]);
+    assert.equal(field.count, 41);
+    assert.ok(field.capacity >= 41);
+
+    const roots = [0, 1].map((k) => field.getPoint(10, k));
+    field.wind.strength = 0.5;
+    for (let frame = 0; frame < 60; frame++) field.update(FRAME_TIME);
+
+    assert.deepEqual([0, 1].map((k) => field.getPoint(10, k)), roots);
+    assert.notDeepEqual(field.getPoint(10, 3), roots[1]);
+    assert.throws(() => field.addCurve([{ x: 0, y: 0 }]), /exactly 4 control points/);
+});
+
+test('the pointer pushes nearby tips away and leaves distant curves alone', () => {
+    const field = new CurveField();
+    const blade = (x) => [{ x: x, y: 500 }, { x: x, y: 460 }, { x: x, y: 420 }, { x: x, y: 380 }];
+    field.addCurve(blade(100), [true, true, false, false]);
+    field.addCurve(blade(600), [true, true, false, false]);
+
+    field.pointer = { x: 80, y: 380, radius: 60, strength: 2 };
+    for (let frame = 0; frame < 20; frame++) field.update(FRAME_TIME);
+
+    assert.ok(field.getPoint(0, 3).x > 100 + 5, 'near tip pushed to the right');
+    assert.deepEqual(field.getPoint(1, 3), { x: 600, y: 380 });
+});
+
+test('a worker runs the same simulation and busy frames are added to the next step', () => {
+    const local = CurveField.createGrass(20, 800, 500, createRandom(3));
+    local.wind.strength = 0.3;
+    const mirror = CurveField.load(local.serialize());
+
+    const { worker, deliver } = createFakeWorker();
+    const client = new CurveFieldWorker(worker, mirror);
+
+    // Three frames pass while the first step is still running
+    client.update(FRAME_TIME);
+    client.update(FRAME_TIME);
+    client.update(FRAME_TIME);
+    assert.ok(client.busy);
+    deliver();
+    client.update(FRAME_TIME);
+    deliver();
+
+    for (let frame = 0; frame < 4; frame++) local.update(FRAME_TIME);
+
+    assert.equal(client.busy, false);
+    assert.equal(client.pendingTime, 0);
+    for (let i = 0; i < local.count * 8; i++) {
+        assert.ok(Math.abs(mirror.positions[i] - local.positions[i]) < 1e-9, `coordinate ${i} differs`);
+        assert.ok(Math.abs(mirror.velocities[i] - local.velocities[i]) < 1e-9, `velocity ${i} differs`);
+    }
+    assert.ok(Math.abs(mirror.time - local.time) < 1e-12);
+    assert.ok(Math.abs(mirror.accumulator - local.accumulator) < 1e-12);
+
+    // Stepped on the page after a worker failure, the mirror keeps the motion going
+    for (let frame = 0; frame < 10; frame++) {
+        mirror.update(FRAME_TIME);
+        local.update(FRAME_TIME);
+    }
+    for (let i = 0; i < local.count * 8; i++) {
+        assert.ok(Math.abs(mirror.positions[i] - local.positions[i]) < 1e-9, `coordinate ${i} differs after the fallback`);
+    }
+});
+
+test('a worker that fails to load is given up so the page can step the field', () => {
+    const field = CurveField.createGrass(5, 800, 500, createRandom(5));
+    const posted = [];
+    let terminated = false;
+    const worker = {
+        postMessage: (message) => posted.push(message.type),
+        terminate: () => { terminated = true; }
+    };
+    const client = new CurveFieldWorker(worker, field);
+    const errors = [];
+    client.onError = (message) => errors.push(message);
+
+    client.update(FRAME_TIME);
+    assert.ok(client.busy);
+
+    // The script failed to load: the error event arrives after the first step was sent
+    worker.onerror({ message: 'Failed to load curve-field-worker.js' });
+    assert.equal(client.busy, false);
+    assert.equal(client.error, 'Failed to load curve-field-worker.js');
+    assert.deepEqual(errors, ['Failed to load curve-field-worker.js']);
+    assert.ok(terminated);
+
+    // Nothing more is sent, and a later message error is not reported twice
+    client.update(FRAME_TIME);
+    worker.onmessageerror({});
+    assert.deepEqual(posted, ['load', 'step']);
+    assert.equal(errors.length, 1);
+
+    // The mirror continues on the page from the last positions
+    const before = field.getPoint(0, 3);
+    field.wind.strength = 0.3;
+    for (let frame = 0; frame < 10; frame++) field.update(FRAME_TIME);
+    assert.notDeepEqual(field.getPoint(0, 3), before);
+});
+
+test('renderCurveField strokes the whole field as one path of cubics', () => {
+    const field = CurveField.createGrass(25, 800, 500, createRandom(11));
+
+    const backend = new RecordingBackend();
+    new Renderer(backend, { width: 800, height: 500 }).renderCurveField(field);
+    const calls = backend.commands.filter((command) => command.type === 'call').map((command) => command.name);
+
+    assert.equal(calls.filter((name) => name === 'beginPath').length, 1);
+    assert.equal(calls.filter((name) => name === 'stroke').length, 1);
+    assert.equal(calls.filter((name) => name === 'bezierCurveTo').length, 25);
+
+    const svg = new SVGBackend(800, 500);
+    new Renderer(svg, { width: 800, height: 500 }).renderCurveField(field);
+    assert.equal(svg.elements.length, 1);
+    assert.equal((svg.elements[0].match(/ C /g) || []).length, 25);
+});
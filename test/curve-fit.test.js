@@ -0,0 +1,128 @@
+/**
+ * Curve Fitting Tests
+ * Least-squares fitting of sketched strokes, the fit error bound, smooth
+ * joints and the draw mode of the input handler
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CurveFitter } from '../curve-fit.js';
+import { BezierCurve } from '../bezier.js';
+import { BezierPath } from '../bezier-path.js';
+import { PhysicsSystem } from '../physics.js';
+import { InputHandler } from '../input.js';
+
+/**
+ * Points along a curve, as a stroke would capture them
+ * @param {Function} f - Maps t in [0, 1] to {x, y}
+ * @param {number} count - Number of intervals
+ * @returns {Array} Stroke points
+ */
+function sampleStroke(f, count) {
+    const stroke = [];
+    for (let i = 0; i <= count; i++) stroke.push(f(i / count));
+    return stroke;
+}
+
+/**
+ * Distance from a point to a dense polyline of a path
+ * @param {BezierPath} path - Fitted path
+ * @param {Object} point - Point {x, y}
+ * @returns {number} Distance
+ */
+function distanceToPath(path, point) {
+    let best = Infinity;
+    for (let i = 0; i <= 4000; i++) {
+        const p = path.calculatePoint(i / 4000);
+        best = Math.min(best, Math.hypot(p.x - point.x, p.y - point.y));
+    }
+    return best;
+}
+
+test('a sampled cubic is fitted within the tolerance with its ends kept exactly', () => {
+    const curve = new BezierCurve();
+    curve.controlPoints = [{ x: 100, y: 300 }, { x: 250, y: 50 }, { x: 450, y: 450 }, { x: 700, y: 200 }];
+    const stroke = sampleStroke((t) => curve.calculatePoint(t), 200);
+
+    const fit = new CurveFitter(1).fit(stroke);
+
+    assert.equal(fit.controlPoints.length, fit.segments * 3 + 1);
+    assert.ok(fit.maxError <= 1, `max error ${fit.maxError}`);
+    assert.ok(fit.meanError <= fit.maxError);
+    assert.deepEqual(fit.controlPoints[0], { x: 100, y: 300 });
+    assert.deepEqual(fit.controlPoints[fit.controlPoints.length - 1], { x: 700, y: 200 });
+
+    const path = new BezierPath();
+    path.setControlPoints(fit.controlPoints, 'corner', 3);
+    stroke.forEach((point) => {
+        assert.ok(distanceToPath(path, point) <= 1 + 1e-6);
+    });
+});
+
+test('a wobbly circle splits into segments that meet with shared tangents', () => {
+    const stroke = sampleStroke((t) => {
+        const angle = t * Math.PI * 1.8;
+        const wobble = Math.sin(t * 97) * 1.5;
+        return { x: 400 + (150 + wobble) * Math.cos(angle), y: 250 + (150 + wobble) * Math.sin(angle) };
+    }, 300);
+
+    const fitter = new CurveFitter(4);
+    const fit = fitter.fit(stroke);
+
+    assert.ok(fit.segments > 1);
+    assert.ok(fit.maxError <= 4, `max error ${fit.maxError}`);
+    assert.equal(fit.deviations.length, CurveFitter.simplify(stroke, fitter.minPointDistance).length);
+
+    // Incoming and outgoing handles at every joint point in opposite directions
+    for (let anchor = 3; anchor < fit.controlPoints.length - 1; anchor += 3) {
+        const [before, joint, after] = fit.controlPoints.slice(anchor - 1, anchor + 2);
+        const cross = (joint.x - before.x) * (after.y - joint.y) - (joint.y - before.y) * (after.x - joint.x);
+        const dot = (joint.x - before.x) * (after.x - joint.x) + (joint.y - before.y) * (after.y - joint.y);
+        const lengths = Math.hypot(joint.x - before.x, joint.y - before.y) * Math.hypot(after.x - joint.x, after.y - joint.y);
+        assert.ok(Math.abs(cross) / lengths < 1e-9 && dot > 0, `joint ${anchor} is not smooth`);
+    }
+
+    // A looser tolerance never needs more segments
+    assert.ok(new CurveFitter(12).fit(stroke).segments <= fit.segments);
+});
+
+test('straight strokes fit one segment and clicks are rejected', () => {
+    const fit = new CurveFitter().fit(sampleStroke((t) => ({ x: 100 + 500 * t, y: 200 + 100 * t }), 50));
+    assert.equal(fit.segments, 1);
+    assert.ok(fit.maxError < 1e-6);
+
+    assert.throws(() => new CurveFitter().fit([{ x: 5, y: 5 }, { x: 5.5, y: 5 }]), /at least 2 distinct points/);
+});
+
+test('draw mode turns a stroke into the curve and its rest shape as one edit', () => {
+    const canvas = { addEventListener() {} };
+    const bezier = new BezierPath();
+    bezier.setControlPoints([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }], 'smooth', 3);
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+
+    const input = new InputHandler(canvas, bezier, physics);
+    const edits = [];
+    input.onEditStart = () => edits.push('start');
+    input.onEditEnd = (label) => edits.push(label);
+    input.drawMode = true;
+
+    const stroke = sampleStroke((t) => ({ x: 100 + 600 * t, y: 250 + 120 * Math.sin(t * Math.PI * 2) }), 120);
+    input.pointerDown(1, stroke[0].x, stroke[0].y, false);
+    stroke.slice(1).forEach((point) => input.pointerMove(1, point.x, point.y));
+    assert.equal(input.sketch.fit, null);
+    input.pointerUp(1);
+
+    const fit = input.sketch.fit;
+    assert.deepEqual(edits, ['start', 'Sketch curve']);
+    assert.equal(bezier.controlPoints.length, fit.controlPoints.length);
+    assert.deepEqual(physics.restPositions, bezier.controlPoints.map((p) => ({ x: p.x, y: p.y })));
+    assert.equal(bezier.controlPoints[0].pinned, true);
+    assert.equal(bezier.controlPoints[1].pinned, false);
+
+    // A click draws nothing and leaves the curve alone
+    input.pointerDown(2, 50, 50, false);
+    input.pointerUp(2);
+    assert.equal(input.sketch, null);
+    assert.equal(bezier.controlPoints.length, fit.controlPoints.length);
+});
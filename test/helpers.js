@@ -0,0 +1,33 @@
+/**
+ * Test Helpers
+ * Seeded random numbers and tolerance checks shared by the unit tests
+ */
+
+import assert from 'node:assert/strict';
+
+/**
+ * Small seeded PRNG (mulberry32) so every run starts from the same state
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Assert that two numbers agree within a tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Allowed absolute difference
+ */
+export function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `expected ${expected} ± ${tolerance}, got ${actual}`);
+}
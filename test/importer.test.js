@@ -0,0 +1,90 @@
+/**
+ * Scene Import Tests
+ * Scenes from files and share links round trip through the importer, and
+ * settings outside the ranges of their controls are rejected by name
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CurveImporter } from '../importer.js';
+import { CurveExporter } from '../exporter.js';
+import { BezierPath } from '../bezier-path.js';
+import { PhysicsSystem } from '../physics.js';
+import { Renderer } from '../renderer.js';
+import { RecordingBackend } from '../render-backends.js';
+
+const CANVAS = { width: 800, height: 500 };
+
+/**
+ * Curve, physics and renderer with an exporter and importer on them
+ * @returns {Object} {bezier, physics, renderer, exporter, importer}
+ */
+function createScene() {
+    const bezier = new BezierPath();
+    bezier.setControlPoints([{ x: 160, y: 250 }, { x: 320, y: 150 }, { x: 480, y: 350 }, { x: 640, y: 250 }]);
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+    const renderer = new Renderer(new RecordingBackend(), CANVAS);
+    return {
+        bezier, physics, renderer,
+        exporter: new CurveExporter(bezier, physics, renderer),
+        importer: new CurveImporter(bezier, physics, renderer)
+    };
+}
+
+test('an exported scene and share link import back unchanged', () => {
+    const source = createScene();
+    source.physics.setSpringConstant(0.3);
+    source.physics.friction = 0.9;
+    source.renderer.tangentDensity = 12;
+    source.renderer.showNormals = true;
+    const hash = source.exporter.exportHash(CANVAS);
+
+    const target = createScene();
+    target.importer.applyScene(target.importer.decodeHash(hash), CANVAS);
+    assert.deepEqual(target.exporter.getState(CANVAS), source.exporter.getState(CANVAS));
+});
+
+test('a scene from another canvas size is rescaled, depth by the mean of both axes', () => {
+    const source = createScene();
+    source.bezier.controlPoints[1].z = 100;
+    source.physics.setupControlPoints(source.bezier.controlPoints);
+    const scene = source.exporter.getState(CANVAS);
+
+    const target = createScene();
+    target.importer.applyScene(scene, { width: 1600, height: 750 });
+    const point = target.bezier.controlPoints[1];
+    assert.deepEqual({ x: point.x, y: point.y, z: point.z }, { x: 640, y: 225, z: 175 });
+});
+
+test('settings outside the ranges of their controls are rejected by name', () => {
+    const { exporter, importer, renderer, physics } = createScene();
+
+    /**
+     * Current scene with one section value replaced
+     * @param {string} section - 'physics' or 'renderer'
+     * @param {string} key - Setting to replace
+     * @param {*} value - Replacement value
+     * @returns {Object} Scene document
+     */
+    const sceneWith = (section, key, value) => {
+        const scene = exporter.getState(CANVAS);
+        scene[section][key] = value;
+        return scene;
+    };
+
+    assert.throws(() => importer.validateScene(sceneWith('renderer', 'tangentDensity', 1e9)),
+        /renderer\.tangentDensity is 1000000000, expected 1 to 20/);
+    assert.throws(() => importer.validateScene(sceneWith('renderer', 'tangentDensity', 0)), /renderer\.tangentDensity/);
+    assert.throws(() => importer.validateScene(sceneWith('renderer', 'tangentDensity', 2.5)), /must be a whole number/);
+    assert.throws(() => importer.validateScene(sceneWith('renderer', 'showNormals', 'yes')), /showNormals must be true or false/);
+    assert.throws(() => importer.validateScene(sceneWith('physics', 'friction', 1.5)), /physics\.friction is 1\.5/);
+    assert.throws(() => importer.validateScene(sceneWith('physics', 'springConstant', -1)), /physics\.springConstant/);
+    assert.throws(() => importer.validateScene(sceneWith('physics', 'damping', 'high')), /physics\.damping must be a number/);
+
+    // Keys the scene format does not know are never applied
+    const scene = sceneWith('renderer', 'theme', {});
+    importer.applyScene(importer.validateScene(scene), CANVAS);
+    assert.notDeepEqual(renderer.theme, {});
+    assert.equal(physics.friction, 0.995);
+});
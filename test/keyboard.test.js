@@ -0,0 +1,117 @@
+/**
+ * Keyboard and Screen Reader Tests
+ * Tab selection, arrow-key nudging with Shift/Alt steps, pinning from the
+ * keyboard and the live-region descriptions of the point and curve
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputHandler } from '../input.js';
+import { CurveAnnouncer } from '../announcer.js';
+import { BezierPath } from '../bezier-path.js';
+import { PhysicsSystem } from '../physics.js';
+
+/**
+ * Input handler on a two-segment cubic path without a DOM
+ * @returns {Object} {input, bezier, physics, edits}
+ */
+function createEditor() {
+    const bezier = new BezierPath();
+    bezier.setControlPoints([
+        { x: 100, y: 250 }, { x: 200, y: 150 }, { x: 300, y: 350 }, { x: 400, y: 250 },
+        { x: 500, y: 150 }, { x: 600, y: 350 }, { x: 700, y: 250 }
+    ], 'smooth', 3);
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+
+    const input = new InputHandler({ addEventListener() {} }, bezier, physics);
+    const edits = [];
+    input.onEditEnd = (label) => edits.push(label);
+    return { input, bezier, physics, edits };
+}
+
+test('Tab steps through the points and lets focus leave past either end', () => {
+    const { input, bezier } = createEditor();
+    const selected = [];
+    input.onPointSelect = (index) => selected.push(index);
+
+    assert.equal(input.keyDown('Tab'), true);
+    assert.equal(input.selectedPointIndex, 0);
+    for (let i = 1; i < bezier.controlPoints.length; i++) input.keyDown('Tab');
+    assert.equal(input.selectedPointIndex, 6);
+
+    assert.equal(input.keyDown('Tab'), false);
+    assert.equal(input.selectedPointIndex, -1);
+    assert.equal(input.keyDown('Tab', true), true);
+    assert.equal(input.selectedPointIndex, 6);
+    assert.deepEqual(selected, [0, 1, 2, 3, 4, 5, 6, -1, 6]);
+
+    // Escape clears the selection; other keys are left to the page
+    assert.equal(input.keyDown('Escape'), true);
+    assert.equal(input.selectedPointIndex, -1);
+    assert.equal(input.keyDown('a'), false);
+    assert.equal(input.keyDown('ArrowLeft'), false);
+
+    // In rope mode only the curve's endpoints can be picked
+    input.rope = {};
+    input.keyDown('Tab');
+    input.keyDown('Tab');
+    assert.equal(input.selectedPointIndex, 6);
+});
+
+test('arrow keys nudge by 1, Shift by 10 and Alt by a tenth, each as one edit', () => {
+    const { input, bezier, physics, edits } = createEditor();
+    input.selectPoint(1);
+
+    input.keyDown('ArrowRight');
+    input.keyDown('ArrowDown', true);
+    input.keyDown('ArrowLeft', false, true);
+    assert.ok(Math.abs(bezier.controlPoints[1].x - 200.9) < 1e-9);
+    assert.equal(bezier.controlPoints[1].y, 160);
+
+    // The rest position moves along, so the dynamic point stays put
+    assert.deepEqual({ x: physics.restPositions[1].x, y: physics.restPositions[1].y },
+        { x: bezier.controlPoints[1].x, y: bezier.controlPoints[1].y });
+    assert.deepEqual(edits, ['Nudge point', 'Nudge point', 'Nudge point']);
+
+    // Smooth joints keep their mirrored handle, and anchors carry their handles
+    input.selectPoint(2);
+    input.keyDown('ArrowUp', true);
+    assert.deepEqual(bezier.controlPoints[4], { x: 500, y: 160, pinned: false });
+    input.selectPoint(3);
+    input.keyDown('ArrowRight', true);
+    assert.equal(bezier.controlPoints[2].x, 310);
+    assert.equal(bezier.controlPoints[4].x, 510);
+
+    // Enter and Space pin and unpin
+    const pinned = bezier.controlPoints[3].pinned;
+    input.keyDown('Enter');
+    assert.equal(bezier.controlPoints[3].pinned, !pinned);
+    input.keyDown(' ');
+    assert.equal(bezier.controlPoints[3].pinned, pinned);
+    assert.deepEqual(edits.slice(-2), ['Toggle pin', 'Toggle pin']);
+
+    // Keys wait while a pointer holds a point
+    input.pointerDown(1, 100, 250, false);
+    assert.equal(input.keyDown('ArrowRight'), false);
+    input.pointerUp(1);
+});
+
+test('the live region describes the selected point and the curve shape', () => {
+    const { input, bezier } = createEditor();
+    const region = { textContent: '' };
+    const announcer = new CurveAnnouncer(region);
+
+    announcer.update(bezier, input.selectedPointIndex);
+    assert.match(region.textContent, /^Curve: 2 cubic segments, \d+ pixels long, serpentine with \d+ inflections?\.$/);
+
+    input.selectPoint(0);
+    input.keyDown('ArrowUp', false, true);
+    announcer.update(bezier, input.selectedPointIndex);
+    assert.match(region.textContent, /^P0 of 7, anchor, pinned, at x 100, y 249\.9\. Curve: /);
+
+    bezier.controlPoints[5].weight = 2;
+    bezier.controlPoints[5].z = 40;
+    assert.equal(CurveAnnouncer.describePoint(bezier, 5), 'P5 of 7, handle, dynamic, at x 600, y 350, depth 40, weight 2.');
+    assert.match(CurveAnnouncer.describeCurve(bezier), /, rational\.$/);
+});
@@ -0,0 +1,144 @@
+/**
+ * Obstacle Tests
+ * Contact geometry, collision response and the curve and rope resting
+ * against obstacles instead of passing through them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObstacleField } from '../obstacles.js';
+import { PhysicsSystem } from '../physics.js';
+import { RopeSimulation } from '../rope.js';
+import { BezierCurve } from '../bezier.js';
+import { InputHandler } from '../input.js';
+import { assertClose } from './helpers.js';
+
+const FRAME_TIME = 1000 / 60;
+
+test('contacts point out of circles, boxes and segments', () => {
+    const circle = ObstacleField.contactWith({ type: 'circle', x: 0, y: 0, radius: 10 }, 3, 4, 0);
+    assert.deepEqual(circle.normal, { x: 0.6, y: 0.8 });
+    assertClose(circle.depth, 5);
+    assert.equal(ObstacleField.contactWith({ type: 'circle', x: 0, y: 0, radius: 10 }, 6, 8, 0), null);
+
+    // Inside a box the nearest face wins
+    const box = ObstacleField.contactWith({ type: 'box', x: 0, y: 0, width: 100, height: 40 }, 50, 35, 2);
+    assert.deepEqual(box.normal, { x: 0, y: 1 });
+    assertClose(box.depth, 7);
+
+    const segment = ObstacleField.contactWith({ type: 'segment', x1: 0, y1: 0, x2: 100, y2: 0 }, 50, -2, 3);
+    assert.deepEqual(segment.normal, { x: 0, y: -1 });
+    assertClose(segment.depth, 1);
+
+    assert.equal(ObstacleField.contactWith({ type: 'segment', x1: 0, y1: 0, x2: 100, y2: 0 }, 50, -5, 3), null);
+});
+
+test('respond bounces by the restitution and slides with friction', () => {
+    const field = new ObstacleField();
+    field.restitution = 0.5;
+    field.friction = 0.25;
+
+    const velocity = field.respond({ x: 4, y: 10 }, { x: 0, y: -1 });
+    assertClose(velocity.x, 3);
+    assertClose(velocity.y, -5);
+
+    // Moving away from the surface is left alone
+    assert.deepEqual(field.respond({ x: 4, y: -10 }, { x: 0, y: -1 }), { x: 4, y: -10 });
+});
+
+test('canvas bounds act as walls', () => {
+    const field = new ObstacleField();
+    field.bounds = { width: 800, height: 500 };
+
+    const contact = field.collide(400, 510);
+    assert.deepEqual(contact.normal, { x: 0, y: -1 });
+    assertClose(contact.depth, 13);
+    assert.equal(field.collide(400, 250), null);
+});
+
+test('createFromDrag builds shapes and ignores clicks', () => {
+    assert.deepEqual(ObstacleField.createFromDrag('box', { x: 50, y: 80 }, { x: 10, y: 20 }),
+        { type: 'box', x: 10, y: 20, width: 40, height: 60 });
+    assert.equal(ObstacleField.createFromDrag('circle', { x: 5, y: 5 }, { x: 6, y: 6 }), null);
+    assert.throws(() => new ObstacleField().addObstacle({ type: 'star' }), /Unknown obstacle type/);
+});
+
+test('a curve pulled into a circle comes to rest on its surface', () => {
+    const physics = new PhysicsSystem();
+    const field = new ObstacleField();
+    field.restitution = 0;
+    physics.obstacles = field;
+
+    const points = [{ x: 100, y: 250 }, { x: 300, y: 250 }, { x: 500, y: 250 }, { x: 700, y: 250 }];
+    physics.setupControlPoints(points);
+
+    // The rest shape is a straight line through the middle of the circle
+    field.addObstacle({ type: 'circle', x: 400, y: 300, radius: 80 });
+
+    for (let frame = 0; frame < 600; frame++) {
+        field.clearContacts();
+        physics.update(points, FRAME_TIME);
+    }
+
+    const curve = new BezierCurve();
+    curve.controlPoints = points;
+    curve.sampleCurvePoints().forEach((point) => {
+        const distance = Math.hypot(point.x - 400, point.y - 300);
+        assert.ok(distance > 80 - 0.5, `curve point ${distance.toFixed(2)} px from the centre`);
+    });
+    assert.ok(field.contacts.length > 0);
+});
+
+test('a falling rope node lands on a box and stays above it', () => {
+    const rope = new RopeSimulation();
+    const field = new ObstacleField();
+    rope.obstacles = field;
+    rope.segmentCount = 10;
+
+    const curve = new BezierCurve();
+    curve.controlPoints = [{ x: 250, y: 50 }, { x: 250, y: -150 }, { x: 550, y: -150 }, { x: 550, y: 50 }];
+    rope.buildFromCurve(curve);
+
+    field.addObstacle({ type: 'box', x: 300, y: 200, width: 200, height: 40 });
+
+    for (let frame = 0; frame < 600; frame++) {
+        rope.update(curve.controlPoints, FRAME_TIME);
+    }
+
+    rope.nodes.forEach((node) => {
+        const inside = node.x > 300 && node.x < 500 && node.y > 200 && node.y < 240;
+        assert.ok(!inside, `node at (${node.x.toFixed(1)}, ${node.y.toFixed(1)}) is inside the box`);
+    });
+
+    // The chain starts as an arch above the box and sags onto its top face
+    const middle = rope.nodes[5];
+    assertClose(middle.y, 200 - field.contactRadius, 1);
+});
+
+test('serialize and load copy the obstacles', () => {
+    const field = new ObstacleField();
+    const circle = field.addObstacle({ type: 'circle', x: 1, y: 2, radius: 3 });
+
+    const saved = field.serialize();
+    circle.radius = 10;
+    field.load(saved);
+
+    assert.deepEqual(field.obstacles, [{ type: 'circle', x: 1, y: 2, radius: 3 }]);
+    assert.equal(field.findObstacleAt(1, 2), field.obstacles[0]);
+    assert.equal(field.removeObstacle(field.obstacles[0]), 0);
+    assert.equal(field.obstacles.length, 0);
+});
+
+test('drawing an obstacle adds it and ends the interaction', () => {
+    const input = new InputHandler({ addEventListener() {} }, new BezierCurve(), new PhysicsSystem());
+    input.obstacles = new ObstacleField();
+    input.obstacleTool = 'circle';
+
+    input.pointerDown(1, 100, 100, false);
+    input.pointerMove(1, 130, 140);
+    assert.equal(input.isInteracting, true);
+    input.pointerUp(1);
+
+    assert.deepEqual(input.obstacles.obstacles, [{ type: 'circle', x: 100, y: 100, radius: 50 }]);
+    assert.equal(input.isInteracting, false);
+});
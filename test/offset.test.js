@@ -0,0 +1,173 @@
+/**
+ * Offset Curve Tests
+ * Cubic approximations of offset curves stay within the tolerance of the
+ * exact offset, width profiles shape closed stroke outlines, and both are
+ * drawn and exported as cubic geometry
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CurveOffsetter } from '../offset.js';
+import { BezierCurve } from '../bezier.js';
+import { BezierPath } from '../bezier-path.js';
+import { CurveExporter } from '../exporter.js';
+import { Renderer } from '../renderer.js';
+import { RecordingBackend } from '../render-backends.js';
+
+/**
+ * Path through a flat list of points
+ * @param {Array} points - Control points {x, y[, weight]}
+ * @param {number} degree - Segment degree
+ * @param {string} continuity - Joint continuity
+ * @returns {BezierPath} Path
+ */
+function createPath(points, degree = 3, continuity = 'smooth') {
+    const path = new BezierPath();
+    path.setControlPoints(points.map((point) => ({ ...point })), continuity, degree);
+    return path;
+}
+
+/**
+ * The S-shaped cubic of the default scene
+ * @returns {BezierPath} Path
+ */
+function createCurve() {
+    return createPath([{ x: 160, y: 250 }, { x: 320, y: 150 }, { x: 480, y: 350 }, { x: 640, y: 250 }]);
+}
+
+/**
+ * Largest gap between the distance of a cubic chain from a curve and the
+ * expected distance, measured at evenly spaced chain parameters
+ * @param {Array} chain - 3n+1 cubic control points
+ * @param {BezierPath} curve - Curve the chain is offset from
+ * @param {Function} expected - Expected distance at a chain point
+ * @returns {number} Largest gap
+ */
+function worstGap(chain, curve, expected) {
+    const probe = createPath(chain, 3, 'corner');
+    let worst = 0;
+    for (let i = 0; i <= 300; i++) {
+        const point = probe.calculatePoint(i / 300);
+        worst = Math.max(worst, Math.abs(curve.closestPoint(point.x, point.y).distance - expected(point)));
+    }
+    return worst;
+}
+
+test('offset curves stay within the tolerance of the exact offset on both sides', () => {
+    const curve = createCurve();
+    const segmentCounts = [];
+
+    [1, 0.25, 0.05].forEach((tolerance) => {
+        const offsetter = new CurveOffsetter(tolerance);
+        [20, -20, 60].forEach((distance) => {
+            const offset = offsetter.offset(curve, distance);
+            assert.ok(offset.maxError <= tolerance);
+            assert.ok(worstGap(offset.controlPoints, curve, () => Math.abs(distance)) <= tolerance * 1.1);
+
+            // The ends are the exact offset of the curve's ends
+            const start = curve.calculatePoint(0);
+            const normal = curve.getSegments()[0].calculateNormal(0);
+            assert.ok(Math.abs(offset.controlPoints[0].x - (start.x + normal.x * distance)) < 1e-9);
+            assert.ok(Math.abs(offset.controlPoints[0].y - (start.y + normal.y * distance)) < 1e-9);
+        });
+        segmentCounts.push(offsetter.offset(curve, 20).segments);
+    });
+
+    // Tighter tolerances need more cubics
+    assert.ok(segmentCounts[0] < segmentCounts[1] && segmentCounts[1] < segmentCounts[2]);
+});
+
+test('rational arcs and corner joints are offset too', () => {
+    // An exact circular arc offsets to concentric arcs
+    const arc = new BezierCurve();
+    arc.controlPoints = BezierCurve.createArc(400, 250, 100, 0, Math.PI / 2);
+    const offsetter = new CurveOffsetter(0.1);
+    [30, -30].forEach((distance) => {
+        const offset = offsetter.offset(arc, distance);
+        const probe = createPath(offset.controlPoints, 3, 'corner');
+        for (let i = 0; i <= 100; i++) {
+            const point = probe.calculatePoint(i / 100);
+            assert.ok(Math.abs(Math.hypot(point.x - 400, point.y - 250) - (100 - distance)) <= 0.11);
+        }
+    });
+
+    // On the outside of a corner the two offsets are joined by a straight bevel
+    const corner = createPath([{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 300, y: 200 }], 1, 'corner');
+    const offset = offsetter.offset(corner, -10);
+    const chain = offset.controlPoints;
+    assert.equal((chain.length - 1) % 3, 0);
+    assert.deepEqual(chain[0], { x: 100, y: 90 });
+    assert.ok(chain.some((point) => Math.abs(point.x - 200) < 1e-9 && Math.abs(point.y - 90) < 1e-9));
+    // The middle of the bevel cuts the 45° corner at 10·cos(22.5°)
+    assert.ok(worstGap(chain, corner, () => 10) <= 10 - 10 * Math.cos(Math.PI / 8) + 0.1);
+});
+
+test('outlines are closed and follow constant, tapered and speed profiles', () => {
+    const curve = createCurve();
+    const offsetter = new CurveOffsetter(0.1);
+
+    // Constant width: every outline point is half the width from the curve
+    // (the round caps are centred on the end points)
+    const constant = offsetter.outline(curve, CurveOffsetter.constantWidth(20));
+    const chain = constant.controlPoints;
+    assert.deepEqual(chain[chain.length - 1], chain[0]);
+    assert.ok(worstGap(chain, curve, () => 10) <= 0.1);
+
+    // Tapered: zero width at both ends, so the outline meets at the end points
+    const taper = CurveOffsetter.taperedWidth(20, 100);
+    const length = curve.calculateLength();
+    assert.equal(taper(0, length), 0);
+    assert.equal(taper(length / 2, length), 20);
+    assert.ok(Math.abs(taper(50, length) - 20 * Math.SQRT1_2) < 1e-9);
+    const tapered = offsetter.outline(curve, taper);
+    assert.deepEqual(tapered.controlPoints[0], { x: 160, y: 250 });
+    assert.ok(tapered.controlPoints.some((point) => Math.abs(point.x - 640) < 1e-9 && Math.abs(point.y - 250) < 1e-9));
+    assert.equal(tapered.segments, tapered.left.segments + tapered.right.segments);
+
+    // Speed: the curve moves at the Bernstein blend of the point velocities
+    const velocities = [{ x: 0, y: 0 }, { x: 0, y: 10 }, { x: 0, y: 10 }, { x: 0, y: 0 }];
+    const speed = CurveOffsetter.speedWidth(curve, velocities, 10, 0.1, 30);
+    assert.equal(speed(0, length, 0), 10);
+    assert.equal(speed(length / 2, length, 0.5), 10 * (1 + 0.1 * 7.5));
+    assert.equal(CurveOffsetter.speedWidth(curve, velocities, 10, 10, 30)(length / 2, length, 0.5), 30);
+    assert.equal(CurveOffsetter.speedWidth(curve, [], 10, 0.1, 30)(length / 2, length, 0.5), 10);
+});
+
+test('chains through points, drawing and SVG export of outlines and offsets', () => {
+    const nodes = [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 60, y: 30 }];
+    const chain = CurveOffsetter.catmullRomChain(nodes);
+    assert.deepEqual(chain, [
+        { x: 0, y: 0 }, { x: 5, y: 0 }, { x: 20, y: -5 },
+        { x: 30, y: 0 }, { x: 40, y: 5 }, { x: 55, y: 25 }, { x: 60, y: 30 }
+    ]);
+    assert.equal(CurveOffsetter.pathThrough(nodes).getSegmentCount(), 2);
+    assert.throws(() => CurveOffsetter.catmullRomChain([{ x: 0, y: 0 }]), /at least 2 points/);
+
+    const curve = createCurve();
+    const offsetter = new CurveOffsetter();
+    const outline = offsetter.outline(curve, CurveOffsetter.constantWidth(12));
+    const offsets = [offsetter.offset(curve, 30), offsetter.offset(curve, -30)];
+
+    const backend = new RecordingBackend();
+    const renderer = new Renderer(backend, { width: 800, height: 500 });
+    renderer.showControlPoints = renderer.showTangents = renderer.showLabels = false;
+    renderer.render(curve, outline);
+    renderer.renderOffsets(offsets);
+    const calls = (name) => backend.commands.filter((command) => command.name === name).length;
+    const cubics = outline.segments + offsets[0].segments + offsets[1].segments;
+    assert.equal(calls('bezierCurveTo'), cubics);
+    assert.equal(calls('fill'), 1);
+    assert.equal(calls('lineTo'), 0);
+
+    const exporter = new CurveExporter(curve, null, renderer);
+    const d = exporter.exportChainPath(outline.controlPoints, true);
+    assert.match(d, /^M 163\.18 255\.09( C [\d., -]+)+ Z$/);
+    assert.equal(d.split(' C ').length - 1, outline.segments);
+    assert.equal(exporter.exportChainPath([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 0 }]),
+        'M 0 0 C 1 1, 2 1, 3 0');
+    assert.throws(() => exporter.exportChainPath([{ x: 0, y: 0 }, { x: 1, y: 1 }]), /3n\+1/);
+
+    const svg = exporter.exportOutlineSVG(outline, offsets, 800, 500);
+    assert.equal(svg.match(/<path /g).length, 3);
+    assert.match(svg, /stroke-dasharray="6 4"/);
+});
@@ -0,0 +1,177 @@
+/**
+ * Physics System Tests
+ * Convergence and determinism of the spring-damping simulation with a
+ * fixed frame time and a seeded random start
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsSystem } from '../physics.js';
+import { BezierPath } from '../bezier-path.js';
+import { InputHandler } from '../input.js';
+import { createRandom } from './helpers.js';
+
+const FRAME_TIME = 1000 / 60;  // fixed dt in milliseconds
+const SEED = 1234;
+
+/**
+ * Classic four-point curve whose handles are knocked away from rest by up
+ * to 100 px in a seeded random direction
+ * @param {PhysicsSystem} physics - Physics system to set up
+ * @param {number} seed - PRNG seed
+ * @returns {Array} Control points
+ */
+function createDisturbedCurve(physics, seed) {
+    const points = [
+        { x: 160, y: 250 },
+        { x: 320, y: 150 },
+        { x: 480, y: 350 },
+        { x: 640, y: 250 }
+    ];
+    physics.setupControlPoints(points);
+
+    const random = createRandom(seed);
+    points.forEach((point, i) => {
+        if (point.pinned) return;
+        point.x += (random() * 2 - 1) * 100;
+        point.y += (random() * 2 - 1) * 100;
+        physics.velocities[i].x = (random() * 2 - 1) * 10;
+        physics.velocities[i].y = (random() * 2 - 1) * 10;
+    });
+
+    return points;
+}
+
+/**
+ * Run the simulation until every point is within tolerance of its rest
+ * position and nearly still
+ * @param {PhysicsSystem} physics - Physics system
+ * @param {Array} points - Control points
+ * @param {number} maxFrames - Frame budget
+ * @param {number} tolerance - Allowed distance and speed
+ * @returns {number} Frames needed, or -1 if it did not settle
+ */
+function framesToRest(physics, points, maxFrames, tolerance) {
+    for (let frame = 1; frame <= maxFrames; frame++) {
+        physics.update(points, FRAME_TIME);
+
+        const settled = points.every((point, i) => {
+            const rest = physics.restPositions[i];
+            const velocity = physics.velocities[i];
+            return Math.hypot(point.x - rest.x, point.y - rest.y) < tolerance &&
+                Math.hypot(velocity.x, velocity.y) < tolerance;
+        });
+        if (settled) return frame;
+    }
+    return -1;
+}
+
+PhysicsSystem.INTEGRATORS.forEach((integrator) => {
+    test(`${integrator} settles to rest within 300 frames`, () => {
+        const physics = new PhysicsSystem();
+        physics.setIntegrator(integrator);
+        const points = createDisturbedCurve(physics, SEED);
+
+        const frames = framesToRest(physics, points, 300, 0.01);
+        assert.ok(frames > 0, `${integrator} did not settle`);
+    });
+});
+
+test('default anchors are pinned and never move', () => {
+    const physics = new PhysicsSystem();
+    const points = createDisturbedCurve(physics, SEED);
+
+    for (let frame = 0; frame < 120; frame++) {
+        physics.update(points, FRAME_TIME);
+    }
+
+    assert.deepEqual(points[0], { x: 160, y: 250, pinned: true });
+    assert.deepEqual(points[3], { x: 640, y: 250, pinned: true });
+});
+
+test('the same seed and frame time give bit-identical results', () => {
+    const run = () => {
+        const physics = new PhysicsSystem();
+        const points = createDisturbedCurve(physics, SEED);
+        for (let frame = 0; frame < 90; frame++) {
+            physics.update(points, FRAME_TIME);
+        }
+        return points;
+    };
+
+    assert.deepEqual(run(), run());
+});
+
+test('the fixed timestep makes the result independent of the frame rate', () => {
+    const run = (frameTime, frames) => {
+        const physics = new PhysicsSystem();
+        const points = createDisturbedCurve(physics, SEED);
+        for (let frame = 0; frame < frames; frame++) {
+            physics.update(points, frameTime);
+        }
+        return points;
+    };
+
+    const at60Hz = run(1000 / 60, 60);
+    const at120Hz = run(1000 / 120, 120);
+
+    at60Hz.forEach((point, i) => {
+        assert.ok(Math.abs(point.x - at120Hz[i].x) < 1e-9);
+        assert.ok(Math.abs(point.y - at120Hz[i].y) < 1e-9);
+    });
+});
+
+test('a constant external force settles at rest + F / k', () => {
+    const physics = new PhysicsSystem();
+    const points = createDisturbedCurve(physics, SEED);
+    physics.setExternalForce(0, 0.3);
+
+    for (let frame = 0; frame < 600; frame++) {
+        physics.update(points, FRAME_TIME);
+    }
+
+    const offset = 0.3 / physics.springConstant;
+    [1, 2].forEach((i) => {
+        assert.ok(Math.abs(points[i].x - physics.restPositions[i].x) < 1e-6);
+        assert.ok(Math.abs(points[i].y - (physics.restPositions[i].y + offset)) < 1e-6);
+    });
+});
+
+test('applyForceToPoint pulls a dynamic point and ignores pinned ones', () => {
+    const physics = new PhysicsSystem();
+    const points = createDisturbedCurve(physics, SEED);
+    const rest = { ...physics.restPositions[1] };
+
+    physics.applyForceToPoint(1, rest.x + 100, rest.y, points, FRAME_TIME);
+    assert.ok(physics.restPositions[1].x > rest.x);
+
+    const anchor = { ...points[0] };
+    physics.applyForceToPoint(0, 0, 0, points, FRAME_TIME);
+    assert.deepEqual(points[0], anchor);
+});
+
+test('a drag pulls once per frame however many pointer moves arrive', () => {
+    /**
+     * Drag the first handle for a second, with a number of pointer moves per frame
+     * @param {number} movesPerFrame - Pointer events between two frames
+     * @returns {Object} Position of the dragged point
+     */
+    const drag = (movesPerFrame) => {
+        const bezier = new BezierPath();
+        bezier.setControlPoints([{ x: 100, y: 250 }, { x: 200, y: 150 }, { x: 300, y: 350 }, { x: 400, y: 250 }]);
+        const physics = new PhysicsSystem();
+        physics.setupControlPoints(bezier.controlPoints);
+        const input = new InputHandler({ addEventListener() {} }, bezier, physics);
+
+        input.pointerDown(1, 200, 150, false);
+        for (let frame = 1; frame <= 60; frame++) {
+            for (let move = 0; move < movesPerFrame; move++) input.pointerMove(1, 200 + frame * 2, 150);
+            physics.update(bezier.controlPoints, FRAME_TIME);
+            input.update(FRAME_TIME);
+        }
+        return { ...bezier.controlPoints[1] };
+    };
+
+    // A 1000 Hz mouse drags exactly like a 60 Hz one
+    assert.deepEqual(drag(16), drag(1));
+});
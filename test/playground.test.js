@@ -0,0 +1,231 @@
+/**
+ * Playground Tests
+ * Attribute parsing, the JS API and the curvechange, dragstart and settle
+ * events of the embeddable playground, run headless, and the element's
+ * paused state on a stand-in without the DOM
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Playground, BezierPlaygroundElement } from '../playground.js';
+import { RecordingBackend } from '../render-backends.js';
+
+/**
+ * Playground drawing into a recording backend, with its events logged
+ * @returns {Object} {playground, backend, events}
+ */
+function createPlayground() {
+    const backend = new RecordingBackend();
+    const canvas = { width: 800, height: 500, addEventListener() {} };
+    const playground = new Playground(canvas, backend);
+    const events = [];
+    playground.onEvent = (type, detail) => events.push({ type, detail });
+    return { playground, backend, events };
+}
+
+/**
+ * Step until the curve settles or the frame budget runs out
+ * @param {Playground} playground - Playground to step
+ * @param {Array} events - Event log of the playground
+ * @returns {number} Frames stepped
+ */
+function stepUntilSettled(playground, events) {
+    let frames = 0;
+    while (frames < 2000 && !events.some((event) => event.type === 'settle')) {
+        playground.step(16);
+        frames++;
+    }
+    return frames;
+}
+
+test('attributes set the points, pins, physics and overlays, and removal restores defaults', () => {
+    const { playground } = createPlayground();
+    playground.applyAttributes({
+        points: '100,200 200,100  300,300 400,200',
+        pinned: '0 1 3',
+        spring: '0.3',
+        damping: '2',
+        integrator: 'verlet',
+        overlays: 'points normals'
+    });
+
+    const points = playground.bezier.controlPoints;
+    assert.deepEqual(points.map((point) => [point.x, point.y, point.pinned]),
+        [[100, 200, true], [200, 100, true], [300, 300, false], [400, 200, true]]);
+    assert.equal(playground.physics.springConstant, 0.3);
+    assert.equal(playground.physics.damping, 0.99);
+    assert.equal(playground.physics.integrator, 'verlet');
+    assert.equal(playground.renderer.showNormals, true);
+    assert.equal(playground.renderer.showTangents, false);
+
+    playground.applyAttributes({ spring: null, overlays: null });
+    assert.equal(playground.physics.springConstant, 0.15);
+    assert.equal(playground.renderer.showTangents, true);
+    assert.equal(playground.renderer.showNormals, false);
+
+    assert.throws(() => Playground.parsePoints('1,2 3'), /Invalid point "3"/);
+});
+
+test('an invalid attribute keeps the previous value and sends an error event', () => {
+    const { playground, events } = createPlayground();
+    playground.applyAttributes({ spring: '0.3', overlays: 'points normals' });
+    const before = playground.getState().curve;
+    events.length = 0;
+
+    playground.applyAttributes({ spring: 'stiff' });
+    playground.applyAttributes({ overlays: 'points grid' });
+    playground.applyAttributes({ continuity: 'G2' });
+    playground.applyAttributes({ points: '1,2 3', degree: '3' });
+    playground.applyAttributes({ points: '0,0 1,1 2,2 3,3 4,4' });
+
+    assert.deepEqual(events.map((event) => [event.type, event.detail.attribute]), [
+        ['error', 'spring'], ['error', 'overlays'], ['error', 'continuity'], ['error', 'points'], ['error', 'points']
+    ]);
+    assert.match(events[0].detail.message, /spring is not a number: stiff/);
+    assert.equal(events[0].detail.value, 'stiff');
+    assert.match(events[1].detail.message, /Unknown overlay: grid/);
+    assert.match(events[3].detail.message, /Invalid point "3"/);
+
+    assert.equal(playground.physics.springConstant, 0.3);
+    assert.equal(playground.renderer.showNormals, true);
+    assert.deepEqual(playground.getState().curve, before);
+
+    // The other attributes of the same call are still applied
+    playground.applyAttributes({ spring: 'stiff', damping: '0.9' });
+    assert.equal(playground.physics.damping, 0.9);
+});
+
+test('setControlPoints and getState round trip and send one curvechange', () => {
+    const { playground, events } = createPlayground();
+    const points = [{ x: 50, y: 50 }, { x: 150, y: 20 }, { x: 250, y: 80 }, { x: 350, y: 50 }];
+    playground.setControlPoints(points);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'curvechange');
+    assert.deepEqual(events[0].detail, playground.getState().curve);
+    assert.equal(playground.getState().curve.controlPoints[1].x, 150);
+
+    // The caller's array is copied, not adopted
+    points[1].x = 999;
+    assert.equal(playground.bezier.controlPoints[1].x, 150);
+
+    // The curve is already at rest: one settle, then nothing more
+    playground.step(16);
+    playground.step(16);
+    assert.deepEqual(events.map((event) => event.type), ['curvechange', 'settle']);
+});
+
+test('dragging a handle sends dragstart, curvechange and one settle after release', () => {
+    const { playground, events } = createPlayground();
+    events.length = 0;
+
+    // The default curve has its first handle at (320, 150)
+    playground.input.pointerDown(1, 320, 150, false);
+    playground.input.pointerMove(1, 320, 60);
+    // The pull is applied at the end of the first frame and moves the point in the next
+    playground.step(16);
+    playground.step(16);
+    assert.deepEqual(events[0], { type: 'dragstart', detail: { index: 1, point: { x: 320, y: 150 } } });
+    assert.ok(events.some((event) => event.type === 'curvechange'));
+
+    // Holding the point still does not count as settled
+    for (let i = 0; i < 100; i++) playground.step(16);
+    assert.ok(!events.some((event) => event.type === 'settle'));
+
+    playground.input.pointerUp(1);
+    const frames = stepUntilSettled(playground, events);
+    assert.ok(frames < 2000, 'the curve should come to rest');
+    const settles = events.filter((event) => event.type === 'settle');
+    assert.equal(settles.length, 1);
+    assert.deepEqual(settles[0].detail, playground.getState().curve);
+    assert.equal(events[events.length - 1].type, 'settle');
+});
+
+test('pause freezes the curve and ignores input until resume', () => {
+    const { playground, events } = createPlayground();
+    playground.bezier.controlPoints[1].y += 40;
+    playground.pause();
+    events.length = 0;
+
+    const before = playground.getState().curve;
+    for (let i = 0; i < 20; i++) playground.step(16);
+    assert.deepEqual(playground.getState().curve, before);
+    assert.deepEqual(events, []);
+    assert.equal(playground.input.enabled, false);
+
+    playground.resume();
+    stepUntilSettled(playground, events);
+    assert.ok(Math.abs(playground.bezier.controlPoints[1].y - 150) < 1);
+});
+
+test('instances keep separate curves, physics and overlays', () => {
+    const first = createPlayground();
+    const second = createPlayground();
+    first.playground.applyAttributes({ points: '0,0 10,10 20,10 30,0', spring: '0.4', overlays: '' });
+    second.events.length = 0;
+
+    assert.equal(second.playground.bezier.controlPoints[0].x, 160);
+    assert.equal(second.playground.physics.springConstant, 0.15);
+    assert.deepEqual(second.events, []);
+
+    // With no overlays only the curve is drawn, without labels or points
+    first.playground.draw();
+    second.playground.draw();
+    const texts = (backend) => backend.commands.filter((command) => command.name === 'fillText').length;
+    assert.equal(texts(first.backend), 0);
+    assert.equal(texts(second.backend), 4);
+    assert.ok(first.backend.commands.length < second.backend.commands.length);
+});
+
+/**
+ * The element with its DOM parts replaced: attributes in a set and a
+ * headless playground instead of the shadow root
+ * @param {Array} attributes - Attribute names present in the markup
+ * @returns {BezierPlaygroundElement} Element
+ */
+function createElement(attributes) {
+    const element = new BezierPlaygroundElement();
+    const names = new Set(attributes);
+    element.hasAttribute = (name) => names.has(name);
+    element.setup = () => {
+        element.playground = createPlayground().playground;
+    };
+    element.fit = () => {};
+    return element;
+}
+
+test('the paused attribute from the markup and a pause from code keep the element paused', (t) => {
+    let nextFrame = 1;
+    globalThis.requestAnimationFrame = () => nextFrame++;
+    globalThis.cancelAnimationFrame = () => {};
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+
+    // Attributes of parsed markup arrive before the element is connected
+    const marked = createElement(['paused']);
+    marked.attributeChangedCallback('paused', null, '');
+    marked.connectedCallback();
+    assert.equal(marked.paused, true);
+    assert.equal(marked.playground.input.enabled, false);
+    assert.equal(marked.frameRequest, null);
+
+    // A pause from code survives being moved in the page
+    const element = createElement([]);
+    element.connectedCallback();
+    assert.equal(element.paused, false);
+    assert.notEqual(element.frameRequest, null);
+
+    element.pause();
+    element.disconnectedCallback();
+    element.connectedCallback();
+    assert.equal(element.paused, true);
+    assert.equal(element.frameRequest, null);
+
+    element.resume();
+    element.disconnectedCallback();
+    element.connectedCallback();
+    assert.equal(element.paused, false);
+    assert.notEqual(element.frameRequest, null);
+});
@@ -0,0 +1,130 @@
+/**
+ * Recording and Replay Tests
+ * A recording started while the rope is in motion replays to exactly the
+ * recorded result once the rope is restored from the initial state, and
+ * the rope's curve endpoints follow the pointer in rope mode
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputRecorder, ReplayPlayer } from '../recorder.js';
+import { InputHandler } from '../input.js';
+import { RopeSimulation } from '../rope.js';
+import { CommandHistory } from '../history.js';
+import { BezierPath } from '../bezier-path.js';
+import { PhysicsSystem } from '../physics.js';
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Curve, physics and a rope hanging from it, driven by an input handler
+ * in rope mode as in the page
+ * @returns {Object} {bezier, physics, rope, input, step}
+ */
+function createRopeScene() {
+    const bezier = new BezierPath();
+    bezier.setControlPoints([{ x: 200, y: 100 }, { x: 300, y: 50 }, { x: 500, y: 50 }, { x: 600, y: 100 }]);
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+
+    const rope = new RopeSimulation();
+    rope.segmentCount = 12;
+    rope.buildFromCurve(bezier);
+
+    const input = new InputHandler({ addEventListener() {} }, bezier, physics);
+    input.setRope(rope);
+
+    const step = (frameTime, environment) => {
+        rope.setGravityDirection(environment.gravity.x, environment.gravity.y);
+        input.update(frameTime);
+        rope.update(bezier.controlPoints, frameTime);
+    };
+    return { bezier, physics, rope, input, step };
+}
+
+test('a rope-mode recording replays to the recorded result', () => {
+    const live = createRopeScene();
+    const environment = { force: { x: 0, y: 0 }, gravity: { x: 0, y: 1 } };
+
+    // Let the rope sag and swing before the recording starts
+    live.input.pointerDown(1, live.rope.nodes[6].x, live.rope.nodes[6].y, false);
+    for (let frame = 0; frame < 20; frame++) {
+        live.input.pointerMove(1, 400 + frame * 5, 150);
+        live.step(FRAME_TIME, environment);
+    }
+    live.input.pointerUp(1);
+    for (let frame = 0; frame < 7; frame++) live.step(FRAME_TIME * 0.7, environment);
+
+    const recorder = new InputRecorder();
+    recorder.start({
+        curve: CommandHistory.captureCurve(live.bezier, live.physics),
+        accumulator: live.physics.accumulator,
+        rope: live.rope.serialize()
+    });
+    live.input.recorder = recorder;
+
+    const node = live.rope.nodes[3];
+    live.input.pointerDown(2, node.x, node.y, false);
+    for (let frame = 0; frame < 90; frame++) {
+        if (frame < 30) live.input.pointerMove(2, node.x - frame * 2, node.y + frame);
+        if (frame === 30) live.input.pointerUp(2);
+        live.step(FRAME_TIME, environment);
+        recorder.recordFrame(FRAME_TIME, environment);
+    }
+    const recording = JSON.parse(JSON.stringify(recorder.stop()));
+
+    /**
+     * Replay into a fresh scene
+     * @param {boolean} restoreRope - Continue the captured rope instead of a rebuilt one
+     * @returns {Array} Rope nodes after the replay
+     */
+    const replay = (restoreRope) => {
+        const scene = createRopeScene();
+        ReplayPlayer.runToEnd(recording, {
+            restore: (state) => {
+                CommandHistory.restoreCurve(scene.bezier, scene.physics, state.curve);
+                scene.physics.accumulator = state.accumulator;
+                scene.rope.buildFromCurve(scene.bezier);
+                if (restoreRope) scene.rope.load(state.rope);
+            },
+            input: scene.input,
+            step: scene.step
+        });
+        return scene.rope.nodes;
+    };
+
+    assert.deepEqual(replay(true), live.rope.nodes);
+    assert.notDeepEqual(replay(false), live.rope.nodes);
+});
+
+test('rope state round trips and damaged states are rejected', () => {
+    const { rope } = createRopeScene();
+    rope.nodes[4].prevX -= 3;
+    rope.accumulator = 0.004;
+
+    const other = new RopeSimulation();
+    other.load(JSON.parse(JSON.stringify(rope.serialize())));
+    assert.deepEqual(other.serialize(), rope.serialize());
+
+    assert.throws(() => other.load({}), /Rope: state has no nodes/);
+    assert.throws(() => other.load({ nodes: [{ x: 1, y: 2, prevX: 1 }] }), /node 0 needs finite x, y, prevX and prevY/);
+});
+
+test('a dragged curve endpoint moves in rope mode and the rope follows it', () => {
+    const { bezier, rope, input, step } = createRopeScene();
+    const environment = { force: { x: 0, y: 0 }, gravity: { x: 0, y: 1 } };
+
+    // Close enough to the end that the neighbouring rope node is out of reach
+    input.setInteractionRadius(20);
+    input.pointerDown(1, 600, 100, false);
+    assert.equal(input.pointers.get(1).pointIndex, 3);
+    for (let frame = 1; frame <= 10; frame++) {
+        input.pointerMove(1, 600 + frame * 5, 100 + frame * 10);
+        step(FRAME_TIME, environment);
+    }
+    input.pointerUp(1);
+
+    assert.deepEqual({ x: bezier.controlPoints[3].x, y: bezier.controlPoints[3].y }, { x: 650, y: 200 });
+    const last = rope.nodes[rope.nodes.length - 1];
+    assert.deepEqual({ x: last.x, y: last.y }, { x: 650, y: 200 });
+});
@@ -0,0 +1,179 @@
+/**
+ * Renderer Tests
+ * Draw-command snapshots recorded headless through RecordingBackend, and
+ * an SVG golden file through SVGBackend
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BezierCurve } from '../bezier.js';
+import { Renderer } from '../renderer.js';
+import { RecordingBackend, SVGBackend } from '../render-backends.js';
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'snapshots');
+
+/**
+ * Compare text with a stored snapshot. Snapshots are only written with
+ * UPDATE_SNAPSHOTS=1, to create new ones or accept intended changes; a
+ * missing snapshot fails like a changed one.
+ * @param {string} name - Snapshot file name
+ * @param {string} actual - Rendered output
+ */
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, name);
+
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `snapshot ${name} missing, run UPDATE_SNAPSHOTS=1 npm test`);
+    assert.equal(actual, fs.readFileSync(file, 'utf8'), `snapshot ${name} changed`);
+}
+
+/**
+ * The classic P₀ … P₃ layout with pinned anchors and dynamic handles,
+ * sampled uniformly and coarsely to keep the snapshots short
+ * @returns {BezierCurve} Curve
+ */
+function createCurve() {
+    const curve = new BezierCurve();
+    curve.flatness = 0;
+    curve.sampleDensity = 16;
+    curve.controlPoints = [
+        { x: 160, y: 250, pinned: true },
+        { x: 320, y: 150, pinned: false },
+        { x: 480, y: 350, pinned: false },
+        { x: 640, y: 250, pinned: true }
+    ];
+    return curve;
+}
+
+/**
+ * Renderer drawing into a fresh recording backend
+ * @returns {Object} {renderer, backend}
+ */
+function createRecordingRenderer() {
+    const backend = new RecordingBackend();
+    const renderer = new Renderer(backend, { width: 800, height: 500 });
+    renderer.tangentDensity = 3;
+    return { renderer, backend };
+}
+
+test('renderCurve draws the sampled polyline and its glow', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    renderer.renderCurve(createCurve());
+    matchSnapshot('render-curve.snap', backend.serialize());
+});
+
+test('renderControlPoints draws the control polygon and colours points by pinned state', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    renderer.renderControlPoints(createCurve().controlPoints);
+    matchSnapshot('render-control-points.snap', backend.serialize());
+});
+
+test('renderTangents draws lines, dots and arrowheads at each sample', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    renderer.renderTangents(createCurve());
+    matchSnapshot('render-tangents.snap', backend.serialize());
+});
+
+test('renderTangents with even spacing samples by arc length', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    renderer.evenTangentSpacing = true;
+    renderer.renderTangents(createCurve());
+    matchSnapshot('render-tangents-even.snap', backend.serialize());
+});
+
+test('renderLabels writes subscripted labels above each point', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    renderer.renderLabels(createCurve().controlPoints);
+    matchSnapshot('render-labels.snap', backend.serialize());
+
+    assert.equal(renderer.formatPointLabel(12), 'P₁₂');
+});
+
+test('render produces the same SVG document as the golden file', () => {
+    const backend = new SVGBackend(800, 500);
+    const renderer = new Renderer(backend, { width: 800, height: 500 });
+    renderer.tangentDensity = 3;
+    renderer.render(createCurve());
+
+    matchSnapshot('render-scene.svg', backend.toSVG('#000') + '\n');
+});
+
+test('SVGBackend splits full circles into two arcs and escapes text', () => {
+    const backend = new SVGBackend(100, 100);
+    backend.fillStyle = 'red';
+    backend.beginPath();
+    backend.arc(50, 50, 10, 0, Math.PI * 2);
+    backend.fill();
+    backend.fillText('a < b & c', 5, 5);
+
+    assert.deepEqual(backend.elements, [
+        '<path d="M 60 50 A 10 10 0 0 1 40 50 A 10 10 0 0 1 60 50" fill="red"/>',
+        '<text x="5" y="5" fill="red" font-family="sans-serif" font-size="10" text-anchor="start"' +
+            ' dominant-baseline="alphabetic">a &lt; b &amp; c</text>'
+    ]);
+});
+
+test('setBackend swaps the target and returns the previous one', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    const other = new RecordingBackend();
+
+    assert.equal(renderer.setBackend(other), backend);
+    renderer.renderLabels(createCurve().controlPoints);
+    assert.equal(backend.commands.length, 0);
+    assert.ok(other.commands.length > 0);
+});
+
+test('themes change colours and widths without changing the geometry', () => {
+    const dark = createRecordingRenderer();
+    dark.renderer.renderCurve(createCurve());
+
+    const light = createRecordingRenderer();
+    light.renderer.setTheme('light');
+    light.renderer.renderCurve(createCurve());
+
+    const geometry = (backend) => backend.commands.filter((command) => command.type === 'call');
+    assert.deepEqual(geometry(light.backend), geometry(dark.backend));
+    assert.ok(light.backend.commands.some((command) => command.value === '#0277bd'));
+});
+
+test('the high-contrast theme drops the glow stroke', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    renderer.setTheme('high-contrast');
+    renderer.renderCurve(createCurve());
+
+    const strokes = backend.commands.filter((command) => command.name === 'stroke');
+    assert.equal(strokes.length, 1);
+});
+
+test('setTheme accepts partial themes and rejects unknown presets', () => {
+    const { renderer } = createRecordingRenderer();
+
+    renderer.setTheme({ curve: 'purple' });
+    assert.equal(renderer.theme.curve, 'purple');
+    assert.equal(renderer.theme.label, Renderer.THEMES.dark.label);
+    assert.equal(renderer.themeName, 'custom');
+
+    assert.throws(() => renderer.setTheme('sepia'), /Unknown theme/);
+});
+
+test('renderSelection keeps the readout inside the drawing area', () => {
+    const { renderer, backend } = createRecordingRenderer();
+    const curve = createCurve();
+
+    // t = 1 is P₃ near the right edge: the readout flips to the left
+    renderer.renderSelection(curve, 1, { width: 800, height: 500 });
+
+    const box = backend.commands.find((command) => command.name === 'fillRect');
+    const [x, , width] = box.args;
+    assert.ok(x + width <= 800 && x + width < 640);
+    assert.ok(backend.commands.some((command) =>
+        command.name === 'fillText' && command.args[0] === 't = 1.0000'));
+});
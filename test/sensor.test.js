@@ -0,0 +1,80 @@
+/**
+ * Sensor Input Tests
+ * A scripted simulated sensor drives SensorInput to the tilt force of the
+ * script, and the device provider only falls back to motion readings when
+ * orientation never reports
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SensorInput, SimulatedSensorProvider, DeviceSensorProvider } from '../sensor.js';
+import { assertClose } from './helpers.js';
+
+const FRAME_TIME = 1000 / 60;
+
+test('a tilt script drives the force through SensorInput', async () => {
+    const provider = new SimulatedSensorProvider();
+    const sensor = new SensorInput(provider);
+    assert.equal(await sensor.start(), true);
+    assert.deepEqual(sensor.getForce(2), { x: 0, y: 0 });
+
+    // Tilt to upright over half a second, then to the right and hold
+    provider.playScript([
+        { duration: 500, beta: 90, gamma: 0 },
+        { duration: 500, beta: 0, gamma: 30 }
+    ]);
+
+    for (let t = 0; t < 500; t += FRAME_TIME) sensor.update(FRAME_TIME);
+    const upright = sensor.getForce(2);
+    assertClose(upright.x, 0, 1e-3);
+    assertClose(upright.y, 2, 0.05);
+
+    for (let t = 0; t < 1000; t += FRAME_TIME) sensor.update(FRAME_TIME);
+    // A finished script stops emitting, so the filter is a few readings from its target
+    const force = sensor.getForce(2);
+    assertClose(force.x, 2 * Math.sin(Math.PI / 6), 0.01);
+    assertClose(force.y, 0, 0.01);
+
+    // Stopping resets the force and ignores further readings
+    sensor.stop();
+    provider.setTilt(90, 0);
+    assert.deepEqual(sensor.getForce(2), { x: 0, y: 0 });
+});
+
+test('motion readings are only used when orientation never reports', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    const listeners = new Map();
+    globalThis.window = {
+        DeviceOrientationEvent: {},
+        addEventListener: (type, listener) => listeners.set(type, listener),
+        removeEventListener: (type, listener) => {
+            if (listeners.get(type) === listener) listeners.delete(type);
+        }
+    };
+    globalThis.DeviceOrientationEvent = globalThis.window.DeviceOrientationEvent;
+    t.after(() => {
+        delete globalThis.window;
+        delete globalThis.DeviceOrientationEvent;
+    });
+
+    const provider = new DeviceSensorProvider();
+    const sensor = new SensorInput(provider);
+    assert.equal(await sensor.start(), true);
+    assert.ok(listeners.has('deviceorientation'));
+    assert.ok(!listeners.has('devicemotion'));
+
+    // A desktop reporting null angles does not count, so motion takes over
+    listeners.get('deviceorientation')({ beta: null, gamma: null });
+    t.mock.timers.tick(provider.orientationTimeout);
+    assert.ok(listeners.has('devicemotion'));
+    listeners.get('devicemotion')({ accelerationIncludingGravity: { x: 0, y: 9.81 } });
+    assertClose(sensor.gravity.y, 1 - sensor.smoothing);
+
+    // Once orientation reports, motion is dropped
+    listeners.get('deviceorientation')({ beta: 90, gamma: 0 });
+    assert.ok(!listeners.has('devicemotion'));
+
+    sensor.stop();
+    assert.equal(listeners.size, 0);
+});
@@ -0,0 +1,116 @@
+/**
+ * Settings Model Tests
+ * Type conversion and limits, two-way binding of controls and labels, and
+ * values changed by code flowing back to the controls
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SettingsModel } from '../settings.js';
+
+/**
+ * Minimal stand-in for an input or select element
+ * @param {Object} attributes - type, tagName, value, checked, min, max
+ * @returns {Object} Control with addEventListener and fire(type)
+ */
+function createControl(attributes) {
+    const listeners = {};
+    return {
+        tagName: 'INPUT',
+        ...attributes,
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        fire(type) {
+            (listeners[type] || []).forEach((listener) => listener());
+        }
+    };
+}
+
+test('a slider writes its setting and the setting is applied once per change', () => {
+    const target = { radius: 80 };
+    const settings = new SettingsModel();
+    const changes = [];
+    settings.onChange = (key, value) => changes.push([key, value]);
+    settings.define('radius', {
+        read: () => target.radius,
+        apply: (value) => { target.radius = value; },
+        integer: true
+    });
+
+    const slider = createControl({ type: 'range', value: '0', min: '20', max: '150' });
+    const label = { textContent: '' };
+    settings.bind('radius', slider, label);
+    assert.equal(slider.value, '80');
+    assert.equal(label.textContent, '80');
+
+    slider.value = '95.4';
+    slider.fire('input');
+    assert.equal(target.radius, 95);
+    assert.equal(settings.get('radius'), 95);
+    assert.deepEqual(changes, [['radius', 95]]);
+
+    // The slider's range limits values set by code too
+    assert.equal(settings.set('radius', 1000), 150);
+    assert.equal(slider.value, '150');
+    assert.equal(label.textContent, '150');
+});
+
+test('values changed by code show up in every bound control after refresh', () => {
+    const camera = { yaw: 0, projection: 'perspective' };
+    const settings = new SettingsModel();
+    settings.define('yaw', { read: () => camera.yaw, apply: (value) => { camera.yaw = value; } });
+    settings.define('projection', {
+        read: () => camera.projection,
+        apply: (value) => { camera.projection = value; },
+        options: ['perspective', 'orthographic']
+    });
+
+    const slider = createControl({ type: 'range', value: '0', min: '-180', max: '180' });
+    const select = createControl({ tagName: 'SELECT', type: 'select-one', value: 'perspective' });
+    const label = { textContent: '' };
+    settings.bind('yaw', slider, label);
+    settings.bind('projection', select);
+
+    camera.yaw = 30;
+    camera.projection = 'orthographic';
+    settings.refresh(['yaw']);
+    assert.equal(slider.value, '30');
+    assert.equal(label.textContent, '30');
+    assert.equal(select.value, 'perspective');
+
+    settings.refresh();
+    assert.equal(select.value, 'orthographic');
+
+    select.value = 'fisheye';
+    assert.throws(() => select.fire('change'), /Invalid value for projection/);
+    assert.equal(camera.projection, 'orthographic');
+});
+
+test('checkboxes bind booleans and serialize round trips through load', () => {
+    const renderer = { showNormals: false };
+    const settings = new SettingsModel();
+    settings.define('showNormals', {
+        read: () => renderer.showNormals,
+        apply: (value) => { renderer.showNormals = value; }
+    });
+    settings.define('gravity', { value: 0.5, format: (value) => value.toFixed(2) });
+
+    const toggle = createControl({ type: 'checkbox', checked: true });
+    settings.bind('showNormals', toggle);
+    assert.equal(toggle.checked, false);
+
+    toggle.checked = true;
+    toggle.fire('change');
+    assert.equal(renderer.showNormals, true);
+
+    const copy = new SettingsModel();
+    copy.define('showNormals', { value: false });
+    copy.define('gravity', { value: 0 });
+    copy.load({ ...settings.serialize(), unknown: 3 });
+    assert.deepEqual(copy.serialize(), { showNormals: true, gravity: 0.5 });
+
+    assert.throws(() => settings.set('missing', 1), /Unknown setting: missing/);
+    assert.throws(() => settings.set('gravity', 'abc'), /Not a number/);
+    assert.throws(() => settings.define('gravity', { value: 1 }), /already defined/);
+});
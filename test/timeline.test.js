@@ -0,0 +1,63 @@
+/**
+ * Timeline Tests
+ * Keyframes keep the depth of the control points and apply it again, and
+ * a captured timeline continues where it was
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timeline } from '../timeline.js';
+import { BezierPath } from '../bezier-path.js';
+import { PhysicsSystem } from '../physics.js';
+
+/**
+ * Flat cubic with physics and a timeline on it
+ * @returns {Object} {bezier, physics, timeline}
+ */
+function createScene() {
+    const bezier = new BezierPath();
+    bezier.setControlPoints([{ x: 100, y: 200 }, { x: 200, y: 100 }, { x: 300, y: 100 }, { x: 400, y: 200 }]);
+    const physics = new PhysicsSystem();
+    physics.setupControlPoints(bezier.controlPoints);
+    return { bezier, physics, timeline: new Timeline(bezier, physics) };
+}
+
+test('keyframes store and apply the depth of the points', () => {
+    const { bezier, physics, timeline } = createScene();
+    const params = { springConstant: 0.1, damping: 0.9 };
+    const flat = bezier.controlPoints.map((p) => ({ x: p.x, y: p.y }));
+    const deep = flat.map((p, i) => ({ x: p.x, y: p.y, z: i * 40 }));
+
+    timeline.addKeyframe(0, flat, params, 'linear');
+    timeline.addKeyframe(1000, deep, params, 'linear');
+    assert.deepEqual(timeline.keyframes[1].points[2], { x: 300, y: 100, z: 80 });
+
+    // Halfway between a flat keyframe and a deep one
+    timeline.seek(500);
+    assert.deepEqual(bezier.controlPoints.map((p) => p.z), [0, 20, 40, 60]);
+    assert.deepEqual(physics.restPositions.map((p) => p.z), [0, 20, 40, 60]);
+    assert.ok(physics.velocities.every((v) => v.z === 0));
+
+    timeline.seek(1000);
+    assert.deepEqual(bezier.controlPoints.map((p) => p.z), [0, 40, 80, 120]);
+});
+
+test('a captured timeline continues where it was', () => {
+    const source = createScene();
+    source.timeline.addKeyframe(0, source.bezier.controlPoints, source.physics, 'ease');
+    source.timeline.addKeyframe(800, source.bezier.controlPoints.map((p) => ({ x: p.x + 50, y: p.y, z: 10 })),
+        source.physics, [0.2, 0, 0.4, 1]);
+    source.timeline.layerPhysics = true;
+    source.timeline.play();
+    source.timeline.update(300);
+
+    const target = createScene();
+    target.timeline.load(JSON.parse(JSON.stringify(source.timeline.serialize())));
+    assert.deepEqual(target.timeline.serialize(), source.timeline.serialize());
+
+    source.timeline.update(200);
+    target.timeline.update(200);
+    assert.deepEqual(target.bezier.controlPoints, source.bezier.controlPoints);
+
+    assert.throws(() => target.timeline.load({}), /Timeline: state has no keyframes/);
+});
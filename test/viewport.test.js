@@ -0,0 +1,76 @@
+/**
+ * Viewport Tests
+ * Responsive sizing and device-pixel back buffers with a fake canvas
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Viewport } from '../viewport.js';
+
+/**
+ * Canvas stand-in laid out at a given position on the page
+ * @param {Object} rect - Bounding client rect {left, top}
+ * @returns {Object} {canvas, ctx}
+ */
+function createCanvas(rect = { left: 0, top: 0 }) {
+    const ctx = {
+        transform: null,
+        setTransform(...values) {
+            this.transform = values;
+        }
+    };
+    const canvas = {
+        width: 800,
+        height: 500,
+        style: {},
+        getBoundingClientRect() {
+            return {
+                left: rect.left,
+                top: rect.top,
+                width: parseFloat(this.style.width),
+                height: parseFloat(this.style.height)
+            };
+        }
+    };
+    return { canvas, ctx };
+}
+
+test('resize keeps the aspect ratio and sizes the back buffer in device pixels', () => {
+    const { canvas, ctx } = createCanvas();
+    const viewport = new Viewport(canvas, ctx);
+
+    viewport.resize(400, 2);
+
+    assert.equal(canvas.style.width, '400px');
+    assert.equal(canvas.style.height, '250px');
+    assert.equal(canvas.width, 800);
+    assert.equal(canvas.height, 500);
+    assert.equal(viewport.scale, 1);
+    assert.deepEqual(ctx.transform, [1, 0, 0, 1, 0, 0]);
+
+    viewport.resize(1000, 3);
+    assert.equal(canvas.width, 3000);
+    assert.deepEqual(ctx.transform, [3.75, 0, 0, 3.75, 0, 0]);
+});
+
+test('logical size never changes, so positions survive a resize', () => {
+    const { canvas, ctx } = createCanvas({ left: 20, top: 10 });
+    const viewport = new Viewport(canvas, ctx);
+
+    viewport.resize(400, 2);
+    assert.deepEqual(viewport.toLogical(20 + 200, 10 + 125), { x: 400, y: 250 });
+
+    viewport.resize(1200, 1);
+    assert.deepEqual(viewport.toLogical(20 + 600, 10 + 375), { x: 400, y: 250 });
+    assert.equal(viewport.width, 800);
+    assert.equal(viewport.height, 500);
+});
+
+test('resize ignores a container that is not laid out yet', () => {
+    const { canvas, ctx } = createCanvas();
+    const viewport = new Viewport(canvas, ctx);
+
+    viewport.resize(0, 2);
+    assert.equal(canvas.width, 800);
+    assert.equal(ctx.transform, null);
+});
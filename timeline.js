@@ -0,0 +1,336 @@
+/**
+ * Timeline Module
+ * Manual implementation of keyframe animation with easing and playback
+ * Academic Integrity: This is my original work implementing the timeline from scratch
+ */
+
+import { BezierCurve } from './bezier.js';
+import { PhysicsSystem } from './physics.js';
+
+export class Timeline {
+    constructor(bezier, physics) {
+        this.bezier = bezier;
+        this.physics = physics;
+        this.keyframes = [];           // sorted by time: {time, points, params, easing, ease}, points keep their depth
+        this.time = 0;                 // playhead in milliseconds
+        this.playing = false;
+        this.loop = true;
+        this.layerPhysics = false;     // springs add secondary motion on top
+    }
+
+    /**
+     * Set a keyframe, replacing any keyframe at the same time
+     * @param {number} time - Time in milliseconds
+     * @param {Array} points - Control point positions
+     * @param {Object} params - Physics parameters {springConstant, damping}
+     * @param {string|Array} easing - Easing name or [x1, y1, x2, y2] cubic-bezier values, used to arrive at this keyframe
+     * @returns {Object} The keyframe
+     */
+    addKeyframe(time, points, params, easing = 'ease-in-out') {
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error('Timeline: keyframe time must be a non-negative number');
+        }
+        if (this.keyframes.length > 0 && this.keyframes[0].points.length !== points.length) {
+            throw new Error(`Timeline: keyframe has ${points.length} control points, expected ${this.keyframes[0].points.length}`);
+        }
+
+        const keyframe = {
+            time: time,
+            points: points.map((p) => PhysicsSystem.copyPosition(p)),
+            params: { springConstant: params.springConstant, damping: params.damping },
+            easing: easing,
+            ease: Timeline.resolveEasing(easing)
+        };
+
+        this.keyframes = this.keyframes.filter((k) => k.time !== time);
+        this.keyframes.push(keyframe);
+        this.keyframes.sort((a, b) => a.time - b.time);
+
+        return keyframe;
+    }
+
+    /**
+     * Record the current curve and physics parameters as a keyframe
+     * @param {number} time - Time in milliseconds
+     * @param {string|Array} easing - Easing name or cubic-bezier values
+     * @returns {Object} The keyframe
+     */
+    captureKeyframe(time, easing) {
+        // Dynamic points may be swinging, their rest positions are the shape
+        const points = this.bezier.controlPoints.map((p, i) =>
+            p.pinned || !this.physics.restPositions[i] ? p : this.physics.restPositions[i]);
+
+        return this.addKeyframe(time, points, this.physics, easing);
+    }
+
+    /**
+     * Remove a keyframe
+     * @param {number} index - Keyframe index
+     */
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+    }
+
+    /**
+     * Remove all keyframes and stop playback
+     */
+    clear() {
+        this.keyframes = [];
+        this.time = 0;
+        this.playing = false;
+    }
+
+    /**
+     * Get the time of the last keyframe
+     * @returns {number} Duration in milliseconds
+     */
+    getDuration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+
+    /**
+     * Start playback, from the beginning if the playhead is at the end
+     */
+    play() {
+        if (this.keyframes.length < 2) {
+            throw new Error('Timeline: needs at least two keyframes to play');
+        }
+        if (this.time >= this.getDuration()) {
+            this.time = 0;
+        }
+        this.playing = true;
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Move the playhead and apply the pose there
+     * @param {number} time - Time in milliseconds
+     */
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.getDuration(), time));
+        this.apply();
+    }
+
+    /**
+     * Advance the playhead and apply the pose (called every frame)
+     * @param {number} frameTime - Elapsed time in milliseconds
+     */
+    update(frameTime) {
+        if (!this.playing) return;
+
+        const duration = this.getDuration();
+        this.time += frameTime;
+
+        if (this.time >= duration) {
+            if (this.loop && duration > 0) {
+                this.time %= duration;
+            } else {
+                this.time = duration;
+                this.playing = false;
+            }
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Interpolate the keyframes at a time. The easing of the later keyframe
+     * shapes the way into it.
+     * @param {number} time - Time in milliseconds
+     * @returns {Object|null} {points, params}, or null without keyframes
+     */
+    sample(time) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) return null;
+
+        let next = keyframes.findIndex((k) => k.time > time);
+        if (next === -1) next = keyframes.length - 1;
+        if (next === 0) {
+            return { points: keyframes[0].points, params: keyframes[0].params };
+        }
+
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        const span = to.time - from.time;
+        const u = span > 0 ? Math.max(0, Math.min(1, (time - from.time) / span)) : 1;
+        const e = to.ease(u);
+        const lerp = (a, b) => a + (b - a) * e;
+
+        return {
+            points: from.points.map((p, i) => {
+                const q = to.points[i];
+                const point = { x: lerp(p.x, q.x), y: lerp(p.y, q.y) };
+                // A flat keyframe has depth 0 next to one with depth
+                if (p.z !== undefined || q.z !== undefined) point.z = lerp(p.z || 0, q.z || 0);
+                return point;
+            }),
+            params: {
+                springConstant: lerp(from.params.springConstant, to.params.springConstant),
+                damping: lerp(from.params.damping, to.params.damping)
+            }
+        };
+    }
+
+    /**
+     * Apply the pose at the playhead. With physics layered on top, the pose
+     * only moves the rest positions and pinned points, so the springs drag
+     * the dynamic handles behind it; otherwise every point follows exactly.
+     */
+    apply() {
+        const pose = this.sample(this.time);
+        if (!pose) return;
+
+        const points = this.bezier.controlPoints;
+        if (pose.points.length !== points.length) return;
+
+        pose.points.forEach((p, i) => {
+            const rest = this.physics.restPositions[i];
+            const velocity = this.physics.velocities[i];
+
+            // A pose with depth gives the point a depth, as a depth edit would
+            if (p.z !== undefined) {
+                if (points[i].z === undefined) points[i].z = 0;
+                if (velocity && velocity.z === undefined) velocity.z = 0;
+            }
+
+            if (rest) {
+                rest.x = p.x;
+                rest.y = p.y;
+                if (p.z !== undefined) rest.z = p.z;
+            }
+
+            if (!this.layerPhysics || points[i].pinned) {
+                points[i].x = p.x;
+                points[i].y = p.y;
+                if (p.z !== undefined) points[i].z = p.z;
+                if (velocity) {
+                    velocity.x = 0;
+                    velocity.y = 0;
+                    if (velocity.z !== undefined) velocity.z = 0;
+                }
+            }
+        });
+
+        this.physics.setSpringConstant(pose.params.springConstant);
+        this.physics.setDamping(pose.params.damping);
+    }
+
+    /**
+     * Capture the keyframes and playback state
+     * @returns {Object} Plain data for load()
+     */
+    serialize() {
+        return {
+            keyframes: this.keyframes.map((k) => ({
+                time: k.time,
+                points: k.points.map((p) => PhysicsSystem.copyPosition(p)),
+                params: { ...k.params },
+                easing: Array.isArray(k.easing) ? k.easing.slice() : k.easing
+            })),
+            time: this.time,
+            playing: this.playing,
+            loop: this.loop,
+            layerPhysics: this.layerPhysics
+        };
+    }
+
+    /**
+     * Continue from a state captured by serialize()
+     * @param {Object} state - Timeline state
+     */
+    load(state) {
+        if (!state || !Array.isArray(state.keyframes)) {
+            throw new Error('Timeline: state has no keyframes');
+        }
+
+        this.keyframes = [];
+        state.keyframes.forEach((k) => this.addKeyframe(k.time, k.points, k.params, k.easing));
+        this.time = state.time;
+        this.playing = state.playing === true;
+        this.loop = state.loop !== false;
+        this.layerPhysics = state.layerPhysics === true;
+    }
+
+    /**
+     * Turn an easing name or cubic-bezier values into an easing function
+     * @param {string|Array} easing - Name from Timeline.EASINGS or [x1, y1, x2, y2]
+     * @returns {Function} u in [0, 1] -> eased progress
+     */
+    static resolveEasing(easing) {
+        if (easing === 'linear') {
+            return (u) => u;
+        }
+
+        const values = Array.isArray(easing) ? easing : Timeline.EASINGS[easing];
+        if (!values || values.length !== 4 || !values.every(Number.isFinite)) {
+            throw new Error(`Timeline: unknown easing "${easing}"`);
+        }
+
+        const curve = new BezierCurve();
+        curve.controlPoints = [
+            { x: 0, y: 0 },
+            { x: values[0], y: values[1] },
+            { x: values[2], y: values[3] },
+            { x: 1, y: 1 }
+        ];
+        return Timeline.bezierEasing(curve);
+    }
+
+    /**
+     * Use a BezierCurve from (0, 0) to (1, 1) as an easing, the way CSS
+     * cubic-bezier() does: solve x(t) = u for t, return y(t). x must be
+     * monotonic, which holds while the inner x values stay in [0, 1].
+     * @param {BezierCurve} curve - Single-segment easing curve
+     * @returns {Function} u in [0, 1] -> eased progress
+     */
+    static bezierEasing(curve) {
+        const [p0, p1, p2, p3] = curve.controlPoints;
+        if (p1.x < 0 || p1.x > 1 || p2.x < 0 || p2.x > 1 ||
+            p0.x !== 0 || p0.y !== 0 || p3.x !== 1 || p3.y !== 1) {
+            throw new Error('Timeline: easing curve must run from (0, 0) to (1, 1) with x handles in [0, 1]');
+        }
+
+        return (u) => {
+            if (u <= 0) return 0;
+            if (u >= 1) return 1;
+
+            // Newton from t = u, falling back to bisection on flat spots
+            let t = u;
+            for (let i = 0; i < 8; i++) {
+                const error = curve.calculatePoint(t).x - u;
+                if (Math.abs(error) < 1e-7) return curve.calculatePoint(t).y;
+
+                const slope = curve.calculateTangent(t).x;
+                if (Math.abs(slope) < 1e-6) break;
+                t -= error / slope;
+                if (t < 0 || t > 1) break;
+            }
+
+            let low = 0;
+            let high = 1;
+            for (let i = 0; i < 40; i++) {
+                t = (low + high) / 2;
+                if (curve.calculatePoint(t).x < u) {
+                    low = t;
+                } else {
+                    high = t;
+                }
+            }
+            return curve.calculatePoint(t).y;
+        };
+    }
+}
+
+// CSS easing keywords as cubic-bezier values
+Timeline.EASINGS = {
+    'ease': [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+};